@@ -0,0 +1,66 @@
+/**
+ * @fileoverview StreamHist batch benchmark:
+ * Compares the throughput of adding a large Float64Array of points one at a
+ * time (push) with adding it as a single batch (pushBatch), and checks that
+ * the two histograms are statistically equivalent.
+ *
+ * Usage: node benchmark.js [points=10000000] [maxBins=100] [strategy=gap]
+ *
+ * @author carsonfarmer@gmail.com (Carson Farmer)
+ * @license Released under the MIT license.
+ * Copyright (c) 2016 Carson Farmer.
+ */
+
+var StreamHist = require('./index.js').StreamHist,
+    compare = require('./compare.js'),
+    rand = require('randgen');
+
+/**
+ * Time a function.
+ * @param {function(): *} fn The function.
+ * @return {{result: *, seconds: number}} timing Its result, and how long it
+ *      took.
+ */
+function time(fn) {
+    var start = process.hrtime(), result = fn(),
+        elapsed = process.hrtime(start);
+    return {result: result, seconds: elapsed[0] + elapsed[1] / 1e9};
+};
+
+/**
+ * Run the benchmark, logging the results.
+ * @param {number} n The number of points.
+ * @param {number} maxBins The maximum number of bins.
+ * @param {string} strategy The merge-cost strategy.
+ * @return {{push: number, pushBatch: number, ks: number}} results The
+ *      throughputs (in points per second), and the Kolmogorov–Smirnov
+ *      distance between the histograms.
+ */
+function run(n, maxBins, strategy) {
+    var values = new Float64Array(n);
+    for (var i = 0 ; i < n ; i++) {
+        values[i] = rand.rnorm(10, 2);
+    }
+    var batch = time(() => new StreamHist(maxBins, strategy).pushBatch(values)),
+        // push needs a plain array, so copying it is part of its cost
+        single = time(() => new StreamHist(maxBins, strategy)
+                                .push(Array.from(values))),
+        results = {push: n / single.seconds, pushBatch: n / batch.seconds,
+                   ks: compare.ks(single.result, batch.result).statistic};
+    console.log("points:    " + n + " (" + maxBins + " bins, " + strategy +
+                ")");
+    console.log("push:      " + Math.round(results.push) + " points/s");
+    console.log("pushBatch: " + Math.round(results.pushBatch) + " points/s (" +
+                (results.pushBatch / results.push).toFixed(1) + "x)");
+    console.log("KS distance between the histograms: " +
+                results.ks.toFixed(4));
+    return results;
+};
+
+if (require.main === module) {
+    var args = process.argv.slice(2);
+    run(args[0] ? parseInt(args[0], 10) : 10000000,
+        args[1] ? parseInt(args[1], 10) : 100, args[2] || "gap");
+}
+
+module.exports = {'run': run}
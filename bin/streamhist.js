@@ -0,0 +1,5 @@
+#!/usr/bin/env node
+// Command-line entry point, see cli.js for details.
+require('../cli.js').main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+});
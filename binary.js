@@ -0,0 +1,418 @@
+/**
+ * @fileoverview StreamHist binary format:
+ * Compact, versioned binary encoding of streaming approximate histograms.
+ *
+ * All multi-byte numbers are little-endian. The layout (version 5) is:
+ *
+ *   magic      2 bytes   "SH"
+ *   version    uint8     5
+ *   flags      uint8     See FLAGS
+ *   maxBins    varint
+ *   freeze     varint
+ *   warmUp     varint
+ *   exact      varint    The exact mode threshold
+ *   strategy   uint8     See STRATEGIES. Only if FLAGS.STRATEGY, otherwise the
+ *              strategy is "weighted" or "gap", as FLAGS.WEIGHTED says
+ *   transform  uint8     See TRANSFORMS. Only if FLAGS.TRANSFORM
+ *   count      float64
+ *   min, max   float64   Only if FLAGS.LIMITS (i.e., non-empty), in the
+ *              original units (unlike the bins, with a transform)
+ *   decay      halfLife float64, units uint8 (0 events, 1 time), time float64,
+ *              landmark float64. Only if FLAGS.DECAY
+ *   size       varint    Number of bins
+ *   means      size x float64 (or float32, if FLAGS.FLOAT32)
+ *   counts     size x varint (or float64, if FLAGS.REAL_COUNTS)
+ *   tss        size x float64 (or float32, if FLAGS.FLOAT32)
+ *   m3, m4     size x float64 each (or float32). Only if FLAGS.MOMENTS,
+ *              otherwise they are 0
+ *   points     varint    Number of exact mode points plus 1, or 0 if there
+ *              are none (i.e., not in exact mode). Only if exact > 0
+ *   values     points x float64 (always, as they are exact)
+ *   counts     points x varint (or float64, if FLAGS.REAL_COUNTS)
+ *   checksum   uint32    CRC-32 of all preceding bytes
+ *
+ * Every flag or field that adds bytes to the layout bumps the version, so that
+ * older decoders reject buffers they would misread, rather than decoding
+ * garbage. Earlier versions can still be decoded:
+ *
+ *   1  Without FLAGS.MOMENTS, FLAGS.STRATEGY, FLAGS.TRANSFORM, exact or points
+ *   2  Added FLAGS.MOMENTS
+ *   3  Added FLAGS.STRATEGY
+ *   4  Added FLAGS.TRANSFORM
+ *   5  Added exact and points
+ *
+ * Varints are unsigned LEB128, and may hold integers up to 2^53. The encoding
+ * only relies on typed arrays, so it also works in the browser build.
+ *
+ * @author carsonfarmer@gmail.com (Carson Farmer)
+ * @license Released under the MIT license.
+ * Copyright (c) 2016 Carson Farmer.
+ */
+
+var MAGIC = [0x53, 0x48],  // "SH"
+    VERSION = 5;
+
+var FLAGS = {
+    WEIGHTED: 1,
+    FLOAT32: 2,
+    REAL_COUNTS: 4,
+    LIMITS: 8,
+    DECAY: 16,
+    MOMENTS: 32,
+    STRATEGY: 64,
+    TRANSFORM: 128
+};
+
+// The version that added each flag (flags not listed here were in version 1)
+var FLAG_VERSIONS = {MOMENTS: 2, STRATEGY: 3, TRANSFORM: 4};
+
+// Codes for merge-cost strategies other than "gap" and "weighted" (custom
+// strategies can't be encoded, so they must be given again when decoding)
+var STRATEGIES = {area: 1, tail: 2, custom: 255};
+
+// Codes for transforms (likewise, custom transforms must be given again)
+var TRANSFORMS = {log: 1, log1p: 2, sqrt: 3, custom: 255};
+
+// Lazily computed table for the CRC-32 (IEEE 802.3) checksum
+var CRC_TABLE = null;
+
+/**
+ * Compute the CRC-32 checksum of (part of) a byte array.
+ * @param {Uint8Array} bytes The bytes to checksum.
+ * @param {number} end The index just past the last byte to include.
+ * @return {number} crc The unsigned 32-bit checksum.
+ */
+function crc32(bytes, end) {
+    if (CRC_TABLE === null) {
+        CRC_TABLE = new Uint32Array(256);
+        for (var n = 0 ; n < 256 ; n++) {
+            var c = n;
+            for (var k = 0 ; k < 8 ; k++) {
+                c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+            }
+            CRC_TABLE[n] = c;
+        }
+    }
+    var crc = 0xFFFFFFFF;
+    for (var i = 0 ; i < end ; i++) {
+        crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+};
+
+/**
+ * Growable little-endian byte writer.
+ * @constructor
+ * @protected
+ */
+function Writer() {
+    this._bytes = new Uint8Array(64);
+    this._view = new DataView(this._bytes.buffer);
+    this.length = 0;
+};
+
+/** @protected */
+Writer.prototype._reserve = function(n) {
+    if (this.length + n <= this._bytes.length)
+        return;
+    var bytes = new Uint8Array(Math.max(this._bytes.length * 2, this.length + n));
+    bytes.set(this._bytes);
+    this._bytes = bytes;
+    this._view = new DataView(bytes.buffer);
+};
+
+Writer.prototype.uint8 = function(x) {
+    this._reserve(1);
+    this._bytes[this.length++] = x;
+};
+
+Writer.prototype.uint32 = function(x) {
+    this._reserve(4);
+    this._view.setUint32(this.length, x, true);
+    this.length += 4;
+};
+
+Writer.prototype.float32 = function(x) {
+    this._reserve(4);
+    this._view.setFloat32(this.length, x, true);
+    this.length += 4;
+};
+
+Writer.prototype.float64 = function(x) {
+    this._reserve(8);
+    this._view.setFloat64(this.length, x, true);
+    this.length += 8;
+};
+
+Writer.prototype.varint = function(x) {
+    // Unsigned LEB128, using arithmetic rather than (32-bit) bitwise operators
+    do {
+        var byte = x % 128;
+        x = Math.floor(x / 128);
+        this.uint8(x > 0 ? byte + 128 : byte);
+    } while (x > 0);
+};
+
+/** @return {Uint8Array} bytes The bytes written so far. */
+Writer.prototype.bytes = function() {
+    return this._bytes.subarray(0, this.length);
+};
+
+/**
+ * Little-endian byte reader, which throws on truncated input.
+ * @param {Uint8Array} bytes The bytes to read.
+ * @param {number} end The index just past the last readable byte.
+ * @constructor
+ * @protected
+ */
+function Reader(bytes, end) {
+    this._bytes = bytes;
+    this._view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    this._end = end;
+    this.offset = 0;
+};
+
+/** @protected */
+Reader.prototype._need = function(n) {
+    if (this.offset + n > this._end)
+        throw new Error("Truncated StreamHist buffer");
+    var offset = this.offset;
+    this.offset += n;
+    return offset;
+};
+
+Reader.prototype.uint8 = function() {
+    return this._bytes[this._need(1)];
+};
+
+Reader.prototype.uint32 = function() {
+    return this._view.getUint32(this._need(4), true);
+};
+
+Reader.prototype.float32 = function() {
+    return this._view.getFloat32(this._need(4), true);
+};
+
+Reader.prototype.float64 = function() {
+    return this._view.getFloat64(this._need(8), true);
+};
+
+Reader.prototype.varint = function() {
+    var x = 0, scale = 1, byte;
+    do {
+        if (scale > Math.pow(2, 56))
+            throw new Error("Invalid varint in StreamHist buffer");
+        byte = this.uint8();
+        x += (byte & 127) * scale;
+        scale *= 128;
+    } while (byte & 128);
+    return x;
+};
+
+/**
+ * @typedef {Object} HistState
+ * @property {number} maxBins The maximum number of bins.
+ * @property {boolean} weighted Whether gap weighting is used.
+ * @property {string} [strategy] The merge-cost strategy (if not "gap" or
+ *      "weighted"), or "custom".
+ * @property {string} [transform] The transform (if any), or "custom".
+ * @property {number} freeze The freeze threshold.
+ * @property {number} warmUp The warm-up threshold.
+ * @property {number} exact The exact mode threshold.
+ * @property {number} count The total count.
+ * @property {?number} min The minimum value (null if empty).
+ * @property {?number} max The maximum value (null if empty).
+ * @property {?{halfLife: number, units: string, time: number,
+ *      landmark: number}} decay The decay state, or null if not decaying.
+ * @property {Array.<Bin>} bins The bins, ordered by their means. Their higher
+ *      moments (m3 and m4) are optional.
+ * @property {?Array.<ExactPoint>} points The exact mode points, ordered by
+ *      their values, or null if not in exact mode.
+ */
+
+/**
+ * Encode a histogram's state as bytes.
+ * @param {HistState} state The histogram's state.
+ * @param {object} [options] Encoding options.
+ * @param {boolean} [options.float32=false] Store bin means and spreads as
+ *      (lossy) float32 rather than float64.
+ * @return {Uint8Array} bytes The encoded histogram.
+ */
+function encode(state, options) {
+    var float32 = options != null && options.float32 === true,
+        bins = state.bins,
+        points = state.exact > 0 ? state.points : null,
+        realCounts = bins.concat(points || []).some(b => {
+            return !Number.isSafeInteger(b.count) || b.count < 0;
+        }),
+        moments = bins.some(b => b.m3 || b.m4),
+        strategy = STRATEGIES.hasOwnProperty(state.strategy) ?
+            STRATEGIES[state.strategy] : 0,
+        transform = TRANSFORMS.hasOwnProperty(state.transform) ?
+            TRANSFORMS[state.transform] : 0,
+        flags = (state.weighted ? FLAGS.WEIGHTED : 0) |
+                (float32 ? FLAGS.FLOAT32 : 0) |
+                (realCounts ? FLAGS.REAL_COUNTS : 0) |
+                (state.min !== null ? FLAGS.LIMITS : 0) |
+                (state.decay ? FLAGS.DECAY : 0) |
+                (moments ? FLAGS.MOMENTS : 0) |
+                (strategy ? FLAGS.STRATEGY : 0) |
+                (transform ? FLAGS.TRANSFORM : 0),
+        out = new Writer(),
+        column = float32 ? (x => out.float32(x)) : (x => out.float64(x));
+    out.uint8(MAGIC[0]);
+    out.uint8(MAGIC[1]);
+    out.uint8(VERSION);
+    out.uint8(flags);
+    out.varint(state.maxBins);
+    out.varint(state.freeze);
+    out.varint(state.warmUp);
+    out.varint(state.exact);
+    if (flags & FLAGS.STRATEGY)
+        out.uint8(strategy);
+    if (flags & FLAGS.TRANSFORM)
+        out.uint8(transform);
+    out.float64(state.count);
+    if (flags & FLAGS.LIMITS) {
+        out.float64(state.min);
+        out.float64(state.max);
+    }
+    if (flags & FLAGS.DECAY) {
+        out.float64(state.decay.halfLife);
+        out.uint8(state.decay.units === "time" ? 1 : 0);
+        out.float64(state.decay.time !== null ? state.decay.time : NaN);
+        out.float64(state.decay.landmark !== null ? state.decay.landmark : NaN);
+    }
+    out.varint(bins.length);
+    bins.forEach(b => column(b.mean));
+    bins.forEach(b => realCounts ? out.float64(b.count) : out.varint(b.count));
+    bins.forEach(b => column(b.tss));
+    if (moments) {
+        bins.forEach(b => column(b.m3 || 0));
+        bins.forEach(b => column(b.m4 || 0));
+    }
+    if (state.exact > 0) {
+        out.varint(points !== null ? points.length + 1 : 0);
+        (points || []).forEach(p => out.float64(p.value));
+        (points || []).forEach(p => {
+            realCounts ? out.float64(p.count) : out.varint(p.count);
+        });
+    }
+    out.uint32(crc32(out.bytes(), out.length));
+    return out.bytes();
+};
+
+/**
+ * Decode a histogram's state from bytes.
+ * @param {Uint8Array} bytes The encoded histogram.
+ * @return {HistState} state The histogram's state.
+ * @throws {Error} If the input isn't a StreamHist buffer, is truncated, is
+ *      corrupt, or uses an unsupported version of the format.
+ */
+function decode(bytes) {
+    if (!(bytes instanceof Uint8Array))
+        throw new TypeError("Expected a Uint8Array (or Buffer)");
+    if (bytes.length < 3 || bytes[0] !== MAGIC[0] || bytes[1] !== MAGIC[1])
+        throw new Error("Not a StreamHist buffer");
+    if (bytes[2] < 1 || bytes[2] > VERSION)
+        throw new Error("Unsupported StreamHist buffer version " + bytes[2] +
+                        " (expected at most " + VERSION + ")");
+    if (bytes.length < 8)
+        throw new Error("Truncated StreamHist buffer");
+    var end = bytes.length - 4,
+        input = new Reader(bytes, bytes.length);
+    input.offset = end;
+    if (input.uint32() !== crc32(bytes, end))
+        throw new Error("StreamHist buffer checksum mismatch " +
+                        "(truncated or corrupt input)");
+    input = new Reader(bytes, end);
+    input.offset = 3;
+    var version = bytes[2],
+        flags = input.uint8(),
+        column = (flags & FLAGS.FLOAT32) ? (() => input.float32()) :
+                                           (() => input.float64()),
+        state = {weighted: (flags & FLAGS.WEIGHTED) !== 0, min: null,
+                 max: null, decay: null, points: null};
+    Object.keys(FLAG_VERSIONS).forEach(name => {
+        if ((flags & FLAGS[name]) && version < FLAG_VERSIONS[name])
+            throw new Error("Corrupt StreamHist buffer (version " + version +
+                            " has no " + name + " flag)");
+    });
+    state.maxBins = input.varint();
+    state.freeze = input.varint();
+    state.warmUp = input.varint();
+    state.exact = version >= 5 ? input.varint() : 0;
+    if (flags & FLAGS.STRATEGY) {
+        var strategyCode = input.uint8();
+        state.strategy = Object.keys(STRATEGIES).find(name => {
+            return STRATEGIES[name] === strategyCode;
+        });
+        if (state.strategy === undefined)
+            throw new Error("Unknown strategy " + strategyCode + " in " +
+                            "StreamHist buffer");
+    }
+    if (flags & FLAGS.TRANSFORM) {
+        var transformCode = input.uint8();
+        state.transform = Object.keys(TRANSFORMS).find(name => {
+            return TRANSFORMS[name] === transformCode;
+        });
+        if (state.transform === undefined)
+            throw new Error("Unknown transform " + transformCode + " in " +
+                            "StreamHist buffer");
+    }
+    state.count = input.float64();
+    if (flags & FLAGS.LIMITS) {
+        state.min = input.float64();
+        state.max = input.float64();
+    }
+    if (flags & FLAGS.DECAY) {
+        state.decay = {halfLife: input.float64(),
+                       units: input.uint8() === 1 ? "time" : "events",
+                       time: input.float64(), landmark: input.float64()};
+        ["time", "landmark"].forEach(name => {
+            if (state.decay[name] !== state.decay[name])  // NaN
+                state.decay[name] = null;
+        });
+    }
+    var size = input.varint(), i;
+    if (size > end - input.offset)  // Each bin needs at least a byte
+        throw new Error("Truncated StreamHist buffer");
+    state.bins = [];
+    for (i = 0 ; i < size ; i++) {
+        state.bins.push({mean: column(), count: 0, tss: 0, m3: 0, m4: 0});
+    }
+    for (i = 0 ; i < size ; i++) {
+        state.bins[i].count = (flags & FLAGS.REAL_COUNTS) ?
+            input.float64() : input.varint();
+    }
+    for (i = 0 ; i < size ; i++) {
+        state.bins[i].tss = column();
+    }
+    if (flags & FLAGS.MOMENTS) {
+        for (i = 0 ; i < size ; i++) {
+            state.bins[i].m3 = column();
+        }
+        for (i = 0 ; i < size ; i++) {
+            state.bins[i].m4 = column();
+        }
+    }
+    var points = state.exact > 0 ? input.varint() - 1 : -1;
+    if (points > end - input.offset)  // Each point needs at least 9 bytes
+        throw new Error("Truncated StreamHist buffer");
+    if (points >= 0) {
+        state.points = [];
+        for (i = 0 ; i < points ; i++) {
+            state.points.push({value: input.float64(), count: 0});
+        }
+        for (i = 0 ; i < points ; i++) {
+            state.points[i].count = (flags & FLAGS.REAL_COUNTS) ?
+                input.float64() : input.varint();
+        }
+    }
+    if (input.offset !== end)
+        throw new Error("Unexpected trailing bytes in StreamHist buffer");
+    return state;
+};
+
+module.exports = {'encode': encode, 'decode': decode, 'crc32': crc32,
+                  'VERSION': VERSION}
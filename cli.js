@@ -0,0 +1,368 @@
+/**
+ * @fileoverview StreamHist command-line interface:
+ * Summarize, query, build, merge and plot streaming approximate histograms
+ * over files and stdin.
+ *
+ * Input values are read line by line, either as plain text (one number per
+ * line), as a CSV column, or as an NDJSON field. Serialized histograms (as
+ * written by the build and merge commands) can be used as input instead with
+ * the --hist option. See USAGE for details.
+ *
+ * @author carsonfarmer@gmail.com (Carson Farmer)
+ * @license Released under the MIT license.
+ * Copyright (c) 2016 Carson Farmer.
+ */
+
+var fs = require('fs'),
+    readline = require('readline'),
+    StreamHist = require('./index.js').StreamHist;
+
+var USAGE = [
+    "Usage: streamhist <command> [options] [files...]",
+    "",
+    "Reads from stdin when no files (or '-') are given.",
+    "",
+    "Commands:",
+    "  summarize              Print a summary of the input distribution",
+    "  quantile               Print the values at the given probabilities",
+    "  build                  Write a serialized histogram of the input",
+    "  merge                  Merge serialized histograms into one",
+    "  plot                   Print a text histogram of the input",
+    "",
+    "Options:",
+    "  -p, --probabilities    Comma-separated probabilities (for quantile)",
+    "  -b, --max-bins <n>     Maximum number of bins (default: 100)",
+    "  -w, --weighted         Use gap weighting when merging bins",
+    "      --freeze <n>       Freeze bins after n inserts",
+    "      --warm-up <n>      Reset counts after n warm-up inserts",
+    "  -f, --format <fmt>     Input format: text, csv or ndjson (default: text)",
+    "  -c, --column <col>     CSV column (name or index) or NDJSON field",
+    "  -d, --delimiter <d>    CSV delimiter (default: ,)",
+    "      --no-header        CSV input has no header row",
+    "      --hist             Inputs are serialized histograms",
+    "  -o, --output <fmt>     Output format: json or tsv (default: json)",
+    "  -h, --help             Print this message"
+].join("\n");
+
+var COMMANDS = ["summarize", "quantile", "build", "merge", "plot"];
+
+// Options that take a value, by their short and long names
+var VALUE_OPTIONS = {
+    "p": "probabilities", "b": "maxBins", "f": "format", "c": "column",
+    "d": "delimiter", "o": "output", "probabilities": "probabilities",
+    "max-bins": "maxBins", "freeze": "freeze", "warm-up": "warmUp",
+    "format": "format", "column": "column", "delimiter": "delimiter",
+    "output": "output"
+};
+
+// Options that act as flags, by their short and long names
+var FLAG_OPTIONS = {
+    "w": "weighted", "weighted": "weighted", "no-header": "noHeader",
+    "hist": "hist", "h": "help", "help": "help"
+};
+
+/**
+ * Parse command-line arguments.
+ * @param {Array.<string>} args Arguments, not including node and the script.
+ * @return {object} options The command, files and options.
+ * @throws {Error} If an option is unknown, or is missing its value.
+ */
+function parseArgs(args) {
+    var options = {command: null, files: [], format: "text", output: "json",
+                   delimiter: ",", column: null};
+    for (var i = 0 ; i < args.length ; i++) {
+        var arg = args[i], match = /^--?([^=]+)(?:=(.*))?$/.exec(arg), name;
+        if (arg === "-" || !match) {
+            if (options.command === null && arg !== "-")
+                options.command = arg;
+            else
+                options.files.push(arg);
+        } else if ((name = FLAG_OPTIONS[match[1]]) !== undefined) {
+            options[name] = true;
+        } else if ((name = VALUE_OPTIONS[match[1]]) !== undefined) {
+            var value = match[2] !== undefined ? match[2] : args[++i];
+            if (value === undefined)
+                throw new Error("Missing value for option " + arg);
+            options[name] = value;
+        } else {
+            throw new Error("Unknown option " + arg);
+        }
+    }
+    ["maxBins", "freeze", "warmUp"].forEach(name => {
+        if (options[name] !== undefined) {
+            options[name] = Number(options[name]);
+            if (!Number.isInteger(options[name]) || options[name] < 0)
+                throw new Error("Option " + name + " must be an integer");
+        }
+    });
+    // Histograms need at least one bin (freeze and warmUp may be 0)
+    if (options.maxBins === 0)
+        throw new Error("Option maxBins must be positive");
+    if (options.delimiter === "")
+        throw new Error("Option delimiter must not be empty");
+    if (options.probabilities !== undefined) {
+        options.probabilities = options.probabilities.split(",").map(p => {
+            var x = Number(p);
+            if (p.trim() === "" || !(x >= 0 && x <= 1))
+                throw new Error("Probabilities must be between 0 and 1");
+            return x;
+        });
+    }
+    return options;
+};
+
+/**
+ * Split a CSV line into its cells. Cells may be quoted (with double quotes,
+ * doubled to escape them), so that they can contain the delimiter, but not
+ * line breaks, as input is read line by line.
+ * @param {string} text The line.
+ * @param {string} delimiter The delimiter between cells.
+ * @param {number} line The line's number (for error messages).
+ * @return {Array.<string>} cells The (unquoted) cells.
+ * @throws {Error} If a quoted cell isn't closed on the same line.
+ */
+function splitCells(text, delimiter, line) {
+    var cells = [], cell, i = 0;
+    while (i <= text.length) {
+        if (text[i] === '"') {
+            var end = i + 1;
+            cell = "";
+            while (true) {
+                var quote = text.indexOf('"', end);
+                if (quote < 0)
+                    throw new Error("Line " + line + ": unterminated quoted " +
+                                    "cell (line breaks in cells aren't " +
+                                    "supported)");
+                cell += text.slice(end, quote);
+                if (text[quote + 1] !== '"')
+                    break;
+                cell += '"';
+                end = quote + 2;
+            }
+            // Skip anything between the closing quote and the delimiter
+            i = text.indexOf(delimiter, quote + 1);
+            i = i < 0 ? text.length : i;
+        } else {
+            var next = text.indexOf(delimiter, i);
+            next = next < 0 ? text.length : next;
+            cell = text.slice(i, next);
+            i = next;
+        }
+        cells.push(cell);
+        i += delimiter.length;
+    }
+    return cells;
+};
+
+/**
+ * Create a line parser for the given input format.
+ * @param {object} options Parsed command-line options.
+ * @return {function(string, number): ?number} parse Returns the value on a
+ *      line (given its number), or null for lines without a value.
+ * @throws {Error} If a line can't be parsed.
+ */
+function lineParser(options) {
+    var column = options.column, index = null;
+    var toNumber = (value, line) => {
+        var x = typeof value === "string" && value.trim() !== "" ?
+            Number(value) : value;
+        if (typeof x !== "number" || x !== x)
+            throw new Error("Line " + line + ": expected a number, but got " +
+                            JSON.stringify(value));
+        return x;
+    };
+    if (options.format === "csv") {
+        if (column === null || /^\d+$/.test(column))
+            index = column === null ? 0 : Number(column);
+        else if (options.noHeader)
+            throw new Error("Column names require a header row");
+        return (text, line) => {
+            var cells = splitCells(text, options.delimiter, line);
+            if (line === 1 && !options.noHeader) {  // Header row
+                if (index === null)
+                    index = cells.map(c => c.trim()).indexOf(column);
+                if (index < 0)
+                    throw new Error("Column " + column + " not found");
+                return null;
+            }
+            return toNumber(cells[index], line);
+        };
+    } else if (options.format === "ndjson") {
+        var path = column !== null ? column.split(".") : [];
+        return (text, line) => {
+            var record;
+            try {
+                record = JSON.parse(text);
+            } catch (err) {
+                throw new Error("Line " + line + ": " + err.message);
+            }
+            path.forEach(key => record = record != null ? record[key] : record);
+            return toNumber(record, line);
+        };
+    } else if (options.format === "text") {
+        return (text, line) => toNumber(text, line);
+    }
+    throw new Error("Unknown input format " + options.format);
+};
+
+/**
+ * Read the lines of an input file (or stdin).
+ * @param {string} file The file name, or '-' for stdin.
+ * @param {stream.Readable} stdin The standard input stream.
+ * @param {function(string, number)} callback Called for each line (with its
+ *      number), except for blank lines.
+ * @return {Promise} done Resolves once all lines have been read.
+ */
+function readLines(file, stdin, callback) {
+    return new Promise((resolve, reject) => {
+        var input = file === "-" ? stdin : fs.createReadStream(file),
+            lines = readline.createInterface({input: input}),
+            line = 0, failed = false;
+        input.on('error', reject);
+        lines.on('error', reject);
+        lines.on('line', text => {
+            line++;
+            if (failed || text.trim() === "")
+                return;
+            try {
+                callback(text, line);
+            } catch (err) {
+                failed = true;
+                lines.close();
+                reject(err);
+            }
+        });
+        lines.on('close', () => failed || resolve());
+    });
+};
+
+/**
+ * Read a serialized histogram from a file (or stdin).
+ * @param {string} file The file name, or '-' for stdin.
+ * @param {stream.Readable} stdin The standard input stream.
+ * @return {Promise.<StreamHist>} hist The histogram.
+ */
+function readHist(file, stdin) {
+    var text = "";
+    return readLines(file, stdin, line => text += line + "\n").then(() => {
+        try {
+            return StreamHist.fromJSON(JSON.parse(text));
+        } catch (err) {
+            throw new Error("Could not read histogram from " +
+                            (file === "-" ? "stdin" : file) + ": " +
+                            err.message);
+        }
+    });
+};
+
+/**
+ * Build a histogram from all of the inputs.
+ * @param {object} options Parsed command-line options.
+ * @param {stream.Readable} stdin The standard input stream.
+ * @return {Promise.<StreamHist>} hist The histogram.
+ */
+function buildHist(options, stdin) {
+    var files = options.files.length ? options.files : ["-"];
+    if (options.hist || options.command === "merge") {
+        // Settings (such as the number of bins, strategy, transform and
+        // decay) come from the inputs, unless given as options
+        var hists = [];
+        return files.reduce((promise, file) => promise.then(() => {
+            return readHist(file, stdin).then(that => hists.push(that));
+        }), Promise.resolve()).then(() => {
+            return StreamHist.mergeAll(hists, {
+                maxBins: options.maxBins, weighted: options.weighted,
+                freeze: options.freeze, warmUp: options.warmUp
+            });
+        });
+    }
+    var hist = new StreamHist(options.maxBins, options.weighted,
+                              options.freeze, options.warmUp);
+    return files.reduce((promise, file) => promise.then(() => {
+        var parse = lineParser(options);
+        return readLines(file, stdin, (text, line) => {
+            var x = parse(text, line);
+            if (x !== null)
+                hist.push(x);
+        });
+    }), Promise.resolve()).then(() => hist);
+};
+
+/**
+ * Format an object of name/value pairs for output.
+ * @param {object} values The values to output.
+ * @param {string} format Either "json" or "tsv".
+ * @return {string} text The formatted values.
+ */
+function formatValues(values, format) {
+    if (format === "tsv") {
+        return Object.keys(values)
+            .map(name => name + "\t" + values[name]).join("\n") + "\n";
+    }
+    return JSON.stringify(values, null, 2) + "\n";
+};
+
+/**
+ * Format a histogram for output.
+ * @param {StreamHist} hist The histogram.
+ * @param {string} format Either "json" (serialized histogram) or "tsv" (bins).
+ * @return {string} text The formatted histogram.
+ */
+function formatHist(hist, format) {
+    if (format === "tsv") {
+        return ["mean\tcount\ttss"].concat(hist.toArray().map(b => {
+            return b.mean + "\t" + b.count + "\t" + b.tss;
+        })).join("\n") + "\n";
+    }
+    return JSON.stringify(hist) + "\n";
+};
+
+/**
+ * Run the command-line tool.
+ * @param {Array.<string>} args Arguments, not including node and the script.
+ * @param {object} [io=process] Object with stdin, stdout and stderr streams.
+ * @return {Promise.<number>} code Resolves to the process exit code.
+ */
+function main(args, io) {
+    io = io || process;
+    var options;
+    try {
+        options = parseArgs(args);
+        if (options.help) {
+            io.stdout.write(USAGE + "\n");
+            return Promise.resolve(0);
+        }
+        if (COMMANDS.indexOf(options.command) < 0)
+            throw new Error(options.command === null ? "Missing command" :
+                            "Unknown command " + options.command);
+        if (options.command === "quantile" && !options.probabilities)
+            throw new Error("The quantile command requires --probabilities");
+        if (["json", "tsv"].indexOf(options.output) < 0)
+            throw new Error("Unknown output format " + options.output);
+        lineParser(options);  // Check the input format up front
+    } catch (err) {
+        io.stderr.write("streamhist: " + err.message + "\n\n" + USAGE + "\n");
+        return Promise.resolve(1);
+    }
+    return buildHist(options, io.stdin).then(hist => {
+        var output;
+        if (options.command === "summarize") {
+            output = formatValues(hist.summary(), options.output);
+        } else if (options.command === "quantile") {
+            var values = {}, qs = hist.quantile(options.probabilities);
+            options.probabilities.forEach((p, i) => values[p] = qs[i]);
+            output = formatValues(values, options.output);
+        } else if (options.command === "plot") {
+            output = hist.toString();
+        } else {  // build or merge
+            output = formatHist(hist, options.output);
+        }
+        io.stdout.write(output);
+        return 0;
+    }).catch(err => {
+        io.stderr.write("streamhist: " + err.message + "\n");
+        return 1;
+    });
+};
+
+module.exports = {'main': main, 'parseArgs': parseArgs, 'USAGE': USAGE}
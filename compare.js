@@ -0,0 +1,211 @@
+/**
+ * @fileoverview StreamHist comparison:
+ * Two-sample comparison of streaming approximate histograms, e.g., to alert
+ * when today's distribution has drifted from yesterday's.
+ *
+ * All measures are evaluated on a shared grid made up of both histograms' bin
+ * means and limits. The Kolmogorov–Smirnov statistic and the 1-Wasserstein
+ * distance come from the interpolated cumulative distributions (the Sum
+ * procedure) at each grid point, while the Jensen–Shannon divergence and the
+ * Hellinger distance come from the probability mass that each histogram puts
+ * at each grid point, and in the cells between consecutive grid points.
+ *
+ * @author carsonfarmer@gmail.com (Carson Farmer)
+ * @license Released under the MIT license.
+ * Copyright (c) 2016 Carson Farmer.
+ */
+
+/**
+ * @typedef {Object} Comparison
+ * @property {number} ks The Kolmogorov–Smirnov statistic, i.e., the largest
+ *      difference between the two cumulative distributions (in [0, 1]).
+ * @property {number} pValue The approximate p-value of the KS statistic,
+ *      under the hypothesis that both samples come from the same distribution.
+ * @property {number} wasserstein The 1-Wasserstein (earth mover's) distance,
+ *      in the same units as the data.
+ * @property {number} jensenShannon The Jensen–Shannon divergence, in bits (in
+ *      [0, 1]).
+ * @property {number} hellinger The Hellinger distance (in [0, 1]).
+ */
+
+/**
+ * Check that two histograms can be compared.
+ * @param {StreamHist} a A histogram.
+ * @param {StreamHist} b Another histogram.
+ * @throws {Error} If either histogram is empty.
+ */
+function checkHists(a, b) {
+    if (a.size() === 0 || b.size() === 0)
+        throw new Error("Cannot compare empty histograms");
+};
+
+/**
+ * Build the shared grid on which two histograms are compared.
+ * @param {StreamHist} a A histogram.
+ * @param {StreamHist} b Another histogram.
+ * @return {Array.<number>} grid The distinct bin means and limits of both
+ *      histograms, in increasing order.
+ */
+function grid(a, b) {
+    checkHists(a, b);
+    var points = [a.min(), a.max(), b.min(), b.max()];
+    // Bin means are mapped back to the original units, for any transform
+    [a, b].forEach(hist => hist.bins().each(bin => {
+        points.push(hist._toValue(bin.mean));
+    }));
+    return points
+        .sort((x, y) => x - y)
+        .filter((x, i, xs) => i === 0 || x !== xs[i - 1]);
+};
+
+/**
+ * Evaluate a histogram's (normalized) cumulative distribution on a grid.
+ * The interpolated distribution is continuous, except where a bin sits right
+ * at the histogram's min or max, so both left limits and values are needed.
+ * @param {StreamHist} hist A histogram.
+ * @param {Array.<number>} xs The grid.
+ * @return {{left: Array.<number>, right: Array.<number>}} cdf The fraction
+ *      of points < (left) and <= (right) each grid point.
+ */
+function cdf(hist, xs) {
+    var n = hist.count(), last = hist.bins().max(),
+        // Interpolation can overshoot, so keep within sensible limits
+        right = hist.sum(xs).map(s => Math.min(Math.max(s / n, 0.0), 1.0)),
+        left = right.map((f, i) => {
+            if (xs[i] <= hist.min())
+                return 0.0;
+            else if (xs[i] === hist.max() &&
+                     hist._toValue(last.mean) === hist.max())
+                return 1.0 - last.count / 2 / n;
+            return f;
+        });
+    return {left: left, right: right};
+};
+
+/**
+ * Compute the probability mass a histogram puts in each cell of a grid.
+ * @param {StreamHist} hist A histogram.
+ * @param {Array.<number>} xs The grid.
+ * @return {Array.<number>} masses The mass at each grid point, and between
+ *      each pair of consecutive grid points, in order.
+ */
+function masses(hist, xs) {
+    var f = cdf(hist, xs), masses = [], prev = 0.0;
+    xs.forEach((x, i) => {
+        // Keep the masses non-negative, even if interpolation isn't monotonic
+        [f.left[i], f.right[i]].forEach(c => {
+            masses.push(Math.max(c - prev, 0.0));
+            prev = Math.max(c, prev);
+        });
+    });
+    return masses;
+};
+
+/**
+ * Compute the probability that the Kolmogorov distribution exceeds a value.
+ * @param {number} lambda The (scaled) KS statistic.
+ * @return {number} p The tail probability.
+ * @see Press et al. (2007) Numerical Recipes, 3rd ed., Section 14.3.3.
+ */
+function kolmogorov(lambda) {
+    if (lambda < 0.2)  // The series converges slowly, but p is ~1 anyway
+        return 1.0;
+    var sum = 0.0, term;
+    for (var j = 1 ; j <= 100 ; j++) {
+        term = 2 * (j % 2 ? 1 : -1) * Math.exp(-2 * j * j * lambda * lambda);
+        sum += term;
+        if (Math.abs(term) < 1e-12)
+            break;
+    }
+    return Math.min(Math.max(sum, 0.0), 1.0);
+};
+
+/**
+ * Compute the two-sample Kolmogorov–Smirnov statistic, and its approximate
+ * (asymptotic) p-value, using the histograms' counts as the sample sizes.
+ * @param {StreamHist} a A histogram.
+ * @param {StreamHist} b Another histogram.
+ * @return {{statistic: number, pValue: number}} ks The KS statistic and its
+ *      p-value.
+ */
+function ks(a, b) {
+    var xs = grid(a, b), fa = cdf(a, xs), fb = cdf(b, xs), d = 0.0;
+    xs.forEach((x, i) => {
+        d = Math.max(d, Math.abs(fa.left[i] - fb.left[i]),
+                        Math.abs(fa.right[i] - fb.right[i]));
+    });
+    var n = a.count() * b.count() / (a.count() + b.count()),
+        sqrt = Math.sqrt(n);
+    return {statistic: d, pValue: kolmogorov((sqrt + 0.12 + 0.11 / sqrt) * d)};
+};
+
+/**
+ * Compute the 1-Wasserstein (earth mover's) distance between two histograms,
+ * i.e., the area between their cumulative distributions.
+ * @param {StreamHist} a A histogram.
+ * @param {StreamHist} b Another histogram.
+ * @return {number} distance The distance, in the same units as the data.
+ */
+function wasserstein(a, b) {
+    var xs = grid(a, b), fa = cdf(a, xs), fb = cdf(b, xs), area = 0.0;
+    for (var i = 1 ; i < xs.length ; i++) {
+        // Integrate |fa - fb| over the cell, from the values at its left end
+        // to the left limits at its right end
+        var d0 = fa.right[i - 1] - fb.right[i - 1],
+            d1 = fa.left[i] - fb.left[i],
+            width = xs[i] - xs[i - 1];
+        if (d0 * d1 >= 0) {
+            area += width * (Math.abs(d0) + Math.abs(d1)) / 2;
+        } else {  // The distributions cross within the cell
+            area += width * (d0 * d0 + d1 * d1) /
+                            (2 * (Math.abs(d0) + Math.abs(d1)));
+        }
+    }
+    return area;
+};
+
+/**
+ * Compute the Jensen–Shannon divergence between two histograms.
+ * @param {StreamHist} a A histogram.
+ * @param {StreamHist} b Another histogram.
+ * @return {number} divergence The divergence, in bits (in [0, 1]).
+ */
+function jensenShannon(a, b) {
+    var xs = grid(a, b), pa = masses(a, xs), pb = masses(b, xs),
+        kl = (p, m) => p > 0 ? p * Math.log2(p / m) : 0.0;
+    var divergence = pa.reduce((sum, p, i) => {
+        var q = pb[i], m = (p + q) / 2;
+        return sum + (kl(p, m) + kl(q, m)) / 2;
+    }, 0.0);
+    return Math.min(Math.max(divergence, 0.0), 1.0);
+};
+
+/**
+ * Compute the Hellinger distance between two histograms.
+ * @param {StreamHist} a A histogram.
+ * @param {StreamHist} b Another histogram.
+ * @return {number} distance The distance (in [0, 1]).
+ */
+function hellinger(a, b) {
+    var xs = grid(a, b), pa = masses(a, xs), pb = masses(b, xs),
+        affinity = pa.reduce((sum, p, i) => sum + Math.sqrt(p * pb[i]), 0.0);
+    return Math.sqrt(Math.max(1 - affinity, 0.0));
+};
+
+/**
+ * Compare two histograms using all of the above measures.
+ * @param {StreamHist} a A histogram, e.g., of yesterday's data.
+ * @param {StreamHist} b Another histogram, e.g., of today's data.
+ * @return {Comparison} comparison The comparison.
+ */
+function compare(a, b) {
+    var test = ks(a, b);
+    return {ks: test.statistic, pValue: test.pValue,
+            wasserstein: wasserstein(a, b),
+            jensenShannon: jensenShannon(a, b),
+            hellinger: hellinger(a, b)};
+};
+
+module.exports = {'compare': compare, 'ks': ks, 'wasserstein': wasserstein,
+                  'jensenShannon': jensenShannon, 'hellinger': hellinger,
+                  'grid': grid}
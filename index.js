@@ -41,7 +41,9 @@
 // http://druid.io/blog/2013/09/12/the-art-of-approximating-distributions.html
 
 var RBTree = require('bintrees').RBTree,
-    math = require('mathjs');
+    math = require('mathjs'),
+    binary = require('./binary.js'),
+    KernelDensity = require('./kde.js').KernelDensity;
 // Adds a helper function (which isn't efficient) to RBTree
 // Useful really only for infrequent searches by index...
 RBTree.prototype.itemByIndex = function(i) {
@@ -66,6 +68,10 @@ RBTree.prototype.itemByIndex = function(i) {
  * @property {number} tss The total sum of squared deviations from the mean.
  *      This is essentially a recursive residual metric, and is *not* really
  *      an approximation.
+ * @property {number} m3 The total sum of cubed deviations from the mean.
+ * @property {number} m4 The total sum of deviations from the mean raised to
+ *      the fourth power. Like tss, m3 and m4 are exact as long as points are
+ *      only ever added as new bins, or at a bin's mean.
  */
 
 /**
@@ -107,7 +113,93 @@ function diffBins(a, b, weighted) {
 };
 
 /**
- * Merges two bins based on a weighted average of their means.
+ * Built-in merge-cost strategies. Each gives the cost of merging two adjacent
+ * bins, given the number of points before the first of them (its rank) and
+ * the total number of points; the pair with the lowest cost is merged first.
+ *  - gap: The squared gap between the bins' means (Ben-Haim & Tom-Tov).
+ *  - weighted: The squared gap, weighted by the log of the smaller count, to
+ *    spend more bins on the densest areas (gap weighting).
+ *  - area: The gap times the combined count, i.e., roughly the area of the
+ *    merged bin, to keep the overall shape of the distribution.
+ *  - tail: The width of the merged bin on the scale k(q) = log(q / (1 - q))
+ *    of its ranks q (as in t-digest), which is steepest in the tails, so that
+ *    bins there are kept small. Merging into the extreme bins costs Infinity,
+ *    so they are merged last.
+ * @type {Object.<string, function(Bin, Bin, number, number): number>}
+ * @see Dunning & Ertl (2019) Computing extremely accurate quantiles using
+ *      t-digests, arXiv:1902.04023 (the scale function k_2, up to a constant).
+ */
+var STRATEGIES = {
+    gap: (a, b) => diffBins(a, b, false),
+    weighted: (a, b) => diffBins(a, b, true),
+    area: (a, b) => (b.mean - a.mean) * (a.count + b.count),
+    tail: (a, b, rank, total) => {
+        var k = q => {
+            q = Math.min(Math.max(q, 0), 1);  // Allowing for rounding
+            return Math.log(q / (1 - q));
+        };
+        return k((rank + a.count + b.count) / total) - k(rank / total);
+    }
+};
+
+/**
+ * @typedef {Object} Transform
+ * @property {function(number): number} forward Map a value to the scale it is
+ *      binned on. This must be increasing, and give a finite number for every
+ *      value in its domain.
+ * @property {function(number): number} inverse Map a binned value back.
+ * @property {function(number): number} [derivative] The derivative of
+ *      forward, used to convert densities. If missing, it is estimated by
+ *      finite differences.
+ */
+
+/**
+ * Built-in transforms (see StreamHist.transform).
+ * @type {Object.<string, Transform>}
+ */
+var TRANSFORMS = {
+    log: {forward: Math.log, inverse: Math.exp, derivative: x => 1 / x},
+    log1p: {forward: Math.log1p, inverse: Math.expm1,
+            derivative: x => 1 / (1 + x)},
+    sqrt: {forward: Math.sqrt, inverse: y => y * y,
+           derivative: x => 0.5 / Math.sqrt(x)}
+};
+
+/**
+ * Estimate the derivative of a function by finite differences, for custom
+ * transforms that don't give one.
+ * @param {function(number): number} f The function.
+ * @param {number} x The value at which to estimate the derivative.
+ * @return {number} derivative The estimated derivative.
+ */
+function estimateDerivative(f, x) {
+    var h = 1e-6 * math.max(math.abs(x), 1),
+        d = (f(x + h) - f(x - h)) / (2 * h);
+    // Central differences may step out of the domain, e.g., below 0
+    return isFinite(d) ? d : (f(x + h) - f(x)) / h;
+};
+
+/**
+ * Input policies, for values that can't be binned as they are (see
+ * StreamHist.policy).
+ * @type {Array.<string>}
+ */
+var POLICIES = ["reject", "skip", "clamp"];
+
+/**
+ * How much finer than a histogram's bins the micro-bins built by pushBatch
+ * are: each spans at most 1 / (BATCH_RESOLUTION * maxBins) of the batch's
+ * range, and holds at most as much of its weight, or less towards either end
+ * (at most 1 / BATCH_RESOLUTION of the weight beyond it), so that the tails
+ * keep their detail.
+ * @const {number}
+ */
+var BATCH_RESOLUTION = 8;
+
+/**
+ * Merges two bins based on a weighted average of their means. The sums of
+ * powers of deviations (tss, m3 and m4) are combined exactly, using the
+ * pairwise update formulas from Pébay (2008), Sandia Report SAND2008-6212.
  * @param {Bin} a A histogram bin.
  * @param {Bin} b A histogram bin.
  * @return {Bin} a Bin a merged with Bin b.
@@ -115,69 +207,406 @@ function diffBins(a, b, weighted) {
 function combineBins(a, b) {
     // Part of Step 7 in Algorithm 1 from Ben-Haim & Tom-Tov (2010) p. 851
     var numerator = (b.mean * b.count) + (a.mean * a.count),
-        mean = numerator / (a.count + b.count),
+        na = a.count, nb = b.count, n = na + nb,
+        mean = numerator / n,
         tss = (Math.pow(a.mean - mean, 2) * a.count) +
-              (Math.pow(b.mean - mean, 2) * b.count);
+              (Math.pow(b.mean - mean, 2) * b.count),
+        delta = b.mean - a.mean,
+        a2 = a.tss, b2 = b.tss,
+        a3 = a.m3 || 0.0, b3 = b.m3 || 0.0,
+        a4 = a.m4 || 0.0, b4 = b.m4 || 0.0;
     a.mean = mean
     a.count += b.count
     a.tss += b.tss + tss
+    // Deviations of each bin's mean from the combined mean contribute to the
+    // higher moments too, as do the cross terms with each bin's own spread
+    a.m3 = a3 + b3 + Math.pow(delta, 3) * na * nb * (na - nb) / (n * n) +
+           3 * delta * (na * b2 - nb * a2) / n;
+    a.m4 = a4 + b4 + Math.pow(delta, 4) * na * nb *
+                     (na * na - na * nb + nb * nb) / (n * n * n) +
+           6 * delta * delta * (na * na * b2 + nb * nb * a2) / (n * n) +
+           4 * delta * (na * b3 - nb * a3) / n;
     return a
 };
 
+/**
+ * Removes the points in bin b from bin a, i.e., the inverse of combineBins.
+ * The sums of powers of deviations are recovered by solving the pairwise
+ * update formulas from Pébay (2008) for the moments of a, and are clamped at
+ * zero where rounding (or removing points that a never held) would make them
+ * negative. (Clamping uses Math.max, as math.max treats numbers within
+ * rounding of each other as equal, and would keep tiny negative values.)
+ * @param {Bin} a A histogram bin, holding more points than b.
+ * @param {Bin} b A histogram bin.
+ * @return {Bin} a Bin a without the points in Bin b.
+ */
+function uncombineBins(a, b) {
+    var n = a.count, nb = b.count, na = n - nb,
+        mean = (a.mean * n - b.mean * nb) / na,
+        delta = b.mean - mean,
+        b2 = b.tss, b3 = b.m3 || 0.0, b4 = b.m4 || 0.0,
+        a2 = Math.max(a.tss - b2 - delta * delta * na * nb / n, 0.0),
+        a3 = (a.m3 || 0.0) - b3 -
+             Math.pow(delta, 3) * na * nb * (na - nb) / (n * n) -
+             3 * delta * (na * b2 - nb * a2) / n,
+        a4 = (a.m4 || 0.0) - b4 -
+             Math.pow(delta, 4) * na * nb *
+             (na * na - na * nb + nb * nb) / (n * n * n) -
+             6 * delta * delta * (na * na * b2 + nb * nb * a2) / (n * n) -
+             4 * delta * (na * b3 - nb * a3) / n;
+    a.mean = mean
+    a.count = na
+    a.tss = a2
+    // Without any spread, there can't be any higher moments either
+    a.m3 = a2 > 0 ? a3 : 0.0
+    a.m4 = a2 > 0 ? Math.max(a4, 0.0) : 0.0
+    return a
+};
+
+/**
+ * @typedef {Object} ExactPoint
+ * @property {number} value A distinct value pushed to a histogram in exact
+ *      mode (in the original units, for any transform).
+ * @property {number} count The total weight pushed at that value.
+ */
+
+/**
+ * Find where a value belongs among (exact mode) points.
+ * @param {Array.<ExactPoint>} points Points, ordered by their values.
+ * @param {number} x The value.
+ * @return {number} i The index of the first point with a value >= x (or the
+ *      number of points, if there is none).
+ */
+function bisectPoints(points, x) {
+    var lo = 0, hi = points.length;
+    while (lo < hi) {
+        var mid = (lo + hi) >>> 1;
+        if (points[mid].value < x)
+            lo = mid + 1;
+        else
+            hi = mid;
+    }
+    return lo;
+};
+
+/**
+ * Find the weighted empirical quantile of (exact mode) points, i.e., the first
+ * value with more than the given fraction of the total weight at or below it
+ * (or the midpoint of two values that split the weight exactly).
+ * @param {Array.<ExactPoint>} points Points, ordered by their values.
+ * @param {number} q The quantile.
+ * @return {number} value The value at the quantile, or null if there are no
+ *      points.
+ */
+function weightedQuantile(points, q) {
+    var total = 0.0, cumulative = 0.0;
+    if (points.length === 0)
+        return null;
+    points.forEach(p => total += p.count);
+    for (var i = 0 ; i < points.length ; i++) {
+        cumulative += points[i].count;
+        if (cumulative > q * total)
+            return points[i].value;
+        if (cumulative === q * total && i + 1 < points.length)
+            return (points[i].value + points[i + 1].value) / 2;
+    }
+    return points[points.length - 1].value;
+};
+
+/**
+ * Merge two ordered arrays of points, adding up the counts of equal values.
+ * @param {Array.<ExactPoint>} a Points, ordered by their values.
+ * @param {Array.<ExactPoint>} b More points, likewise.
+ * @param {number} [factor=1] A factor to scale the counts of b by.
+ * @return {Array.<ExactPoint>} points The merged points (all copies).
+ */
+function mergePoints(a, b, factor) {
+    factor = factor != null ? factor : 1;
+    var points = [], i = 0, j = 0;
+    while (i < a.length || j < b.length) {
+        if (j === b.length || (i < a.length && a[i].value < b[j].value)) {
+            points.push({value: a[i].value, count: a[i++].count});
+        } else if (i === a.length || b[j].value < a[i].value) {
+            points.push({value: b[j].value, count: b[j++].count * factor});
+        } else {
+            points.push({value: a[i].value,
+                         count: a[i++].count + b[j++].count * factor});
+        }
+    }
+    return points;
+};
+
+/**
+ * Error thrown when a serialized histogram fails validation.
+ * @param {string} field The (path to the) offending field, e.g., "bins[2].mean".
+ * @param {string} message What is wrong with the field.
+ * @constructor
+ * @extends Error
+ */
+function ValidationError(field, message) {
+    this.name = "ValidationError";
+    this.field = field;
+    this.message = field + ": " + message;
+    this.stack = (new Error(this.message)).stack;
+};
+ValidationError.prototype = Object.create(Error.prototype);
+ValidationError.prototype.constructor = ValidationError;
+
+/**
+ * Order two merge candidates by their gaps, breaking ties by position.
+ * This mirrors the left-to-right scan in Step 6 of Algorithm 1, which keeps
+ * the *first* adjacent pair with the smallest gap. NaN gaps are never chosen
+ * by that scan, so they are ordered after all other candidates.
+ * @param {Candidate} a A merge candidate.
+ * @param {Candidate} b A merge candidate.
+ * @return {number} res Negative if a should be merged before b.
+ */
+function compareCandidates(a, b) {
+    if (a.diff !== b.diff) {
+        if (a.diff !== a.diff) return 1;  // a is NaN
+        if (b.diff !== b.diff) return -1;  // b is NaN
+        return a.diff < b.diff ? -1 : 1;
+    }
+    return compareBins(a.left, b.left);
+};
+
+/**
+ * @typedef {Object} Candidate
+ * @property {Bin} left The left-hand bin of a pair of adjacent bins.
+ * @property {Bin} right The right-hand bin of a pair of adjacent bins.
+ * @property {number} diff The merge cost of the pair (see diffBins).
+ * @property {number} index The candidate's current position in the heap.
+ */
+
+/**
+ * Indexed priority queue (binary min-heap) of merge candidates.
+ * There is one candidate per pair of adjacent bins, so the queue doubles as a
+ * doubly-linked list over the histogram's bins. Candidates are indexed by
+ * their left and right bins, which allows them to be updated in $O(log{B})$
+ * time whenever a bin is added, removed or has its count changed.
+ * @param {function(Bin, Bin): number} cost The merge cost of two bins.
+ * @constructor
+ * @protected
+ */
+function MergeQueue(cost) {
+    this._cost = cost;
+    this.clear();
+};
+
+/** Remove all candidates from the queue. */
+MergeQueue.prototype.clear = function() {
+    this._heap = [];
+    this._byLeft = new Map();
+    this._byRight = new Map();
+};
+
+/** @return {number} size The number of candidates in the queue. */
+MergeQueue.prototype.size = function() {
+    return this._heap.length;
+};
+
+/** @return {Candidate} candidate The cheapest candidate, or null if empty. */
+MergeQueue.prototype.peek = function() {
+    return this._heap.length > 0 ? this._heap[0] : null;
+};
+
+/** @return {Bin} prev The bin immediately before bin, or null. */
+MergeQueue.prototype.prev = function(bin) {
+    var c = this._byRight.get(bin);
+    return c ? c.left : null;
+};
+
+/** @return {Bin} next The bin immediately after bin, or null. */
+MergeQueue.prototype.next = function(bin) {
+    var c = this._byLeft.get(bin);
+    return c ? c.right : null;
+};
+
+/**
+ * Add a candidate for the adjacent bins a and b (if both exist).
+ * @param {Bin} a The left-hand bin.
+ * @param {Bin} b The right-hand bin.
+ */
+MergeQueue.prototype.link = function(a, b) {
+    if (!a || !b)
+        return;
+    var c = {left:a, right:b, diff:this._cost(a, b), index:this._heap.length};
+    this._byLeft.set(a, c);
+    this._byRight.set(b, c);
+    this._heap.push(c);
+    this._up(c.index);
+};
+
+/**
+ * Remove the candidate for the adjacent bins a and b (if it exists).
+ * @param {Bin} a The left-hand bin.
+ */
+MergeQueue.prototype.unlink = function(a) {
+    var c = this._byLeft.get(a);
+    if (!c)
+        return;
+    this._byLeft.delete(c.left);
+    this._byRight.delete(c.right);
+    var last = this._heap.pop();
+    if (last !== c) {
+        this._heap[c.index] = last;
+        last.index = c.index;
+        this._down(this._up(last.index));
+    }
+};
+
+/**
+ * Remove both candidates involving bin.
+ * @param {Bin} bin A histogram bin.
+ */
+MergeQueue.prototype.detach = function(bin) {
+    this.unlink(this.prev(bin));
+    this.unlink(bin);
+};
+
+/**
+ * Recompute the costs of both candidates involving bin, e.g., after its
+ * count has changed.
+ * @param {Bin} bin A histogram bin.
+ */
+MergeQueue.prototype.update = function(bin) {
+    [this._byRight.get(bin), this._byLeft.get(bin)].forEach(c => {
+        if (c) {
+            c.diff = this._cost(c.left, c.right);
+            this._down(this._up(c.index));
+        }
+    });
+};
+
+/** @protected */
+MergeQueue.prototype._up = function(i) {
+    var heap = this._heap, c = heap[i], j;
+    while (i > 0 && compareCandidates(c, heap[j = (i - 1) >> 1]) < 0) {
+        heap[i] = heap[j];
+        heap[i].index = i;
+        i = j;
+    }
+    heap[i] = c;
+    c.index = i;
+    return i;
+};
+
+/** @protected */
+MergeQueue.prototype._down = function(i) {
+    var heap = this._heap, n = heap.length, c = heap[i], j;
+    while ((j = 2 * i + 1) < n) {
+        if (j + 1 < n && compareCandidates(heap[j + 1], heap[j]) < 0)
+            j++;
+        if (compareCandidates(heap[j], c) >= 0)
+            break;
+        heap[i] = heap[j];
+        heap[i].index = i;
+        i = j;
+    }
+    heap[i] = c;
+    c.index = i;
+    return i;
+};
+
 /**
  * StreamHist class for building a streaming approximate histogram.
  * @param {number} [maxbins=100] The maximum number of bins used to approximate
  *      the data. This should be a positive integer.
- * @param {boolean} [weighted=false] When weighted is true, the histogram is
- *      encouraged to spend more of its bins capturing the densest areas of the
- *      distribution. For a Gaussian distribution this means better resolution
- *      near the mean and less resolution near the tails.
+ * @param {(boolean|string|function)} [weighted=false] When weighted is true,
+ *      the histogram is encouraged to spend more of its bins capturing the
+ *      densest areas of the distribution. For a Gaussian distribution this
+ *      means better resolution near the mean and less resolution near the
+ *      tails. Any other merge-cost strategy can also be given here (see
+ *      strategy).
  * @param {number} [freeze=null] After the number of inserts into the histogram
  *      have exceeded the freeze parameter, the histogram bins are locked into
  *      place. As the bin means no longer shift, inserts become computationally
  *      cheap. However the quality of the histogram can suffer if the freeze
  *      parameter is too small. This should be a positive integer, or null to
  *      disable.
+ * @param {number} [warmUp=null] See warmUp.
+ * @param {(string|Transform)} [transform=null] The scale to bin values on
+ *      (see transform).
  * @constructor
  */
-function StreamHist(maxbins, weighted, freeze, warmUp) {
+function StreamHist(maxbins, weighted, freeze, warmUp, transform) {
     if (!(this instanceof StreamHist)) // Protect the global namespace!
-        return new StreamHist(maxbins, weighted, freeze, warmUp)
+        return new StreamHist(maxbins, weighted, freeze, warmUp, transform)
     /**
      * Internal Red-Black Search Tree for storing histogram bins.
      * @type {RBTree}
      * @protected
      */
     this._bins = new RBTree(compareBins);
+    /**
+     * Internal priority queue of adjacent bins, ordered by merge cost. This is
+     * derived from the bins, so it is kept out of toJSON and friends.
+     * @type {MergeQueue}
+     * @protected
+     */
+    Object.defineProperty(this, '_queue', {
+        value: new MergeQueue((a, b) => this._cost(a, b))
+    });
+    /**
+     * Number of histograms sharing the bins, which snapshots do until either
+     * side changes them (see _own). Kept out of toJSON and friends too.
+     * @type {{refs: number}}
+     * @protected
+     */
+    Object.defineProperty(this, '_shared', {value: {refs: 1}, writable: true});
     // Primary parameters, defined in class doc.
     this.maxBins(maxbins || 100);
-    this.weighted(weighted || false);
+    if (typeof weighted === "string" || typeof weighted === "function")
+        this.strategy(weighted);
+    else
+        this.weighted(weighted || false);
     this.freeze(freeze || 0);
     this.warmUp(warmUp || 0);
+    this.exact(0);
+    this.policy("reject");
+    this.halfLife(0);
     this.reset();
+    this.transform(transform || null);
 };
 
 /**
  * Adds a point or array of points to the histogram.
  * @param {(number|Array.<number>)} p Point or points to add to the histogram.
- * @param {number} [count=1] The 'weight' to use for the input point(s).
+ * @param {number} [count=1] The 'weight' to use for the input point(s). This
+ *      can be any positive, finite number, e.g., an importance weight.
+ * @param {number} [time=Date.now()] The timestamp of the input point(s). This
+ *      is only used when decaying by time (see halfLife).
  * @return {StreamHist} this This histogram instance.
+ * @throws {RangeError} If the weight isn't a positive, finite number, or (by
+ *      default) a point isn't finite, or is outside the domain of the
+ *      transform (if any). Nothing is added in either case.
+ * @throws {TypeError} If (by default) a point isn't a number.
+ * @see StreamHist.policy for other ways of handling such points.
  */
-StreamHist.prototype.push = function(p, count) {
+StreamHist.prototype.push = function(p, count, time) {
     // Algorithm 1: Update Procedure
     // Ben-Haim & Tom-Tov (2010) p 851
     // Algorithm input requires a histogram h, and a point p
-    // NOTE: Unlike in the paper, we allow for (positive?) integer counts
-    count = count || 1;
-    p = Array.isArray(p) ? p : [p];
+    // NOTE: Unlike in the paper, we allow for (positive, real) weights
+    count = this._weight(count);
+    p = this._admit(Array.isArray(p) ? p : [p], true);
     for (var i = 0 ; i < p.length ; i++) {
-        this._insert(p[i], count);
+        if (p[i] === null)  // Skipped by the input policy
+            continue;
+        var before = this.count(), weight = count * this._tick(time);
+        this._insert(p[i], weight);
         this._compress()
-        if (this.count() === this.warmUp()) {  // Should only happen once...
+        if (before < this.warmUp() && this.count() >= this.warmUp()) {
+            // Warm-up is over, so keep the bins' positions, but give each the
+            // weight of a single point (as of the point that ended warm-up)
             this.bins().each(b => {
-                b.count = 1;
-                b.tss = 0.0;
+                b.count = weight;
+                b.tss = b.m3 = b.m4 = 0.0;
             })
+            this._count = weight * this.size();
+            this._cumn = null;
+            this._points = null;  // Counts no longer match the points pushed
+            this._rebuildQueue();
         }
     }
     // Return a histogram with B bins that represents the set S ∪ {p}, where
@@ -185,29 +614,459 @@ StreamHist.prototype.push = function(p, count) {
     return this
 };
 
+/** @protected */
+StreamHist.prototype._weight = function(count) {
+    // Check the weight of points being pushed (which defaults to 1)
+    if (count == null)
+        return 1;
+    if (typeof count !== "number")
+        throw new TypeError("Weights must be numbers, but got " +
+                            JSON.stringify(count));
+    if (!(count > 0) || count === Infinity)
+        throw new RangeError("Weights must be positive and finite, but got " +
+                             count);
+    return count;
+};
+
+/** @protected */
+StreamHist.prototype._admit = function(values, tally) {
+    // Apply the input policy to points before any of them are added: points
+    // that can't be binned are rejected (throwing), skipped (becoming null)
+    // or clamped to the bounds. If tally is true, they are also counted, but
+    // only once every point has been checked, so that a rejected push leaves
+    // the counts unchanged, as well as the bins.
+    var kinds = [], admitted = values.map(x => this._admitValue(x, kinds));
+    if (tally)
+        this._tally(kinds);
+    return admitted;
+};
+
+/** @protected */
+StreamHist.prototype._admitValue = function(x, kinds) {
+    // Apply the input policy to a single point (see _admit), adding the kind
+    // of point to kinds (if given), unless it can be binned as it is
+    var policy = this._policy, bounds = this._bounds,
+        kind = x == null ? "null" :
+            (typeof x !== "number" || x !== x) ? "nan" :
+            (x === Infinity || x === -Infinity) ? "infinity" :
+            (bounds !== null && (x < bounds[0] || x > bounds[1])) ? "clamped" :
+            // Not (e.g.) positive, for the log transform
+            !isFinite(this._forward(x)) ? "outOfDomain" : null;
+    if (kind === null)
+        return x;
+    if (kinds)
+        kinds.push(kind);
+    if (policy === "clamp" && (kind === "infinity" || kind === "clamped"))
+        return Math.min(Math.max(x, bounds[0]), bounds[1]);
+    if (policy !== "reject")
+        return null;
+    if (kind === "outOfDomain")
+        throw new RangeError("Values must be in the domain of the " +
+                             this._transformName() + " transform, but " +
+                             "got " + x);
+    if (kind === "null" || (kind === "nan" && typeof x !== "number"))
+        throw new TypeError("Values must be numbers, but got " +
+                            JSON.stringify(x));
+    throw new RangeError("Values must be finite, but got " + x);
+};
+
+/** @protected */
+StreamHist.prototype._tally = function(kinds) {
+    // Count the points that the input policy rejected, skipped or clamped
+    kinds.forEach(kind => this._inputs[kind]++);
+};
+
 /** @protected */
 StreamHist.prototype._insert = function(x, count) {
     // Algorithm 1: Update Procedure
     // Ben-Haim & Tom-Tov (2010) p 851
     // NOTE: Unlike in the paper, we track min, max, and count separately
-    this._min = math.min(this._min !== null ? this._min : Infinity,
-                         x !== null ? x : Infinity);
-    this._max = math.max(this._max !== null ? this._max : -Infinity,
-                         x !== null ? x : -Infinity);
+    // NOTE: Points have already been checked by the input policy (see _admit),
+    // and limits use Math, as math.min and math.max treat numbers within
+    // rounding of each other as equal (see uncombineBins).
+    this._own();
+    this._min = this._min !== null ? Math.min(this._min, x) : x;
+    this._max = this._max !== null ? Math.max(this._max, x) : x;
     this._count += count;
     this._tss = 0.0;  // Reset this because things may have changed...?
+    if (this._points !== null)
+        this._addPoint(x, count);
+    // NOTE: Min and max are kept in the original units, but bins are not
+    x = this._forward(x);
     // Steps 1-2: if p == p_i for some i then...
     var nearest = this.findNearest(x);
     if (nearest !== null && (nearest.mean === x ||
         (this.isFrozen() && this.size() === this.maxBins()))) {
         nearest.count += count  // m_i = m_i + 1 (or count in our case)
+        if (this.strategy() !== "gap")  // Other costs depend on bin counts
+            this._queue.update(nearest);
     } else {
         // Steps 3-5: Add the bin (p, 1) to the histogram, & sort the sequence
         this._newBin(x, count);
     }
 };
 
+/** @protected */
+StreamHist.prototype._insertBin = function(bin, lo, hi) {
+    // Like _insert, but for a whole bin of points between lo and hi (in the
+    // original units), e.g., from another sketch format, whose mean and
+    // moments are on the binned scale. NOTE: The points themselves are
+    // unknown, so this ends exact mode.
+    this._own();
+    this._widen(lo, hi);
+    this._count += bin.count;
+    this._tss = 0.0;
+    this._points = null;
+    var nearest = this.findNearest(bin.mean);
+    if (nearest !== null && nearest.mean === bin.mean) {
+        this._combineBins(nearest, bin);
+        if (this.strategy() !== "gap")  // Other costs depend on bin counts
+            this._queue.update(nearest);
+    } else {
+        this._addBin(bin);
+    }
+    this._compress();
+    return this;
+};
+
+/** @protected */
+StreamHist.prototype._widen = function(lo, hi) {
+    // Widen the limits (in the original units) to include lo and hi
+    this._min = this._min !== null ? Math.min(this._min, lo) : lo;
+    this._max = this._max !== null ? Math.max(this._max, hi) : hi;
+    return this;
+};
+
+/** @protected */
+StreamHist.prototype._addPoint = function(x, count) {
+    // Keep track of the distinct values pushed in exact mode, switching over
+    // to the bins once there are more of them than the threshold
+    var points = this._points, i = bisectPoints(points, x);
+    if (i < points.length && points[i].value === x)
+        points[i].count += count;
+    else if (points.length < this.exact())
+        points.splice(i, 0, {value: x, count: count});
+    else
+        this._points = null;
+};
+
+/**
+ * Adds an array (or other iterable, such as a typed array) of points to the
+ * histogram.
+ * @param {Iterable.<number>} values Points to add to the histogram.
+ * @param {number} [count=1] The 'weight' to use for each point.
+ * @param {number} [time=Date.now()] The timestamp of the points (see push).
+ * @return {StreamHist} this This histogram instance.
+ * @throws {RangeError} If the weight isn't a positive, finite number.
+ */
+StreamHist.prototype.pushAll = function(values, count, time) {
+    return this.push(Array.from(values), count, time);
+};
+
+/**
+ * Adds a large batch of points at once, e.g., a Float64Array or Float32Array
+ * of measurements, optionally with a parallel array of weights. Rather than
+ * inserting the points one at a time (and compressing after each), the batch
+ * is sorted and grouped, in one linear pass, into micro-bins much finer than
+ * the histogram's bins (see BATCH_RESOLUTION), which are then added to the
+ * bins and compressed once, as when merging. This is several times faster
+ * for large batches.
+ * NOTE: The bins aren't identical to those built by pushing the points one
+ * at a time (which depend on the order of the points anyway), but they are
+ * statistically equivalent: the count, min and max are the same, as are the
+ * moments (up to rounding, and without a transform), and the
+ * Kolmogorov–Smirnov distance between the two histograms is typically below
+ * 0.01, about as far as pushing the points in another order would move them.
+ * (Heavy-tailed data binned without a transform is the exception, as its
+ * bins depend far more on the order.) Decaying, frozen and warming-up
+ * histograms still push the points one at a time, as each point changes how
+ * the next is inserted.
+ * @param {(Float64Array|Float32Array|Array.<number>)} values Points to add to
+ *      the histogram.
+ * @param {(Float64Array|Float32Array|Array.<number>)} [weights] The 'weight'
+ *      of each point, or null for unit weights (see push).
+ * @param {number} [time=Date.now()] The timestamp of the points (see push).
+ * @return {StreamHist} this This histogram instance.
+ * @throws {RangeError} If there isn't one weight per point, a weight isn't a
+ *      positive, finite number, or a point is rejected by the input policy
+ *      (see push). Nothing is added in any case.
+ * @throws {TypeError} If a weight isn't a number, or a point is rejected for
+ *      not being one.
+ */
+StreamHist.prototype.pushBatch = function(values, weights, time) {
+    var n = values.length, xs = new Float64Array(n),
+        ws = weights != null ? new Float64Array(n) : null, m = 0, i, x;
+    if (ws !== null && weights.length !== n)
+        throw new RangeError("Expected one weight per point (" + n + "), " +
+                             "but got " + weights.length);
+    for (i = 0 ; i < n ; i++) {
+        if (ws !== null)
+            this._weight(weights[i]);
+    }
+    // Keep the points (and weights) that the input policy lets through,
+    // counting the others once all have been checked (see _admit)
+    var kinds = [];
+    for (i = 0 ; i < n ; i++) {
+        x = this._admitValue(values[i], kinds);
+        if (x === null)
+            continue;
+        if (ws !== null)
+            ws[m] = weights[i];
+        xs[m++] = x;
+    }
+    this._tally(kinds);
+    if (this.halfLife() || this.freeze() || this.warmUp()) {
+        for (i = 0 ; i < m ; i++) {
+            this.push(xs[i], ws !== null ? ws[i] : 1, time);
+        }
+        return this;
+    }
+    if (m === 0)
+        return this;
+    // Sort the points, which also sorts them on the binned scale, as
+    // transforms are increasing
+    xs = xs.subarray(0, m);
+    if (ws !== null) {
+        var order = new Uint32Array(m).map((_, i) => i).sort((a, b) => {
+            return xs[a] - xs[b];
+        });
+        ws = Float64Array.from(order, i => ws[i]);
+        xs = Float64Array.from(order, i => xs[i]);
+    } else {
+        xs.sort();
+    }
+    var total = 0.0;
+    for (i = 0 ; i < m ; i++) {
+        total += ws !== null ? ws[i] : 1;
+    }
+    this._own();
+    this._min = this._min !== null ? Math.min(this._min, xs[0]) : xs[0];
+    this._max = this._max !== null ? Math.max(this._max, xs[m - 1]) :
+                                     xs[m - 1];
+    this._count += total;
+    this._tss = 0.0;
+    this._cumn = null;
+    if (this._points !== null)
+        this._addPoints(this._batchPoints(xs, ws), 1);
+    var ys = this._transform !== null ? xs.map(x => this._forward(x)) : xs;
+    this._batchBins(ys, ws, total).forEach(b => {
+        // Micro-bins may land on existing bins, but not on each other
+        var bin = this.bins().find(b);
+        if (bin !== null)
+            this._combineBins(bin, b);
+        else
+            this.bins().insert(b);
+    });
+    this._rebuildQueue();
+    this._compress();
+    return this;
+};
+
+/** @protected */
+StreamHist.prototype._batchPoints = function(xs, ws) {
+    // The distinct values of a sorted batch, for exact mode, or null if there
+    // are more of them than the threshold
+    var points = [], last = null;
+    for (var i = 0 ; i < xs.length ; i++) {
+        var w = ws !== null ? ws[i] : 1;
+        if (last !== null && last.value === xs[i]) {
+            last.count += w;
+        } else if (points.length < this.exact()) {
+            points.push(last = {value: xs[i], count: w});
+        } else {
+            return null;
+        }
+    }
+    return points;
+};
+
+/** @protected */
+StreamHist.prototype._batchBins = function(ys, ws, total) {
+    // Group a sorted batch (on the binned scale) into micro-bins, closing
+    // each before a point that would make it too wide or too heavy (but
+    // never between equal points), and then sum powers of deviations from
+    // its mean over its points
+    var resolution = BATCH_RESOLUTION * this.maxBins(),
+        width = (ys[ys.length - 1] - ys[0]) / resolution,
+        cap = total / resolution, bins = [], start = 0, before = 0.0,
+        weight = 0.0, w, i;
+    var close = end => {
+        var lo = ys[start], hi = ys[end - 1], sum = 0.0, j, d, d2, wj,
+            b = {mean: 0.0, count: weight, tss: 0.0, m3: 0.0, m4: 0.0};
+        for (j = start ; j < end ; j++) {
+            sum += (ws !== null ? ws[j] : 1) * ys[j];
+        }
+        // Rounding could take the mean outside of its points
+        b.mean = Math.min(Math.max(sum / weight, lo), hi);
+        for (j = start ; lo !== hi && j < end ; j++) {
+            d = ys[j] - b.mean, d2 = d * d, wj = ws !== null ? ws[j] : 1;
+            b.tss += wj * d2;
+            b.m3 += wj * d2 * d;
+            b.m4 += wj * d2 * d2;
+        }
+        bins.push(b);
+        before += weight;
+        start = end;
+        weight = 0.0;
+    };
+    for (i = 0 ; i < ys.length ; i++) {
+        w = ws !== null ? ws[i] : 1;
+        if (i > start && ys[i] !== ys[i - 1] &&
+            (ys[i] - ys[start] > width ||
+             weight + w > Math.min(cap, Math.min(before, total - before -
+                                                 weight - w) /
+                                        BATCH_RESOLUTION)))
+            close(i);
+        weight += w;
+    }
+    close(ys.length);
+    return bins;
+};
+
+/**
+ * Removes (retracts) a point or array of points that were previously pushed
+ * to the histogram, e.g., when the records they came from are deleted or
+ * corrected. The weight is taken out of the nearest bin, whose mean and
+ * moments are updated as if the point had never been combined into it. A bin
+ * that is emptied is dropped, and any weight beyond what it held is taken
+ * proportionally out of the next nearest bin(s), leaving their means and
+ * spreads as they were. Once the histogram is empty, any remaining weight is
+ * ignored.
+ * NOTE: The histogram can't know which points it holds, so removing points
+ * that were never pushed skews it (much as pushing them would). While a
+ * histogram is frozen, bins don't move, so only their counts are reduced.
+ * Min and max remain bounds on the data that is left: each is tightened to
+ * the mean of the extreme bin when all of that bin's points are at its mean
+ * (i.e., its tss is 0), and reset to null when the histogram is emptied.
+ * Points are checked by the input policy, as for push (but aren't counted),
+ * so that clamped points are removed from where they were added.
+ * @param {(number|Array.<number>)} p Point or points to remove.
+ * @param {number} [count=1] The 'weight' the point(s) were pushed with.
+ * @param {number} [time] The timestamp the point(s) were pushed with. This is
+ *      only used when decaying by time, and defaults to the latest time. When
+ *      decaying by events, the weight is removed as if pushed just now.
+ * @return {StreamHist} this This histogram instance.
+ * @throws {RangeError} If the weight isn't a positive, finite number, or a
+ *      point is rejected by the input policy.
+ * @throws {TypeError} If a point is rejected for not being a number.
+ */
+StreamHist.prototype.remove = function(p, count, time) {
+    count = this._weight(count);
+    p = this._admit(Array.isArray(p) ? p : [p], false)
+        .filter(x => x !== null);
+    if (this.halfLife() && this._landmark !== null) {
+        // Undo the forward decay scaling the point(s) were pushed with
+        time = time != null && this._decayUnits === "time" ? time : this._time;
+        count *= math.pow(2, (time - this._landmark) / this.halfLife());
+    }
+    this._own();
+    if (this.size() > 1 && this._queue.size() !== this.size() - 1) {
+        this._rebuildQueue();  // Bins have been added behind our back
+    }
+    for (var i = 0 ; i < p.length ; i++) {
+        if (this._points !== null)
+            this._removePoint(p[i], count);
+        this._retract(this._forward(p[i]), count);
+    }
+    if (this.size() === 0) {
+        this._count = 0;
+        this._min = null;
+        this._max = null;
+        this._points = this.exact() > 0 ? [] : null;  // Exact once more
+    } else if (this._points !== null && this._points.length > 0) {
+        // Exact mode knows which values are left
+        this._min = this._points[0].value;
+        this._max = this._points[this._points.length - 1].value;
+    } else {
+        var first = this.bins().min(), last = this.bins().max(),
+            lo = this._inverse(first.mean), hi = this._inverse(last.mean);
+        this._min = first.tss === 0 ? lo : Math.min(this._min, lo);
+        this._max = last.tss === 0 ? hi : Math.max(this._max, hi);
+    }
+    return this;
+};
+
+/**
+ * Removes an array (or other iterable) of previously pushed points.
+ * @param {Iterable.<number>} values Points to remove from the histogram.
+ * @param {number} [count=1] The 'weight' each point was pushed with.
+ * @param {number} [time] The timestamp the points were pushed with (see
+ *      remove).
+ * @return {StreamHist} this This histogram instance.
+ * @throws {RangeError} If the weight isn't a positive, finite number.
+ */
+StreamHist.prototype.removeAll = function(values, count, time) {
+    return this.remove(Array.from(values), count, time);
+};
+
+/** @protected */
+StreamHist.prototype._removePoint = function(x, count) {
+    // Take weight out of the point at x (allowing for rounding). If there is
+    // no such point (or too little weight at it), we can no longer tell which
+    // values are left, so switch over to the bins.
+    var points = this._points, i = bisectPoints(points, x);
+    if (i === points.length || points[i].value !== x ||
+        count > points[i].count * (1 + 1e-12))
+        this._points = null;
+    else if (count >= points[i].count * (1 - 1e-12))
+        points.splice(i, 1);
+    else
+        points[i].count -= count;
+};
+
+/** @protected */
+StreamHist.prototype._retract = function(x, count) {
+    // Take weight out of the bin nearest to x, dropping it once it is empty
+    // (allowing for rounding). Any weight beyond what it held can't have been
+    // at x, so it is taken proportionally out of the next nearest bin(s).
+    var queue = this._queue, spill = false, bin, prev, next, other;
+    this._tss = 0.0;
+    this._cumn = null;  // Bins may move, so recompute the cumulative counts
+    while (count > 0 && this.size() > 0) {
+        bin = this.findNearest(x);
+        prev = queue.prev(bin), next = queue.next(bin);
+        if (count >= bin.count * (1 - 1e-12)) {
+            count -= bin.count;
+            this._count -= bin.count;
+            queue.detach(bin);
+            this.bins().remove(bin);
+            queue.link(prev, next);
+            spill = true;
+            continue;
+        }
+        this._count -= count;
+        if (spill || this.isFrozen()) {
+            // Keep the bin where it is, with the same shape
+            var factor = (bin.count - count) / bin.count;
+            bin.count -= count;
+            if (!this.isFrozen()) {
+                bin.tss *= factor;
+                bin.m3 *= factor;
+                bin.m4 *= factor;
+            }
+            if (this.strategy() !== "gap")  // Other costs depend on bin counts
+                queue.update(bin);
+        } else {
+            // The bin's mean moves away from x, possibly past its neighbours,
+            // so take it out of the tree while it is updated
+            queue.detach(bin);
+            this.bins().remove(bin);
+            queue.link(prev, next);
+            uncombineBins(bin, {mean:x, count:count, tss:0.0, m3:0.0, m4:0.0});
+            other = this.bins().find(bin);
+            if (other !== null) {
+                this._combineBins(other, bin);
+                queue.update(other);
+            } else {
+                this._addBin(bin);
+            }
+        }
+        count = 0;
+    }
+};
+
 StreamHist.prototype.tss = function() {
+    this._decay();
     if (!this._tss) {
         var tss = 0.0;
         this.bins().each(b => tss += b.tss)
@@ -245,23 +1104,36 @@ StreamHist.prototype.findNearest = function(p) {
 StreamHist.prototype._compress = function() {
     // Algorithm 1: Update Procedure
     // Ben-Haim & Tom-Tov (2010) p 851
-    // Step 6: Find a point q_i that minimizes q_i+1 −q_i.
-    var it, b, bi, bi1, a, diff, maxDiff;
+    // NOTE: Unlike in the paper, we don't rescan all bins to find q_i, but keep
+    // the gaps between adjacent bins in a priority queue.
+    // NOTE: Costs that depend on ranks change whenever points are added, so
+    // the queue is rebuilt before compressing (and kept up to date while
+    // compressing).
+    var queue = this._queue, ranked = this._ranked(), a, b, prev, next, rank;
+    if (this.size() > this.maxBins())
+        this._own();
+    if (this.size() > this.maxBins() &&
+        (ranked || queue.size() !== this.size() - 1)) {
+        this._rebuildQueue();  // Bins have been added behind our back
+    }
     while (this.size() > this.maxBins()) {
-        it = this.bins().iterator();
-        a = it.next(), maxDiff = Infinity, diff;
-        while((b = it.next()) !== null) {
-            diff = diffBins(a, b, this.weighted());
-            if (diff < maxDiff) {
-                maxDiff = diff;
-                bi = a, bi1 = b;
-            }
-            a = b;
-        }
+        // Step 6: Find a point q_i that minimizes q_i+1 −q_i.
+        a = queue.peek().left, b = queue.peek().right;
+        prev = queue.prev(a), next = queue.next(b);
+        queue.detach(a);
+        queue.detach(b);
         // Step 7: Replace the bins (q_i, k_i), (q_i+1, k_i+1) by the bin:
         // (q_i*k_i + q_{i+1}*k_{i+1} / k_i + K_{i+1)}, k_i + k_{i+1})
-        a = combineBins(bi, bi1);
-        this.bins().remove(bi1);
+        // NOTE: Remove b first, as a's new mean may round to b's mean.
+        this.bins().remove(b);
+        rank = a.cumn - a.count / 2;
+        this._combineBins(a, b);
+        if (ranked)  // Merging doesn't change the rank of any bin
+            a.cumn = rank + a.count / 2;
+        else
+            this._cumn = null;  // But a's cumulative count is now stale
+        queue.link(prev, a);
+        queue.link(a, next);
     }
 };
 
@@ -270,13 +1142,78 @@ StreamHist.prototype._newBin = function(p, count) {
     // Algorithm 1: Update Procedure
     // Ben-Haim & Tom-Tov (2010) p 851
     // Steps 3-5: Add the bin (p, 1) to the histogram, & sort the sequence
-    var b = {mean:p, count:count, tss:0.0};
+    return this._addBin({mean:p, count:count, tss:0.0, m3:0.0, m4:0.0});
+};
+
+/** @protected */
+StreamHist.prototype._addBin = function(b) {
+    // Insert a new bin b (whose mean must not already be in the tree), and
+    // replace the gap between its neighbours with the two gaps either side.
     this.bins().insert(b);
+    var prev = this.bins().findIter(b).prev(),
+        next = this.bins().findIter(b).next();
+    this._queue.unlink(prev);
+    this._queue.link(prev, b);
+    this._queue.link(b, next);
     return b;
 };
 
+/** @protected */
+StreamHist.prototype._combineBins = function(a, b) {
+    // Merge bin b into bin a. Subclasses that store additional information in
+    // their bins should override this (and _copyBin).
+    return combineBins(a, b);
+};
+
+/** @protected */
+StreamHist.prototype._copyBin = function(b, factor) {
+    // Copy bin b, scaling its counts by an (optional) decay factor.
+    factor = factor != null ? factor : 1.0;
+    return {mean:b.mean, count:b.count * factor, tss:b.tss * factor,
+            m3:b.m3 * factor, m4:b.m4 * factor};
+};
+
+/** @protected */
+StreamHist.prototype._cost = function(a, b) {
+    // Cost of merging adjacent bins a and b, using the cumulative counts for
+    // strategies that need to know ranks. Until _rebuildQueue brings those up
+    // to date, the cost is unknown (NaN, which is never merged first).
+    var strategy = this.strategy();
+    if (typeof strategy !== "function")
+        strategy = STRATEGIES[strategy];
+    if (!this._ranked())
+        return strategy(a, b);
+    if (this._cumn !== this._count)
+        return NaN;
+    return strategy(a, b, a.cumn - a.count / 2, this._count);
+};
+
+/** @protected */
+StreamHist.prototype._ranked = function() {
+    // Whether merge costs depend on ranks: custom strategies do if they take
+    // more than two arguments.
+    var strategy = this.strategy();
+    return strategy === "tail" ||
+           (typeof strategy === "function" && strategy.length > 2);
+};
+
+/** @protected */
+StreamHist.prototype._rebuildQueue = function() {
+    // Recompute all merge candidates from scratch
+    if (this._ranked())
+        this._cumulate();
+    var it = this.bins().iterator(), a = it.next(), b;
+    this._queue.clear();
+    while ((b = it.next()) !== null) {
+        this._queue.link(a, b);
+        a = b;
+    }
+};
+
 /**
- * Merge/union two histograms to produce a single output histogram.
+ * Merge/union two histograms to produce a single output histogram. This
+ * histogram stays in exact mode (see exact) only if that one is in it too,
+ * and their distinct values fit.
  * @param {StreamHist} that The other histogram object to merge into this one.
  * @param {number} maxBins The maximum number of bins to keep after merging.
  * @return {StreamHist} this This histogram instance.
@@ -287,10 +1224,29 @@ StreamHist.prototype.merge = function(that, maxBins) {
     // Algorithm input requires two histograms (this and that) (h_1, h_2),
     // and an integer (maxBins) (B)
     // NOTE: Unlike in the paper, we track min, max, and count separately
-    this._count += that.count();
-    this._min = math.min(this.min() !== null ? this.min() : Infinity,
+    // NOTE: Decayed histograms are first brought to a common reference time.
+    if (this.halfLife() !== that.halfLife() ||
+        (this.halfLife() && this._decayUnits !== that._decayUnits)) {
+        throw new Error("Cannot merge histograms with different half-lives");
+    }
+    if (this.transform() !== that.transform())
+        throw new Error("Cannot merge histograms with different transforms");
+    this._own();
+    var time = math.max(this._time !== null ? this._time : -Infinity,
+                        that._time !== null ? that._time : -Infinity),
+        factor = 1.0;
+    if (this.halfLife() && that._time !== null) {
+        this._decay(time);
+        this._time = time;
+        factor = math.pow(2, -(time - that._landmark) / that.halfLife());
+    }
+    this._count += that._count * factor;
+    this._countInputs(that);
+    if (that.size() > 0)
+        this._addPoints(that._points, factor);
+    this._min = Math.min(this.min() !== null ? this.min() : Infinity,
                          that.min() !== null ? that.min() : Infinity);
-    this._max = math.max(this.max() !== null ? this.max() : -Infinity,
+    this._max = Math.max(this.max() !== null ? this.max() : -Infinity,
                          that.max() !== null ? that.max() : -Infinity);
     // NOTE: Unlike in the paper, B must be <= B_1 + B_2. Default is to use
     // min(B_1, B_2)
@@ -298,9 +1254,18 @@ StreamHist.prototype.merge = function(that, maxBins) {
     var maxBins = Number.isInteger(maxBins) ? maxBins : minBins;
     this.maxBins(math.min(maxBins, this.maxBins() + that.maxBins()));
     // Steps 1-2: Add all bins from h_2 to h_1 and sort the sequence
-    var it = that.bins().iterator(), item;
+    // NOTE: Bins are copied, so that compressing one histogram later doesn't
+    // affect the other, and bins with identical means are combined.
+    var it = that.bins().iterator(), item, bin;
     while((item = it.next()) !== null) {
-        this.bins().insert(item);
+        item = this._copyBin(item, factor);
+        bin = this.bins().find(item);
+        if (bin !== null) {
+            this._combineBins(bin, item);
+            this._queue.update(bin);
+        } else {
+            this._addBin(item);
+        }
     }
     // Steps 3-6: Find a point q_i that minimizes q_i+1 − q_i.
     // Replace the bins (q_i, k_i), (q_i+1, k_i+1) by the bin:
@@ -311,9 +1276,136 @@ StreamHist.prototype.merge = function(that, maxBins) {
     return this
 };
 
+/** @protected */
+StreamHist.prototype._addPoints = function(points, factor) {
+    // Merge (copies of) another histogram's points into this one's, which
+    // keeps exact mode only if both were in it, and there aren't too many
+    if (this._points === null)
+        return;
+    var merged = points !== null ?
+        mergePoints(this._points, points, factor) : null;
+    this._points = merged !== null && merged.length <= this.exact() ?
+        merged : null;
+};
+
+/** @protected */
+StreamHist.prototype._countInputs = function(that) {
+    // Add the counts of points that another histogram's policy dealt with
+    for (var kind in this._inputs) {
+        this._inputs[kind] += that._inputs[kind];
+    }
+};
+
+/**
+ * Merge any number of histograms into a new histogram, in a single pass: the
+ * bins of all inputs are copied and sorted together, and then compressed down
+ * to maxBins, so the result doesn't depend on the order of the inputs. Unlike
+ * merge, none of the inputs are changed.
+ * Settings that the inputs disagree on must be given in options: the merged
+ * histogram is weighted (or uses a strategy), frozen, warmed up or in exact
+ * mode only as the options (or else all of the inputs) say, while maxBins
+ * defaults to the smallest of the inputs'. It keeps exact mode only if all of
+ * the (non-empty) inputs are in it, and their distinct values fit.
+ * Decaying inputs must share a half-life, and are brought to the latest time
+ * of any of them. Inputs must also share a transform, as bins can't be moved
+ * from one scale to another.
+ * @param {Array.<StreamHist>} hists The histograms to merge.
+ * @param {object} [options] Settings for the merged histogram.
+ * @param {number} [options.maxBins] The maximum number of bins.
+ * @param {boolean} [options.weighted] Whether to use gap weighting.
+ * @param {(string|function)} [options.strategy] The merge-cost strategy.
+ * @param {number} [options.freeze] The freeze threshold.
+ * @param {number} [options.warmUp] The warm-up threshold.
+ * @param {number} [options.exact] The exact mode threshold.
+ * @return {StreamHist} hist The merged histogram.
+ * @throws {TypeError} If the inputs aren't all histograms.
+ * @throws {Error} If the inputs' settings conflict (and aren't given), or
+ *      their half-lives or transforms differ.
+ */
+StreamHist.mergeAll = function(hists, options) {
+    return new StreamHist()._mergeAll(hists, options);
+};
+
+/** @protected */
+StreamHist.prototype._mergeAll = function(hists, options) {
+    // Algorithm 2: Merge Procedure
+    // Ben-Haim & Tom-Tov (2010) p 852
+    // NOTE: Unlike in the paper, all histograms are merged at once
+    options = options || {};
+    if (!Array.isArray(hists) || hists.some(h => {
+        return !(h instanceof this.constructor);
+    }))
+        throw new TypeError("Expected an array of histograms");
+    var setting = name => {
+        if (options[name] != null)
+            return options[name];
+        if (hists.some(h => h[name]() !== hists[0][name]()))
+            throw new Error("Cannot merge histograms with different " + name +
+                            " settings (unless given in options)");
+        return hists.length ? hists[0][name]() : null;
+    };
+    this.maxBins(options.maxBins != null ? options.maxBins :
+                 hists.length ? math.min(hists.map(h => h.maxBins())) : 100);
+    if (options.strategy == null)
+        this.weighted(setting("weighted") || false);
+    if (options.strategy != null || options.weighted == null)
+        this.strategy(setting("strategy") || "gap");
+    this.freeze(setting("freeze") || 0);
+    this.warmUp(setting("warmUp") || 0);
+    this.exact(setting("exact") || 0);
+    if (hists.some(h => h.transform() !== hists[0].transform()))
+        throw new Error("Cannot merge histograms with different transforms");
+    this.transform(hists.length ? hists[0].transform() : null);
+    var halfLife = 0, units = null, time = null;
+    hists.forEach(h => {
+        if (h.halfLife() !== hists[0].halfLife() ||
+            (h.halfLife() && h._decayUnits !== hists[0]._decayUnits))
+            throw new Error("Cannot merge histograms with different half-lives");
+        halfLife = h.halfLife(), units = h._decayUnits;
+        if (h._time !== null)
+            time = time === null ? h._time : math.max(time, h._time);
+    });
+    if (halfLife) {
+        this.halfLife(halfLife, units);
+        this._time = this._landmark = time;
+    }
+    // Steps 1-2: Add all bins to h and sort the sequence, combining bins with
+    // identical means
+    var bins = [];
+    hists.forEach(that => {
+        var factor = halfLife && that._time !== null ?
+            math.pow(2, -(time - that._landmark) / halfLife) : 1.0;
+        this._count += that._count * factor;
+        this._countInputs(that);
+        if (that.size() > 0)
+            this._addPoints(that._points, factor);
+        if (that.min() !== null) {
+            this._min = this._min !== null ? Math.min(this._min, that.min()) :
+                                             that.min();
+            this._max = this._max !== null ? Math.max(this._max, that.max()) :
+                                             that.max();
+        }
+        that.bins().each(b => bins.push(this._copyBin(b, factor)));
+    });
+    bins.sort(compareBins).forEach(b => {
+        var last = this.bins().max();
+        if (last !== null && last.mean === b.mean)
+            this._combineBins(last, b);
+        else
+            this.bins().insert(b);
+    });
+    // Steps 3-6: Replace the closest bins until there are at most B bins
+    this._rebuildQueue();
+    this._compress();
+    return this;
+};
+
 /**
  * Compute the estimated data value for the given quantile(s).
- * The requested quantile(s) must be between 0 and 1.
+ * The requested quantile(s) must be between 0 and 1. In exact mode (see
+ * exact), this is the weighted empirical quantile of the points pushed, i.e.,
+ * the first value with more than the given fraction of the total weight at or
+ * below it (or the midpoint of two values that split the weight exactly).
  * @param {(number|Array.<number>)} p_or_plist The quantile or array of
  *      quantiles for which to estimate data values.
  * @return {(number|Array.<number>)} qs The data value(s) at the given
@@ -325,25 +1417,40 @@ StreamHist.prototype.quantile = function(p_or_plist) {
     // Algorithm input requires a Histogram h, and a quantile/percentage p
     // NOTE: This triggers _cumulate() if cumn's are out of date.
     var ps = Array.isArray(p_or_plist) ? p_or_plist : [p_or_plist];
+    this._decay();
     // Steps 1-6: ∀ j = 1, ..., B (or in our case, ∀ p ∈ ps)
-    var qs = ps.map(this._quantile, this);
+    // NOTE: In exact mode, the points themselves are used instead
+    var qs = ps.map(p => {
+        if (this._points !== null)
+            return this._exactQuantile(p);
+        return this._toValue(this._quantile(p));
+    });
     // For percentage p {0, ..., 1}, or ∀ p ∈ ps, return
     // a real number u with the property that the number of points <= u
     // is p * ∑_{i=1}^B m_i (total count of points in h)
     return Array.isArray(p_or_plist) ? qs : qs[0];
 };
 
+/** @protected */
+StreamHist.prototype._exactQuantile = function(q) {
+    // The weighted empirical quantile, in exact mode, which works in the
+    // original units
+    return weightedQuantile(this._points, q);
+};
+
 /** @protected */
 StreamHist.prototype._quantile = function(q) {
     // (A variation on) Algorithm 4: Uniform Procedure
     // Ben-Haim & Tom-Tov (2010) p 853
     // Some shortcuts to speed up (literal) edge cases
+    // NOTE: This works on the binned scale, so with a transform, the result
+    // needs mapping back (see _toValue).
     if (this.size() === 0)
         return null;
     else if (q <= 0.0)
-        return this.min();
+        return this._lo();
     else if (q >= 1.0)
-        return this.max();
+        return this._hi();
     // Step 2: Set s = j/B ∑_{i=1}^B m_i (or in our case, p * ∑_{i=1}^B m_i)
     var s = this.count() * q;
     // Step 3: Find i such that sum([−∞, p_i ]) < s < sum([−∞, p_i+1 ]).
@@ -352,6 +1459,19 @@ StreamHist.prototype._quantile = function(q) {
     this._cumulate();
     var bound = this._boundCumn(s);
     var lower = bound[0], upper = bound[1];
+    // NOTE: Unlike in the paper, s may fall before the first bin's centre
+    // (which holds half of its count), e.g., for the first quartile of three
+    // points, where there is no lower bin to interpolate from. Since the
+    // minimum is the 0th quantile, we interpolate between it and the first bin.
+    if (lower === null)
+        return this._lo() + (upper.mean - this._lo()) * (s / upper.cumn);
+    // Likewise, s may fall after the last bin's centre, where the paper's
+    // procedure gets stuck at its mean, so that upper quantiles would never
+    // reach the maximum (which is the 1st quantile). The robust statistics
+    // (iqr, mad, the trimmed means) rely on quantiles spanning the data.
+    if (lower === upper && s > lower.cumn)
+        return lower.mean + (this._hi() - lower.mean) *
+                            ((s - lower.cumn) / (this.count() - lower.cumn));
     // Step 4: Set d to be the difference between s and sum([−∞, p_i]).
     var d = (lower.cumn - s);
     // Step 5
@@ -375,7 +1495,8 @@ StreamHist.prototype._quantile = function(q) {
         var b = 2 * lower.count;  // b = 2_m
         var c = 2 * d;  // c = -2_d
         // z = -b + √(b^2 - 4ac) / 2a
-        z = (-b + math.sqrt(b * b - 4 * a * c)) / (2 * a);
+        // (Rounding can make a tiny discriminant negative, so clamp it)
+        z = (-b + math.sqrt(math.max(b * b - 4 * a * c, 0))) / (2 * a);
     }
     // Hence set u_j = p_i + (p_{i+1} − p_i)* z, where z is above...
     return lower.mean + (upper.mean - lower.mean) * z;
@@ -383,6 +1504,8 @@ StreamHist.prototype._quantile = function(q) {
 
 /**
  * Estimate values from this histogram's empirical cumulative distribution.
+ * In exact mode (see exact), this is the total weight of the points <= each
+ * value, rather than an interpolation between bins.
  * @param {(number|Array.<number>)} p_or_plist The value or array of
  *      values at which to estimate the cumulative *count*.
  * @return {(number|Array.<number>)} qs Cumulative count(s) at the given value(s).
@@ -394,8 +1517,11 @@ StreamHist.prototype.sum = function(p_or_plist, normed) {
     var normed = normed == null ? true : normed === true;
     // NOTE: This triggers _cumulate() if cumn's are out of date.
     var ps = Array.isArray(p_or_plist) ? p_or_plist : [p_or_plist];
+    this._decay();
     // Steps 1-6: ∀ j = 1, ..., B (or in our case, ∀ p ∈ ps)
-    var qs = ps.map(this._sum, this);
+    // NOTE: In exact mode, the points themselves are used instead
+    var qs = ps.map(p => this._points !== null ? this._exactSum(p) :
+                                                 this._sum(this._toBinned(p)));
     // For percentage p {0, ..., 1}, or ∀ p ∈ ps, return
     // a real number u with the property that the number of points <= u
     // is p * ∑_{i=1}^B m_i (total count of points in h)
@@ -404,16 +1530,31 @@ StreamHist.prototype.sum = function(p_or_plist, normed) {
     return Array.isArray(p_or_plist) ? qs : qs[0];
 };
 
+/** @protected */
+StreamHist.prototype._exactSum = function(x) {
+    // The total weight of the points <= x, in exact mode
+    var points = this._points, end = bisectPoints(points, x), sum = 0.0;
+    if (points.length === 0)
+        return null;
+    if (end < points.length && points[end].value === x)
+        end++;
+    for (var i = 0 ; i < end ; i++) {
+        sum += points[i].count;
+    }
+    return sum;
+};
+
 /** @protected */
 StreamHist.prototype._sum = function(b) {
     // (A variation on) Algorithm 3: Sum Procedure
     // Ben-Haim & Tom-Tov (2010) p 852
+    // NOTE: Like _quantile, this works on the binned scale (see _toBinned).
     // Some shortcuts to speed up (literal) edge cases
     if (this.size() === 0)
         return null;
-    else if (b < this.min())
+    else if (b < this._lo())
         return 0.0;
-    else if (b >= this.max())
+    else if (b >= this._hi())
         return this.count();
     // Step 1: Find i such that p_i < b < p_{i+1}
     // In other words, find bins that bracket b and interpolate b's cumulative
@@ -421,6 +1562,17 @@ StreamHist.prototype._sum = function(b) {
     this._cumulate();
     var bound = this._bound(b),
         lower = bound[0], upper = bound[1];
+    // NOTE: Unlike in the paper, b may fall before the first bin's centre or
+    // after the last's, in which case we interpolate towards min or max.
+    // Otherwise, the sum would jump from 0 to half the first bin's count at
+    // the minimum, and be NaN after the last bin's centre. As mad bisects the
+    // sum, it needs the sum to be continuous (and the inverse of _quantile in
+    // the tails).
+    if (b < lower.mean)
+        return lower.cumn * (b - this._lo()) / (lower.mean - this._lo());
+    if (b > lower.mean && lower === upper)
+        return lower.cumn + (this.count() - lower.cumn) *
+                            (b - lower.mean) / (this._hi() - lower.mean);
     // Step 2: Set s = ((m_i + m_b) / 2) * ((b − p_i) / (p_{i+1} − p_i))
     // where m_b = m_i + (m_{i+1} - m_i) / (p_{i+1} - p_i) * (b − p_i).
     var pdiff = (upper.mean - lower.mean),
@@ -434,31 +1586,225 @@ StreamHist.prototype._sum = function(b) {
     return s + ((lower.count + mb) / 2) * (bdiff / pdiff)
 };
 
+/**
+ * @typedef {Object} Interval
+ * @property {number} estimate The estimate of the bounded quantity (clamped
+ *      to the bounds, should interpolation stray outside them).
+ * @property {number} lower A lower bound on the quantity.
+ * @property {number} upper An upper bound on the quantity.
+ */
+
+/**
+ * Estimate the data value(s) for the given quantile(s), with error bounds.
+ * With a "value" bound, the interval brackets the true quantile (i.e., the
+ * smallest point with at least p * count() points <= it), estimated by
+ * quantile(p). With a "rank" bound, it brackets the true fraction of points
+ * <= quantile(p), estimated by p.
+ * Bounds are derived from each bin's count and spread (tss) via Cantelli's
+ * inequality, together with min and max, and hold for any data, provided the
+ * bins' spreads are exact (they aren't once the histogram is frozen or
+ * warmed up). The estimate itself interpolates between neighbouring bins. In
+ * exact mode (see exact), the estimate and bounds come from the points instead.
+ * @param {(number|Array.<number>)} p_or_plist The quantile or array of
+ *      quantiles for which to estimate data values.
+ * @param {string} [bound="value"] Either "value" or "rank".
+ * @return {(Interval|Array.<Interval>)} intervals The estimate(s) and their
+ *      bounds, or null if the histogram is empty.
+ * @see StreamHist.quantile
+ */
+StreamHist.prototype.quantileInterval = function(p_or_plist, bound) {
+    var ps = Array.isArray(p_or_plist) ? p_or_plist : [p_or_plist],
+        rank = checkBound(bound, "value") === "rank";
+    this._decay();
+    var intervals = ps.map(p => {
+        if (this.size() === 0)
+            return null;
+        if (this._points !== null)
+            return this._exactInterval(p, rank);
+        var estimate = this._quantile(p), n = this.count();
+        if (rank) {
+            var counts = this._sumBounds(estimate);
+            return clampInterval(p, counts[0] / n, counts[1] / n);
+        }
+        p = math.min(math.max(p, 0.0), 1.0);
+        return this._valueInterval(clampInterval(
+            estimate, this._quantileBound(p * n, 1),
+            this._quantileBound(p * n, 0)));
+    });
+    return Array.isArray(p_or_plist) ? intervals : intervals[0];
+};
+
+/** @protected */
+StreamHist.prototype._exactInterval = function(p, rank) {
+    // As quantileInterval, in exact mode, where the points are known. The
+    // estimate is quantile(p), which may be the midpoint of two points, so
+    // the bounds only span the gap between it and the true quantile.
+    var points = this._points, n = this.count(),
+        estimate = this._exactQuantile(p);
+    if (rank) {
+        var below = 0.0, end = bisectPoints(points, estimate);
+        for (var i = 0 ; i < end ; i++) {
+            below += points[i].count;
+        }
+        return clampInterval(p, below / n, this._exactSum(estimate) / n);
+    }
+    // The true quantile is the smallest point with at least p * n points <= it
+    var s = math.min(math.max(p, 0.0), 1.0) * n, cumulative = 0.0, q;
+    for (i = 0 ; i < points.length ; i++) {
+        cumulative += points[i].count;
+        q = points[i].value;
+        if (cumulative >= s)
+            break;
+    }
+    return {estimate: estimate, lower: math.min(q, estimate),
+            upper: math.max(q, estimate)};
+};
+
+/**
+ * Estimate values from this histogram's empirical cumulative distribution,
+ * with error bounds. With a "rank" bound, the interval brackets the true
+ * cumulative count at x, estimated by sum(x). With a "value" bound, it
+ * brackets the true value at which the cumulative count reaches sum(x),
+ * estimated by x.
+ * @param {(number|Array.<number>)} x_or_xlist The value or array of
+ *      values at which to estimate the cumulative *count*.
+ * @param {string} [bound="rank"] Either "rank" or "value".
+ * @return {(Interval|Array.<Interval>)} intervals The estimate(s) and their
+ *      bounds, or null if the histogram is empty.
+ * @see StreamHist.sum
+ * @see StreamHist.quantileInterval for how the bounds are derived.
+ */
+StreamHist.prototype.sumInterval = function(x_or_xlist, bound) {
+    var xs = Array.isArray(x_or_xlist) ? x_or_xlist : [x_or_xlist],
+        value = checkBound(bound, "rank") === "value";
+    this._decay();
+    var intervals = xs.map(x => {
+        if (this.size() === 0)
+            return null;
+        var y = this._toBinned(x), counts = this._sumBounds(y),
+            estimate = math.min(math.max(this._sum(y), counts[0]), counts[1]);
+        if (value) {
+            // Clamping commutes with the (increasing) transform
+            return this._valueInterval(clampInterval(
+                y, this._quantileBound(estimate, 1),
+                this._quantileBound(estimate, 0)));
+        }
+        return clampInterval(estimate, counts[0], counts[1]);
+    });
+    return Array.isArray(x_or_xlist) ? intervals : intervals[0];
+};
+
+/**
+ * Check the type of bound requested from quantileInterval or sumInterval.
+ * @param {string} [bound] Either "value" or "rank".
+ * @param {string} fallback The default type of bound.
+ * @return {string} bound The type of bound.
+ * @throws {Error} If the type of bound is unknown.
+ */
+function checkBound(bound, fallback) {
+    bound = bound == null ? fallback : bound;
+    if (bound !== "value" && bound !== "rank")
+        throw new Error("Unknown bound " + JSON.stringify(bound) +
+                        " (expected \"value\" or \"rank\")");
+    return bound;
+};
+
+/** Make an interval, with the estimate clamped to the bounds. */
+function clampInterval(estimate, lower, upper) {
+    return {estimate: math.min(math.max(estimate, lower), upper),
+            lower: lower, upper: upper};
+};
+
+/** @protected */
+StreamHist.prototype._valueInterval = function(interval) {
+    // Map an interval of values on the binned scale back to the original one
+    return {estimate: this._toValue(interval.estimate),
+            lower: this._toValue(interval.lower),
+            upper: this._toValue(interval.upper)};
+};
+
+/** @protected */
+StreamHist.prototype._sumBounds = function(x) {
+    // Bound the count of points <= x. By Cantelli's inequality, at most a
+    // fraction v / (v + d^2) of a bin's points (with variance v) lie more
+    // than a distance d beyond its mean on either side.
+    if (x < this._lo())
+        return [0.0, 0.0];
+    else if (x >= this._hi())
+        return [this.count(), this.count()];
+    var lower = 0.0, upper = 0.0;
+    this.bins().each(b => {
+        var d = x - b.mean, v = b.count > 0 ? b.tss / b.count : 0.0;
+        if (d >= 0) {
+            lower += (d === 0 && v === 0) ? b.count :
+                                            b.count * d * d / (v + d * d);
+            upper += b.count;
+        } else if (v > 0) {
+            upper += b.count * v / (v + d * d);
+        }
+    });
+    return [math.min(lower, this.count()), math.min(upper, this.count())];
+};
+
+/** @protected */
+StreamHist.prototype._quantileBound = function(s, which) {
+    // Find the smallest value at which the lower (which = 0) or upper
+    // (which = 1) bound on the cumulative count reaches s. Both bounds are
+    // non-decreasing, so we can bisect between min and max.
+    var lo = this._lo(), hi = this._hi();
+    if (this._sumBounds(lo)[which] >= s)
+        return lo;
+    for (var i = 0 ; i < 100 && lo < hi ; i++) {
+        var mid = lo + (hi - lo) / 2;
+        if (mid === lo || mid === hi)
+            break;
+        if (this._sumBounds(mid)[which] >= s)
+            hi = mid;
+        else
+            lo = mid;
+    }
+    return hi;
+};
+
 /**
  * Estimate values from this histogram's empirical probability distribution.
  * NOTE: This is based on interpolating a PDF between discrete bins, we
  * *aren't* using Dirac delta functions, which might be a better idea.
  * @see {@link https://www.probabilitycourse.com/chapter4/4_3_2
  *      _delta_function.php}
+ * With a transform, the density on the binned scale is converted back to the
+ * original units, by multiplying it by the transform's derivative.
  * @param {(number|Array.<number>)} p_or_plist The value or array of
  *      values at which to estimate the density.
  * @return {(number|Array.<number>)} qs Mass/density for the given value(s).
  */
 StreamHist.prototype.density = function(b) {
     // Despite quite a few tests, this should be treated as experimental
+    this._decay();
+    if (this._transform === null || this.size() === 0)
+        return this._density(b);
+    else if (b < this.min() || b > this.max())
+        return 0.0;
+    var res = this._density(this._toBinned(b));
+    // Change of variables: f(x) = g(F(x)) * F'(x)
+    return res > 0 && res < Infinity ? res * this._derivative(b) : res;
+};
+
+/** @protected */
+StreamHist.prototype._density = function(b) {
     // Some shortcuts to speed up (literal) edge cases
     if (this.size() === 0)
         return null;
-    else if (b < this.min() || b > this.max())
+    else if (b < this._lo() || b > this._hi())
         return 0.0;
-    else if (b === this.min() && b === this.max())  // Single point mass
+    else if (b === this._lo() && b === this._hi())  // Single point mass
         return Infinity;
     var bound = this._bound(b),
         lower = bound[0], upper = bound[1];
     if (lower.mean === b && upper.mean === b) { // p is exactly a bin mean
         // We use 2* EPSILON because... well I'm not sure, it seems to work.
         var lo = b - Number.EPSILON*10, hi = b + Number.EPSILON*10,
-            res = (this.density(lo) + this.density(hi)) / 2;
+            res = (this._density(lo) + this._density(hi)) / 2;
     } else {
         var pdiff = (upper.mean - lower.mean),
             bdiff = (b - lower.mean),
@@ -467,7 +1813,103 @@ StreamHist.prototype.density = function(b) {
             mb = mdiff * ratio,
             res = (lower.count + mb) / pdiff;
     }
-    return res >= 0 ? res/this.count() : 0.0
+    return res >= 0 ? res/this.count() : 0.0
+};
+
+/**
+ * @typedef {Object} RebinInterval
+ * @property {number} lo The lower edge of the interval.
+ * @property {number} hi The upper edge of the interval.
+ * @property {number} count The estimated count of points in the interval.
+ * @property {number} density The estimated (normalized) density across the
+ *      interval, i.e., count / (hi - lo) / count().
+ */
+
+/**
+ * Rebin this histogram into regular intervals (a 'classic' histogram), e.g.,
+ * for charting. Counts are estimated with the Sum procedure at each edge (or
+ * counted from the points, in exact mode), and add up to count() exactly, as long as the edges span min to max. Points
+ * outside explicit edges are left out. If all points have the same value,
+ * n intervals collapse into one of zero width (and infinite density).
+ * @param {(number|Array.<number>)} n_or_edges The number of intervals between
+ *      min and max, or the edges of the intervals, in increasing order.
+ * @param {string} [spacing="linear"] How to space n intervals: "linear" (of
+ *      equal width), "log" (log-spaced, for positive data) or "quantile" (of
+ *      equal frequency, merging any intervals that collapse onto a single
+ *      value). Ignored when edges are given.
+ * @return {Array.<RebinInterval>} intervals The intervals, in order, or an
+ *      empty array if this histogram is empty.
+ * @throws {Error} If n, the edges or the spacing aren't valid.
+ */
+StreamHist.prototype.rebin = function(n_or_edges, spacing) {
+    if (this.size() === 0)
+        return [];
+    this._decay();
+    var edges = n_or_edges, total = this.count(),
+        min = this.min(), max = this.max();
+    if (!Array.isArray(edges)) {
+        edges = this._edges(n_or_edges, spacing || "linear");
+    } else if (edges.length < 2 || edges.some((e, i) => {
+        return typeof e !== "number" || e !== e || (i && !(e > edges[i - 1]));
+    })) {
+        throw new Error("Edges must be at least two increasing numbers");
+    }
+    // Cumulative counts at each edge, kept monotonic (as interpolation can
+    // overshoot) and pinned at the limits. They are also rounded to multiples
+    // of the spacing between floats near the total count, so that the counts
+    // (and their running sums) are exact, and add up to the total exactly.
+    var exponent = math.floor(math.log(total, 2));
+    if (math.pow(2, exponent) > total)
+        exponent--;
+    else if (math.pow(2, exponent + 1) <= total)
+        exponent++;
+    var unit = math.pow(2, exponent - 52), prev = 0.0;
+    var cumulative = edges.map((e, i) => {
+        var s = e < min || (i === 0 && e === min) ? 0.0 :
+                (e >= max ? total : this._points !== null ?
+                 this._exactSum(e) : this._sum(this._toBinned(e)));
+        s = math.round(math.min(math.max(s, prev), total) / unit) * unit;
+        return prev = s;
+    });
+    var intervals = [];
+    for (var i = 1 ; i < edges.length ; i++) {
+        intervals.push({lo: edges[i - 1], hi: edges[i],
+                        count: cumulative[i] - cumulative[i - 1]});
+    }
+    intervals.forEach(b => b.density = b.count / (b.hi - b.lo) / total);
+    return intervals;
+};
+
+/** @protected */
+StreamHist.prototype._edges = function(n, spacing) {
+    // Compute the edges of n intervals between min and max
+    if (!Number.isInteger(n) || n < 1)
+        throw new Error("Number of intervals must be a positive integer");
+    var min = this.min(), max = this.max(), edges = [min], i;
+    if (spacing === "log" && !(min > 0))
+        throw new Error("Log spacing requires positive data");
+    if (min === max)  // A single value, so a single (degenerate) interval
+        return [min, max];
+    for (i = 1 ; i < n ; i++) {
+        if (spacing === "linear") {
+            edges.push(min + (max - min) * i / n);
+        } else if (spacing === "log") {
+            edges.push(min * math.pow(max / min, i / n));
+        } else if (spacing === "quantile") {
+            edges.push(math.min(math.max(this.quantile(i / n), min), max));
+        } else {
+            throw new Error("Unknown spacing " + JSON.stringify(spacing) +
+                            " (expected \"linear\", \"log\" or " +
+                            "\"quantile\")");
+        }
+    }
+    edges.push(max);
+    // Quantiles may coincide (e.g., for repeated values)
+    return edges.reduce((kept, e) => {
+        if (e > kept[kept.length - 1])
+            kept.push(e);
+        return kept;
+    }, [min]);
 };
 
 /** @protected */
@@ -475,6 +1917,9 @@ StreamHist.prototype._cumulate = function() {
     // (A variation on) Algorithm 4: Uniform Procedure
     // Step 3: Find i such that sum([−∞, pi ]) < s < sum([−∞, pi+1 ]).
     // Update cumulative counts for each bin for use in above Step 3 search
+    // NOTE: Every change to the bins either changes the total count or resets
+    // _cumn (as merging bins does, unless it keeps their cumulative counts up
+    // to date), so the cumulative counts are up to date if neither happened.
     if (this._count === this._cumn) {
         return;
     }
@@ -483,7 +1928,7 @@ StreamHist.prototype._cumulate = function() {
         c.cumn = cumn + c.count / 2;  // half of count at the mean
         cumn += c.count;
     });
-    this._count = this._cumn = cumn;
+    this._cumn = this._count;
 };
 
 /** @protected */
@@ -527,18 +1972,135 @@ StreamHist.prototype._addWeight = function(nearest, x, count) {
     // nearest.count += count;
 };
 
+/** @protected */
+StreamHist.prototype._tick = function(time) {
+    // Advance the decay clock for a new point, and return the weight it should
+    // be inserted with. Rather than scaling all bins down on every insert, new
+    // points are scaled *up* relative to a landmark time ('forward decay'),
+    // and the bins are only rescaled when they are next queried.
+    if (!this.halfLife())
+        return 1;
+    if (this._decayUnits === "events") {
+        time = this._time !== null ? this._time + 1 : 0;
+    } else if (time == null) {
+        time = Date.now();
+    }
+    if (this._time === null || time > this._time)
+        this._time = time;
+    if (this._landmark === null)
+        this._landmark = time;
+    var exponent = (time - this._landmark) / this.halfLife();
+    if (exponent > 64) {  // Rescale before weights get too large
+        this._decay(time);
+        exponent = 0;
+    }
+    return math.pow(2, exponent);
+};
+
+/** @protected */
+StreamHist.prototype._decay = function(time) {
+    // Rescale all bin counts so that they are relative to the given (or
+    // latest) time, which then becomes the new landmark time.
+    time = time != null ? time : this._time;
+    if (!this.halfLife() || time === null || time === this._landmark)
+        return;
+    var factor = this._factor(time);
+    this._own();
+    this.bins().each(b => {
+        b.count *= factor;
+        b.tss *= factor;
+        b.m3 *= factor;
+        b.m4 *= factor;
+    });
+    (this._points || []).forEach(p => p.count *= factor);
+    this._count *= factor;
+    this._tss = 0.0;
+    this._landmark = time;
+    if (this.strategy() !== "gap")  // Other costs depend on bin counts
+        this._rebuildQueue();
+};
+
+/** @protected */
+StreamHist.prototype._factor = function(time) {
+    // Decay factor between the landmark time and the given (or latest) time
+    time = time != null ? time : this._time;
+    if (!this.halfLife() || time === null || this._landmark === null)
+        return 1;
+    return math.pow(2, -(time - this._landmark) / this.halfLife());
+};
+
 /**
  * Reset this histogram so that all counts, bins, etc. are set to zero/null.
  * @return {StreamHist} this This (now reset) histogram instance.
  */
 StreamHist.prototype.reset = function() {
-    // Reset and prepare to consume new points
+    // Reset and prepare to consume new points, leaving any shared bins to the
+    // histograms that share them
+    if (this._shared.refs > 1) {
+        this._shared.refs--;
+        this._shared = {refs: 1};
+        this._bins = new RBTree(compareBins);
+    }
     this._bins.clear();
+    this._queue.clear();
     this._count = 0;
     this._cumn = 0;
     this._min = null;
     this._max = null;
     this._tss = 0.0;
+    this._time = null;
+    this._landmark = null;
+    this._points = this.exact() > 0 ? [] : null;
+    this._inputs = {nan: 0, infinity: 0, null: 0, clamped: 0, outOfDomain: 0};
+    return this;
+};
+
+/**
+ * Return an independent copy of this histogram, with the same settings, decay
+ * state and bins. Changes to either histogram don't affect the other.
+ * @return {StreamHist} copy The copy.
+ * @see StreamHist.snapshot
+ */
+StreamHist.prototype.clone = function() {
+    return this.snapshot()._own();
+};
+
+/**
+ * Take a snapshot of this histogram, e.g., for reporting while points keep
+ * being pushed to it. The snapshot behaves just like a clone, but is cheap to
+ * take: it shares this histogram's bins until either of them changes, when
+ * the one that changes first copies them (copy-on-write). So a snapshot is
+ * copied at most once, and only if this histogram changes while it is kept.
+ * NOTE: Reading a decaying histogram can bring its counts up to date, which
+ * also counts as a change.
+ * @return {StreamHist} snapshot The snapshot.
+ */
+StreamHist.prototype.snapshot = function() {
+    var copy = new this.constructor();
+    // Settings and totals are plain values, so they can simply be copied
+    Object.keys(this).forEach(key => copy[key] = this[key]);
+    copy._inputs = Object.assign({}, this._inputs);  // Counted separately
+    copy._shared = this._shared;
+    this._shared.refs++;
+    return copy;
+};
+
+/** @protected */
+StreamHist.prototype._own = function() {
+    // Copy-on-write: before changing bins shared with other histograms, make
+    // copies of them for this histogram alone.
+    if (this._shared.refs === 1)
+        return this;
+    var bins = new RBTree(compareBins);
+    this.bins().each(b => bins.insert(this._copyBin(b)));
+    if (this._points !== null)  // Exact mode points are shared likewise
+        this._points = this._points.map(p => ({value: p.value,
+                                               count: p.count}));
+    this._shared.refs--;
+    this._shared = {refs: 1};
+    this._bins = bins;
+    this._cumn = null;  // The copies have no cumulative counts
+    this._rebuildQueue();
     return this;
 };
 
@@ -548,43 +2110,416 @@ StreamHist.prototype.reset = function() {
  */
 StreamHist.prototype.toArray = function() {
     var array = [];
-    this.bins().each(b => array.push({mean:b.mean, count:b.count, tss:b.tss}));
+    this._decay();
+    this.bins().each(b => array.push({mean:b.mean, count:b.count, tss:b.tss,
+                                      m3:b.m3, m4:b.m4}));
     return array;
 };
 
+/**
+ * The current version of the JSON format produced by toJSON. Version 2 added
+ * transform, which changes the scale of the bin means, so readers of version
+ * 1 (which would take them as linear) must reject it.
+ * @const {number}
+ */
+var JSON_VERSION = 2;
+
+/**
+ * @typedef {Object} HistJSON
+ * The JSON representation of a histogram (version 2).
+ * @property {number} version The version of the format (currently 2).
+ * @property {number} maxBins The maximum number of bins (a positive integer).
+ * @property {boolean} weighted Whether gap weighting is used.
+ * @property {string} [strategy] The merge-cost strategy, or "custom" for a
+ *      custom one (which must be given again when loading). This is optional,
+ *      and defaults to "weighted" or "gap", as weighted says.
+ * @property {?string} [transform] The transform, "custom" for a custom one
+ *      (which must be given again when loading), or null (the default) for
+ *      none. With a transform, bins are on the transformed scale, but min and
+ *      max are in the original units.
+ * @property {number} freeze The freeze threshold (a non-negative integer).
+ * @property {number} warmUp The warm-up threshold (a non-negative integer).
+ * @property {number} [exact=0] The exact mode threshold (a non-negative
+ *      integer).
+ * @property {number} count The total count, which must equal the sum of the
+ *      bin counts.
+ * @property {?number} min The minimum value, or null if empty.
+ * @property {?number} max The maximum value, or null if empty.
+ * @property {?{halfLife: number, units: string, time: ?number,
+ *      landmark: ?number}} decay The decay state, or null if not decaying.
+ * @property {Array.<Bin>} bins The bins (with finite means, in strictly
+ *      increasing order, and non-negative counts and spreads). The higher
+ *      moments m3 and m4 are optional, and default to 0.
+ * @property {?Array.<ExactPoint>} [points] In exact mode, the distinct values
+ *      pushed (at most exact of them, with finite values in strictly
+ *      increasing order, and positive counts adding up to count), or null
+ *      (the default) otherwise.
+ */
+
 /**
  * Return a JSON reprentation of this histogram useful for communicating
  * histogram information across processes or networks.
- * @return {object} json A JSON reprentation of this histogram.
+ * @return {HistJSON} json A JSON reprentation of this histogram.
  */
 StreamHist.prototype.toJSON = function() {
-    var json = {};
-    json._bins = this.toArray();
-    for (var name in this) {
-        if (this.hasOwnProperty(name) &&
-            (name !== "_bins" && name !== "_cumn")) {
-            json[name] = this[name];
-        }
+    var bins = this.toArray();  // Brings decayed counts up to date
+    return {
+        "version": JSON_VERSION,
+        "maxBins": this.maxBins(),
+        "weighted": this.weighted(),
+        "strategy": typeof this.strategy() === "function" ? "custom" :
+                                                            this.strategy(),
+        "transform": this._transform !== null ? this._transformName() : null,
+        "freeze": this.freeze(),
+        "warmUp": this.warmUp(),
+        "exact": this.exact(),
+        "count": this.count(),
+        "min": this.min(),
+        "max": this.max(),
+        "decay": this.halfLife() ? {"halfLife": this.halfLife(),
+                                    "units": this._decayUnits,
+                                    "time": this._time,
+                                    "landmark": this._landmark} : null,
+        "bins": bins,
+        "points": this._points !== null ?
+            this._points.map(p => ({"value": p.value, "count": p.count})) :
+            null
+    };
+};
+
+/**
+ * Create a histogram from a JSON data structure. The input is validated, and
+ * the (unversioned) format used before version 1 is migrated automatically.
+ * @param {HistJSON} json A JSON representation of a histogram.
+ * @param {object} [options] Loading options.
+ * @param {function} [options.strategy] The custom strategy, for histograms
+ *      saved with one (which can't be serialized).
+ * @param {Transform} [options.transform] The custom transform, likewise.
+ * @return {StreamHist} hist The histogram.
+ * @throws {ValidationError} If the input is invalid.
+ * @see StreamHist.toJSON
+ */
+StreamHist.fromJSON = function(json, options) {
+    return new StreamHist()._fromJSON(json, options);
+};
+
+/**
+ * Migrate a JSON representation of a histogram to the current version: the
+ * unversioned format to version 1, and version 1 to version 2.
+ * @param {object} json A JSON representation of a histogram.
+ * @return {HistJSON} json The (possibly migrated) JSON representation.
+ */
+function migrateJSON(json) {
+    if (json === null || typeof json !== "object" || Array.isArray(json))
+        throw new ValidationError("json", "expected an object");
+    if (json.version === undefined && json._bins !== undefined) {
+        // Unversioned format, which dumped (most of) the own properties
+        json = {
+            "version": 1, "maxBins": json._maxBins, "weighted": json._weighted,
+            "freeze": json._freeze, "warmUp": json._warmUp,
+            "count": json._count, "min": json._min, "max": json._max,
+            "decay": json._halfLife ? {"halfLife": json._halfLife,
+                                       "units": json._decayUnits,
+                                       "time": json._time,
+                                       "landmark": json._landmark} : null,
+            "bins": json._bins
+        };
+    }
+    if (json.version === 1) {
+        // Version 1 had no transforms, so its bins are on the original scale
+        if (json.transform !== undefined)
+            throw new ValidationError("transform",
+                                      "not supported in version 1");
+        return Object.assign({}, json, {"version": 2, "transform": null});
     }
     return json;
 };
 
 /**
- * Create a histogram from a JSON data structure.
- * @param {object} json A JSON representation of a histogram.
- * @return {StreamHist} json A JSON reprentation of this histogram.
- * @see StreamHist.toJSON
+ * Check that a value is a finite number, optionally no less than a minimum.
+ * @param {*} value The value to check.
+ * @param {string} field The name of the field holding the value.
+ * @param {number} [min] The minimum allowed value.
+ * @param {boolean} [integer=false] Whether the value must be an integer.
+ * @throws {ValidationError} If the value is invalid.
  */
-StreamHist.fromJSON = function(json) {
-    var obj = new StreamHist();
-    for (var name in json) {
-        if (name !== "_bins") {
-            obj[name] = json[name];
-        }
+function checkNumber(value, field, min, integer) {
+    if (typeof value !== "number" || !isFinite(value))
+        throw new ValidationError(field, "expected a finite number, but got " +
+                                  JSON.stringify(value));
+    if (integer && !Number.isInteger(value))
+        throw new ValidationError(field, "expected an integer, but got " +
+                                  value);
+    if (min != null && value < min)
+        throw new ValidationError(field, "expected a number >= " + min +
+                                  ", but got " + value);
+};
+
+/**
+ * Check the (optional) strategy of a serialized histogram.
+ * @param {?string} strategy The name of the strategy, or "custom".
+ * @param {boolean} weighted Whether the histogram uses gap weighting.
+ * @param {object} options Loading options, with any custom strategy.
+ * @return {(string|function)} strategy The strategy to use.
+ * @throws {ValidationError} If the strategy is unknown, a custom strategy
+ *      wasn't given, or it disagrees with weighted.
+ */
+function checkStrategy(strategy, weighted, options) {
+    if (strategy == null)
+        return weighted ? "weighted" : "gap";
+    if (strategy === "custom") {
+        if (typeof options.strategy !== "function")
+            throw new ValidationError("strategy", "expected a custom " +
+                                      "strategy function in options");
+        return options.strategy;
+    }
+    if (!STRATEGIES.hasOwnProperty(strategy))
+        throw new ValidationError("strategy", "unknown strategy " +
+                                  JSON.stringify(strategy));
+    if ((strategy === "weighted") !== weighted)
+        throw new ValidationError("weighted", "expected " +
+                                  (strategy === "weighted") + " for the " +
+                                  JSON.stringify(strategy) + " strategy");
+    return strategy;
+};
+
+/**
+ * Check the (optional) transform of a serialized histogram.
+ * @param {?string} transform The name of the transform, "custom" or null.
+ * @param {object} options Loading options, with any custom transform.
+ * @return {(string|Transform)} transform The transform to use (or null).
+ * @throws {ValidationError} If the transform is unknown, or a custom transform
+ *      wasn't given.
+ */
+function checkTransform(transform, options) {
+    if (transform == null)
+        return null;
+    if (transform === "custom") {
+        var custom = options.transform;
+        if (custom == null || typeof custom.forward !== "function" ||
+            typeof custom.inverse !== "function")
+            throw new ValidationError("transform", "expected a custom " +
+                                      "transform (with forward and inverse " +
+                                      "functions) in options");
+        return custom;
     }
-    // Insert bins from plain array to RBTree
-    json._bins.forEach((bin) => obj._bins.insert(bin));
-    return obj;
+    if (!TRANSFORMS.hasOwnProperty(transform))
+        throw new ValidationError("transform", "unknown transform " +
+                                  JSON.stringify(transform));
+    return transform;
+};
+
+/**
+ * Return the forward function of a (checked) transform.
+ * @param {(string|Transform)} transform The transform (or null).
+ * @return {function(number): number} forward Maps values to the binned scale.
+ */
+function forwardOf(transform) {
+    if (transform === null)
+        return x => x;
+    return (typeof transform === "string" ? TRANSFORMS[transform] :
+                                            transform).forward;
+};
+
+/** @protected */
+StreamHist.prototype._fromJSON = function(json, options) {
+    // Validate everything before touching this histogram
+    json = migrateJSON(json);
+    options = options || {};
+    if (json.version !== JSON_VERSION)
+        throw new ValidationError("version", "unsupported version " +
+                                  JSON.stringify(json.version));
+    checkNumber(json.maxBins, "maxBins", 1, true);
+    if (typeof json.weighted !== "boolean")
+        throw new ValidationError("weighted", "expected a boolean");
+    var strategy = checkStrategy(json.strategy, json.weighted, options),
+        transform = checkTransform(json.transform, options),
+        forward = forwardOf(transform);
+    checkNumber(json.freeze, "freeze", 0, true);
+    checkNumber(json.warmUp, "warmUp", 0, true);
+    var exact = json.exact != null ? json.exact : 0;
+    checkNumber(exact, "exact", 0, true);
+    checkNumber(json.count, "count", 0);
+    var decay = json.decay != null ? json.decay : null;
+    if (decay !== null) {
+        checkNumber(decay.halfLife, "decay.halfLife", 0);
+        if (decay.units !== "events" && decay.units !== "time")
+            throw new ValidationError("decay.units",
+                                      "expected \"events\" or \"time\"");
+        ["time", "landmark"].forEach(name => {
+            if (decay[name] !== null)
+                checkNumber(decay[name], "decay." + name);
+        });
+    }
+    if (!Array.isArray(json.bins))
+        throw new ValidationError("bins", "expected an array");
+    if (json.bins.length > json.maxBins)
+        throw new ValidationError("bins", "expected at most maxBins bins");
+    var bins = json.bins.map((bin, i) => {
+        var field = "bins[" + i + "]";
+        if (bin === null || typeof bin !== "object")
+            throw new ValidationError(field, "expected an object");
+        checkNumber(bin.mean, field + ".mean");
+        checkNumber(bin.count, field + ".count", 0);
+        checkNumber(bin.tss, field + ".tss", 0);
+        if (bin.m3 !== undefined)
+            checkNumber(bin.m3, field + ".m3");
+        if (bin.m4 !== undefined)
+            checkNumber(bin.m4, field + ".m4", 0);
+        if (i > 0 && !(bin.mean > json.bins[i - 1].mean))
+            throw new ValidationError(field + ".mean",
+                                      "bins must be in increasing order");
+        return this._binFromJSON(bin, field);
+    });
+    var total = bins.reduce((sum, bin) => sum + bin.count, 0.0);
+    if (math.abs(total - json.count) > 1e-9 * math.max(1, json.count))
+        throw new ValidationError("count", "expected the sum of the bin " +
+                                  "counts (" + total + "), but got " +
+                                  json.count);
+    if (bins.length === 0 && json.min === null && json.max === null) {
+        // An empty histogram has no limits
+    } else {
+        checkNumber(json.min, "min");
+        checkNumber(json.max, "max");
+        ["min", "max"].forEach(name => {
+            if (!isFinite(forward(json[name])))
+                throw new ValidationError(name, "expected a value in the " +
+                                          "domain of the transform");
+        });
+        // With a transform, the limits are compared on the binned scale
+        if (bins.length > 0 && forward(json.min) > bins[0].mean)
+            throw new ValidationError("min", "expected a value <= the " +
+                                      "smallest bin mean");
+        if (bins.length > 0 && forward(json.max) < bins[bins.length - 1].mean)
+            throw new ValidationError("max", "expected a value >= the " +
+                                      "largest bin mean");
+        if (json.min > json.max)
+            throw new ValidationError("min", "expected a value <= max");
+    }
+    var points = json.points != null ? this._pointsFromJSON(json, forward) :
+                                       null;
+    // Now set up the histogram
+    this.maxBins(json.maxBins);
+    this.strategy(strategy);
+    this.freeze(json.freeze);
+    this.warmUp(json.warmUp);
+    this.exact(exact);
+    this.reset();
+    this.transform(transform);
+    this.halfLife(decay !== null ? decay.halfLife : 0,
+                  decay !== null ? decay.units : undefined);
+    if (decay !== null) {
+        this._time = decay.time;
+        this._landmark = decay.landmark;
+    }
+    bins.forEach(bin => this._bins.insert(bin));
+    this._rebuildQueue();
+    this._count = json.count;
+    this._min = json.min;
+    this._max = json.max;
+    if (exact > 0 && (points !== null || bins.length > 0))
+        this._points = points;  // Otherwise, as reset left them
+    return this;
+};
+
+/** @protected */
+StreamHist.prototype._pointsFromJSON = function(json, forward) {
+    // Validate and copy the points of a histogram saved in exact mode
+    var points = json.points;
+    if (!Array.isArray(points))
+        throw new ValidationError("points", "expected an array");
+    if (points.length > (json.exact || 0))
+        throw new ValidationError("points", "expected at most exact points");
+    var total = 0.0;
+    points = points.map((point, i) => {
+        var field = "points[" + i + "]";
+        if (point === null || typeof point !== "object")
+            throw new ValidationError(field, "expected an object");
+        checkNumber(point.value, field + ".value");
+        checkNumber(point.count, field + ".count", 0);
+        if (!(point.count > 0))
+            throw new ValidationError(field + ".count",
+                                      "expected a positive number");
+        if (i > 0 && !(point.value > points[i - 1].value))
+            throw new ValidationError(field + ".value",
+                                      "points must be in increasing order");
+        if (!isFinite(forward(point.value)) ||
+            point.value < json.min || point.value > json.max)
+            throw new ValidationError(field + ".value", "expected a value " +
+                                      "between min and max (in the domain " +
+                                      "of the transform)");
+        total += point.count;
+        return {value: point.value, count: point.count};
+    });
+    if (math.abs(total - json.count) > 1e-9 * math.max(1, json.count))
+        throw new ValidationError("points", "expected counts adding up to " +
+                                  "count (" + json.count + "), but got " +
+                                  total);
+    return points;
+};
+
+/** @protected */
+StreamHist.prototype._binFromJSON = function(bin, field) {
+    // Copy a (validated) bin, so the histogram doesn't share it with the input.
+    // Subclasses that store additional information in their bins should
+    // override this to validate and copy it.
+    return {mean:bin.mean, count:bin.count, tss:bin.tss,
+            m3:bin.m3 !== undefined ? bin.m3 : 0.0,
+            m4:bin.m4 !== undefined ? bin.m4 : 0.0};
+};
+
+/**
+ * Return a compact binary representation of this histogram, useful for
+ * shipping large numbers of histograms between processes.
+ * @param {object} [options] Encoding options.
+ * @param {boolean} [options.float32=false] Store bin means and spreads as
+ *      float32 rather than float64. This halves the size of the bins, at the
+ *      cost of some precision.
+ * @return {Uint8Array} bytes The encoded histogram (a Buffer under Node).
+ * @see binary.js for details of the format.
+ */
+StreamHist.prototype.toBuffer = function(options) {
+    var bytes = binary.encode(this.toJSON(), options);
+    return typeof Buffer !== "undefined" ?
+        Buffer.from(bytes.buffer, bytes.byteOffset, bytes.length) : bytes;
+};
+
+/**
+ * Create a histogram from its binary representation. The decoded state is
+ * validated just like the input to fromJSON.
+ * @param {Uint8Array} bytes The encoded histogram.
+ * @param {object} [options] Loading options (see fromJSON).
+ * @return {StreamHist} hist The decoded histogram.
+ * @throws {Error} If the input is truncated, corrupt, or uses an unsupported
+ *      version of the format.
+ * @throws {ValidationError} If the decoded state is invalid (see fromJSON), or
+ *      a custom strategy or transform is needed, but not given.
+ * @see StreamHist.toBuffer
+ */
+StreamHist.fromBuffer = function(bytes, options) {
+    var state = binary.decode(bytes), bins = [],
+        forward = forwardOf(checkTransform(state.transform, options || {}));
+    state.bins.forEach(b => {
+        // Lossy (float32) means may collide, in which case we combine bins
+        var last = bins[bins.length - 1];
+        if (last !== undefined && last.mean === b.mean)
+            combineBins(last, b);
+        else
+            bins.push(b);
+    });
+    if (bins.length > 0 && state.min !== null) {
+        // ...or round past the limits (by at most float32's relative error)
+        var first = bins[0], last = bins[bins.length - 1],
+            lo = forward(state.min), hi = forward(state.max),
+            epsilon = Math.pow(2, -23);
+        if (first.mean < lo && lo - first.mean <= epsilon * Math.abs(lo))
+            first.mean = lo;
+        if (last.mean > hi && last.mean - hi <= epsilon * Math.abs(hi))
+            last.mean = hi;
+    }
+    return new StreamHist()._fromJSON(Object.assign({}, state, {
+        "version": JSON_VERSION, "bins": bins
+    }), options);
 };
 
 /**
@@ -596,13 +2531,43 @@ StreamHist.prototype.isFrozen = function() {
 }
 
 /**
- * Set or get whether this histogram uses gap weighting.
+ * Set or get whether this histogram uses gap weighting, i.e., the "weighted"
+ * strategy. Turning it off restores the default "gap" strategy.
  * @return {boolean} weighted Is gap weighting turned on?
  */
 StreamHist.prototype.weighted = function(weighted) {
     if (weighted != null)
-        this._weighted = (weighted === true);
-    return this._weighted === true;
+        this.strategy(weighted === true ? "weighted" : "gap");
+    return this._strategy === "weighted";
+};
+
+/**
+ * Set or get the strategy used to choose which bins to merge, i.e., where the
+ * histogram spends its bins. Built-in strategies are "gap" (the default, as in
+ * Ben-Haim & Tom-Tov), "weighted" (gap weighting, as with weighted), "area"
+ * and "tail" (which keeps the tails accurate, e.g., for high quantiles); see
+ * STRATEGIES for details. A custom strategy is a function of two adjacent bins
+ * returning the cost of merging them, where lower costs are merged first. A
+ * function taking more arguments is also given the number of points before
+ * the first bin and the total number of points, but as these change with
+ * every insert, the merge costs are then recomputed on every merge, which is
+ * slower.
+ * @param {(string|function(Bin, Bin, number=, number=): number)} [strategy]
+ *      The strategy.
+ * @return {(string|function)} strategy The current strategy.
+ * @throws {Error} If the strategy is unknown.
+ */
+StreamHist.prototype.strategy = function(strategy) {
+    if (strategy != null) {
+        if (typeof strategy !== "function" &&
+            !STRATEGIES.hasOwnProperty(strategy))
+            throw new Error("Unknown strategy " + JSON.stringify(strategy) +
+                            " (expected \"gap\", \"weighted\", \"area\", " +
+                            "\"tail\" or a function)");
+        this._strategy = strategy;
+        this._rebuildQueue();  // Merge costs have changed
+    }
+    return this._strategy;
 };
 
 /**
@@ -640,6 +2605,242 @@ StreamHist.prototype.warmUp = function(warmUp) {
     return this._warmUp || 0;
 };
 
+/**
+ * Set or get the exact mode threshold. While a histogram holds at most this
+ * many distinct values, it keeps them (and their weights) alongside the bins,
+ * and answers quantile, sum, median, mean and variance (and the statistics
+ * built on them) exactly. Once there are more, it switches over to the bins,
+ * which have been kept up to date all along, so the switch is seamless. Exact
+ * mode also ends when warm-up does, or when points that weren't pushed are
+ * removed, and starts again when the histogram is emptied. Turning it on
+ * only takes effect for an empty histogram, as the values already pushed are
+ * no longer known.
+ * @param {number} [exact] A non-negative integer, e.g., maxBins, or 0 (the
+ *      default) to disable exact mode.
+ * @return {number} exact The current exact mode threshold.
+ * @throws {Error} If the threshold isn't a non-negative integer.
+ * @see StreamHist.isExact
+ */
+StreamHist.prototype.exact = function(exact) {
+    if (exact !== undefined) {
+        if (!Number.isInteger(exact) || exact < 0)
+            throw new Error("Exact threshold must be an integer >= 0, but " +
+                            "got " + exact);
+        this._exact = exact;
+        if (this.size() === 0)
+            this._points = exact > 0 ? [] : null;
+        else if (this._points !== null && this._points.length > exact)
+            this._points = null;  // Switch over to the bins
+    }
+    return this._exact;
+};
+
+/**
+ * Return whether this histogram is currently in exact mode (see exact).
+ * @return {boolean} exact Does this histogram keep the values pushed?
+ */
+StreamHist.prototype.isExact = function() {
+    return this._points !== null;
+};
+
+/**
+ * Set or get the half-life used to exponentially decay older points, so that
+ * the histogram describes a 'recent' distribution. The half-life is measured
+ * either in events (the number of points pushed since a given point), or in
+ * the units of the timestamps passed to push. Counts are decayed lazily, so
+ * inserts remain cheap. Note that the warmUp and freeze thresholds are
+ * compared against the *decayed* count.
+ * @param {number} [halfLife] A positive half-life, or 0 to disable decay.
+ * @param {string} [units="events"] Either "events" or "time". Changing the
+ *      units restarts the decay clock.
+ * @return {number} halfLife The current half-life (0 if disabled).
+ */
+StreamHist.prototype.halfLife = function(halfLife, units) {
+    if (halfLife != null) {
+        this._decay();  // Bring counts up to date before changing anything
+        units = units === "time" ? "time" : "events";
+        if (units !== this._decayUnits)
+            this._time = null;
+        this._halfLife = halfLife > 0 ? halfLife : 0;
+        this._decayUnits = units;
+        this._landmark = this._time;
+    }
+    return this._halfLife || 0;
+};
+
+/**
+ * Set or get the policy for points that can't be binned as they are: NaN (or
+ * anything else that isn't a number), null (or undefined), ±Infinity, and
+ * points outside the domain of the transform (if any). With "reject" (the
+ * default), push throws an error (and adds none of the points); with "skip",
+ * such points are dropped; and with "clamp", infinite points, and any points
+ * outside the given bounds, are clamped to the bounds (while the rest are
+ * dropped). Either way, they are counted (see inputCounts), whereas a push
+ * that throws changes nothing, counts included.
+ * @param {string} [policy] Either "reject", "skip" or "clamp".
+ * @param {Array.<number>} [bounds] The finite bounds [lo, hi] to clamp to.
+ *      Required for (and only used by) "clamp".
+ * @return {string} policy The current policy.
+ * @throws {Error} If the policy is unknown, or the bounds are invalid.
+ */
+StreamHist.prototype.policy = function(policy, bounds) {
+    if (policy != null) {
+        if (POLICIES.indexOf(policy) < 0)
+            throw new Error("Unknown policy " + JSON.stringify(policy) +
+                            " (expected \"reject\", \"skip\" or \"clamp\")");
+        if (policy === "clamp" && !(Array.isArray(bounds) &&
+            bounds.length === 2 && bounds.every(b => {
+                return typeof b === "number" && isFinite(b);
+            }) && bounds[0] <= bounds[1]))
+            throw new Error("Clamping needs finite bounds [lo, hi], with " +
+                            "lo <= hi");
+        if (policy === "clamp" &&
+            bounds.some(b => !isFinite(this._forward(b))))
+            throw new Error("Clamping bounds must be in the domain of the " +
+                            "transform");
+        this._policy = policy;
+        this._bounds = policy === "clamp" ? bounds.slice() : null;
+    }
+    return this._policy;
+};
+
+/**
+ * Return the bounds that points are clamped to (see policy).
+ * @return {?Array.<number>} bounds The bounds [lo, hi], or null if points
+ *      aren't clamped.
+ */
+StreamHist.prototype.bounds = function() {
+    return this._bounds !== null ? this._bounds.slice() : null;
+};
+
+/**
+ * @typedef {Object} InputCounts
+ * @property {number} nan The number of points that were NaN, or not numbers.
+ * @property {number} infinity The number of infinite points.
+ * @property {number} null The number of null (or undefined) points.
+ * @property {number} clamped The number of (finite) points outside the bounds
+ *      that were clamped.
+ * @property {number} outOfDomain The number of points outside the domain of
+ *      the transform.
+ */
+
+/**
+ * Return the numbers of points pushed that the input policy had to deal with
+ * (whether they were skipped or clamped), since the histogram was last reset.
+ * Pushes that throw aren't counted, as every point is checked first. Points are counted once each, whatever their weight, and the
+ * counts of merged histograms are added up.
+ * @return {InputCounts} counts The counts, by kind of point.
+ * @see StreamHist.policy
+ */
+StreamHist.prototype.inputCounts = function() {
+    return Object.assign({}, this._inputs);
+};
+
+/**
+ * Set or get the transform applied to values before they are binned, e.g.,
+ * "log" for heavy-tailed positive data such as latencies, which span several
+ * orders of magnitude: merge costs then see relative rather than absolute
+ * gaps, so bins are spread evenly across the orders of magnitude. Built-in
+ * transforms are "log", "log1p" (for non-negative data) and "sqrt" (see
+ * TRANSFORMS); a custom transform gives increasing forward and inverse
+ * functions (and optionally the derivative of forward).
+ * Bins (and so toArray, bins and tss) are on the transformed scale, but
+ * quantile, sum, density, mean, min, max, summary and friends all report in
+ * the original units. Points outside the transform's domain, such as values
+ * <= 0 for "log", are rejected by push.
+ * @param {(string|Transform)} [transform] The transform, or null for none.
+ * @return {(string|Transform)} transform The current transform (or null).
+ * @throws {Error} If the transform is unknown or invalid, or the histogram
+ *      isn't empty.
+ */
+StreamHist.prototype.transform = function(transform) {
+    if (transform !== undefined && transform !== this._transform) {
+        if (transform !== null && typeof transform !== "object" &&
+            !TRANSFORMS.hasOwnProperty(transform))
+            throw new Error("Unknown transform " + JSON.stringify(transform) +
+                            " (expected \"log\", \"log1p\", \"sqrt\", " +
+                            "an object or null)");
+        if (transform !== null && typeof transform === "object" &&
+            (typeof transform.forward !== "function" ||
+             typeof transform.inverse !== "function"))
+            throw new Error("Transforms need forward and inverse functions");
+        if (this.size() > 0)
+            throw new Error("Cannot change the transform of a histogram " +
+                            "that isn't empty");
+        var t = typeof transform === "string" ? TRANSFORMS[transform] :
+                                                transform;
+        if (t !== null && this._bounds !== null &&
+            this._bounds.some(b => !isFinite(t.forward(b))))
+            throw new Error("Clamping bounds must be in the domain of the " +
+                            "transform");
+        this._transform = transform;
+        this._transformer = t;
+        if (t !== null && typeof t.derivative !== "function") {
+            this._transformer = {
+                forward: t.forward, inverse: t.inverse,
+                derivative: x => estimateDerivative(t.forward, x)
+            };
+        }
+    }
+    return this._transform;
+};
+
+/** @protected */
+StreamHist.prototype._transformName = function() {
+    return typeof this._transform === "string" ? this._transform : "custom";
+};
+
+/** @protected */
+StreamHist.prototype._forward = function(x) {
+    // Map a value onto the binned scale
+    return this._transformer !== null ? this._transformer.forward(x) : x;
+};
+
+/** @protected */
+StreamHist.prototype._inverse = function(y) {
+    // Map a value on the binned scale back to the original units
+    return this._transformer !== null ? this._transformer.inverse(y) : y;
+};
+
+/** @protected */
+StreamHist.prototype._derivative = function(x) {
+    // Derivative of the transform at x, for converting densities
+    return this._transformer !== null ? this._transformer.derivative(x) : 1;
+};
+
+/** @protected */
+StreamHist.prototype._lo = function() {
+    // Min on the binned scale
+    return this._transformer !== null ? this._forward(this._min) : this._min;
+};
+
+/** @protected */
+StreamHist.prototype._hi = function() {
+    // Max on the binned scale
+    return this._transformer !== null ? this._forward(this._max) : this._max;
+};
+
+/** @protected */
+StreamHist.prototype._toValue = function(y) {
+    // Map a value on the binned scale (e.g., a quantile) back to the original
+    // units, keeping min and max exact (rather than subject to rounding)
+    if (this._transformer === null || y === null || this.size() === 0)
+        return y;
+    return y <= this._lo() ? this._min : (y >= this._hi() ? this._max :
+                                          this._inverse(y));
+};
+
+/** @protected */
+StreamHist.prototype._toBinned = function(x) {
+    // Map a value (e.g., for sum) onto the binned scale. Values beyond the
+    // limits may be outside the transform's domain, but only their side
+    // matters.
+    if (this._transformer === null || this.size() === 0)
+        return x;
+    return x < this._min ? -Infinity : (x > this._max ? Infinity :
+                                        this._forward(x));
+};
+
 /**
  * Return this histogram's bins.
  * @return {RBTree} bins The internal RBTree containing the histogram's bins.
@@ -654,7 +2855,8 @@ StreamHist.prototype.bins = function() {
  */
 StreamHist.prototype.count = function() {
     // h_c = ∑_{i=1}^B m_i) (using notation from paper)
-    return this._count;
+    // NOTE: When decaying, bins are only rescaled lazily, so we scale here
+    return this._count * this._factor();
 };
 
 /**
@@ -700,6 +2902,9 @@ StreamHist.prototype.min = function () {
 StreamHist.prototype.mean = function () {
     if (this.count() === 0)
         return null
+    if (this._transform !== null || this._points !== null)
+        return this._valueMoments().mean;
+    this._decay();
     var it = this.bins().iterator(), sum = 0.0, item;
     while((item = it.next()) !== null) {
         sum += (item.mean * item.count);
@@ -708,17 +2913,17 @@ StreamHist.prototype.mean = function () {
 };
 
 /**
- * Return the estimated variance of the histogram's underlying distribution.
- * @return {number} variance The estimated variance.
+ * Return the (population) variance of the histogram's underlying
+ * distribution. This includes the spread within each bin (tss), so it is
+ * exact unless the histogram has been frozen or warmed up (or uses a
+ * transform, when it is estimated from each bin's mean and spread). In exact
+ * mode (see exact), it is computed from the points themselves.
+ * @return {number} variance The variance.
  */
 StreamHist.prototype.variance = function () {
     if (this.count() < 2)
         return null
-    var it = this.bins().iterator(), sum = 0.0, mean = this.mean(), item;
-    while((item = it.next()) !== null) {
-        sum += (math.pow(item.mean - mean, 2) * item.count);
-    }
-    return sum / this.count();
+    return this._valueMoments().tss / this.count();
 };
 
 /**
@@ -730,29 +2935,391 @@ StreamHist.prototype.std = function() {
     return variance ? math.sqrt(variance) : null;
 }
 
+/**
+ * Return the skewness of the histogram's underlying distribution, i.e., its
+ * third standardized moment. Like variance, this is exact unless the histogram
+ * has been frozen or warmed up.
+ * @return {number} skewness The skewness, or null if the variance is 0.
+ */
+StreamHist.prototype.skewness = function() {
+    var variance = this.variance();
+    if (!variance)
+        return null;
+    return this._valueMoments().m3 / this.count() / math.pow(variance, 1.5);
+};
+
+/**
+ * Return the excess kurtosis of the histogram's underlying distribution, i.e.,
+ * its fourth standardized moment minus 3 (so that a normal distribution has a
+ * kurtosis of 0). Like variance, this is exact unless the histogram has been
+ * frozen or warmed up.
+ * @return {number} kurtosis The excess kurtosis, or null if the variance is 0.
+ */
+StreamHist.prototype.kurtosis = function() {
+    var variance = this.variance();
+    if (!variance)
+        return null;
+    return this._valueMoments().m4 / this.count() / (variance * variance) -
+           3;
+};
+
+/** @protected */
+StreamHist.prototype._moments = function() {
+    // Combine (copies of) all bins into one, whose tss, m3 and m4 are the sums
+    // of powers of deviations from the overall mean
+    this._decay();
+    var total = null;
+    this.bins().each(b => {
+        total = total === null ? this._copyBin(b) : combineBins(total, b);
+    });
+    return total;
+};
+
+/** @protected */
+StreamHist.prototype._valueMoments = function() {
+    // As _moments, but in the original units. With a transform, the points in
+    // each bin are spread over three values on the binned scale, matching the
+    // bin's mean and variance (3-point Gauss–Hermite quadrature), which are
+    // then mapped back. In exact mode, the points are combined instead.
+    if (this._points !== null) {
+        this._decay();
+        return this._points.reduce((total, p) => {
+            var b = {mean: p.value, count: p.count, tss: 0.0, m3: 0.0, m4: 0.0};
+            return total === null ? b : combineBins(total, b);
+        }, null);
+    }
+    if (this._transform === null)
+        return this._moments();
+    this._decay();
+    var lo = this._lo(), hi = this._hi(), total = null,
+        add = (y, count) => {
+            var b = {mean: this._toValue(math.min(math.max(y, lo), hi)),
+                     count: count, tss: 0.0, m3: 0.0, m4: 0.0};
+            total = total === null ? b : combineBins(total, b);
+        };
+    this.bins().each(b => {
+        var spread = b.count > 0 ? math.sqrt(3 * b.tss / b.count) : 0.0;
+        if (spread > 0) {
+            add(b.mean - spread, b.count / 6);
+            add(b.mean, b.count * 2 / 3);
+            add(b.mean + spread, b.count / 6);
+        } else {
+            add(b.mean, b.count);
+        }
+    });
+    return total;
+};
+
+/**
+ * Return the estimated interquartile range of the histogram's underlying
+ * distribution.
+ * @return {number} iqr The difference between the 3rd and 1st quartiles.
+ */
+StreamHist.prototype.iqr = function() {
+    if (this.size() === 0)
+        return null;
+    var qs = this.quantile([0.25, 0.75]);
+    return qs[1] - qs[0];
+};
+
+/**
+ * Return the estimated median absolute deviation (from the median) of the
+ * histogram's underlying distribution. This is unscaled, so multiply by
+ * 1.4826 for a consistent estimate of the standard deviation of normal data.
+ * In exact mode (see exact), it is computed from the points.
+ * @return {number} mad The median absolute deviation.
+ */
+StreamHist.prototype.mad = function() {
+    if (this.size() === 0)
+        return null;
+    if (this._points !== null)
+        return this._exactMad();
+    // Find the distance d either side of the median that covers half of the
+    // points, by bisection (the points covered only grow with d)
+    var median = this.median(), half = this.count() / 2,
+        lo = 0.0, hi = math.max(this.max() - median, median - this.min());
+    for (var i = 0 ; i < 100 && hi - lo > 0 ; i++) {
+        var mid = lo + (hi - lo) / 2;
+        if (mid === lo || mid === hi)
+            break;
+        if (this._sum(this._toBinned(median + mid)) -
+            this._sum(this._toBinned(median - mid)) >= half)
+            hi = mid;
+        else
+            lo = mid;
+    }
+    return hi;
+};
+
+/** @protected */
+StreamHist.prototype._exactMad = function() {
+    // The weighted median of the points' distances from the median, in exact
+    // mode (equal distances either side of the median may repeat, which
+    // weightedQuantile doesn't mind)
+    var median = this.median();
+    return weightedQuantile(this._points.map(p => {
+        return {value: math.abs(p.value - median), count: p.count};
+    }).sort((a, b) => a.value - b.value), 0.5);
+};
+
+/**
+ * Return the estimated trimmed mean of the histogram's underlying
+ * distribution, i.e., the mean of the points left after discarding the given
+ * proportion of points from each end. The points in each bin are taken to be
+ * at its mean (as for mean), so this is exact when every bin holds one point.
+ * @param {number} [proportion=0.1] The proportion to trim from each end, in
+ *      [0, 0.5).
+ * @return {number} mean The trimmed mean.
+ */
+StreamHist.prototype.trimmedMean = function(proportion) {
+    var slice = this._slice(proportion);
+    return slice !== null ? slice.sum / slice.count : null;
+};
+
+/**
+ * Return the estimated winsorized mean of the histogram's underlying
+ * distribution, i.e., the mean after replacing the given proportion of points
+ * at each end with the most extreme points that remain.
+ * @param {number} [proportion=0.1] The proportion to replace at each end, in
+ *      [0, 0.5).
+ * @return {number} mean The winsorized mean.
+ * @see StreamHist.trimmedMean
+ */
+StreamHist.prototype.winsorizedMean = function(proportion) {
+    var slice = this._slice(proportion);
+    if (slice === null)
+        return null;
+    var tail = (this.count() - slice.count) / 2;
+    return (slice.sum + tail * (slice.first + slice.last)) / this.count();
+};
+
+/** @protected */
+StreamHist.prototype._slice = function(proportion) {
+    // Sum the bins (or the parts of them) falling between the given proportion
+    // of points from either end, ranking the points in order of their bins
+    proportion = proportion != null ? proportion : 0.1;
+    if (!(proportion >= 0 && proportion < 0.5))
+        throw new Error("Proportion must be in [0, 0.5)");
+    if (this.size() === 0)
+        return null;
+    this._decay();
+    var n = this.count(), lo = proportion * n, hi = n - lo,
+        slice = {sum: 0.0, count: 0.0, first: null, last: null},
+        rank = 0.0;
+    this.bins().each(b => {
+        var weight = math.min(rank + b.count, hi) - math.max(rank, lo),
+            mean = this._toValue(b.mean);
+        if (weight > 0) {
+            slice.sum += weight * mean;
+            slice.count += weight;
+            slice.first = slice.first === null ? mean : slice.first;
+            slice.last = mean;
+        }
+        rank += b.count;
+    });
+    return slice;
+};
+
 /**
  * Return the estimated median of the histogram's underlying distribution.
+ * This is exact (i.e., the weighted median of the points pushed) in exact
+ * mode (see exact), or as long as no bins have been merged, and the histogram
+ * isn't decaying, frozen or warmed up.
  * @return {number} median The estimated median.
  */
-StreamHist.prototype.median = function(p_or_plist) {
-    if (this.count() > this.size()) {
+StreamHist.prototype.median = function() {
+    if (this.size() === 0)
+        return null;
+    if (this._points !== null)
         return this.quantile(0.5);
-    } else {  // Return the 'exact' median when possible
-        var iter = this.bins().lowerBound({mean:this.count()/2});
-        if (this.count() % 2 === 0) {
-            var upper = iter.data(), lower = iter.prev();
-            return combineBins(lower, upper).mean;
-        } else {
-            return iter.prev().mean;
+    var exact = !this.halfLife() && !this.freeze() && !this.warmUp(),
+        it = this.bins().iterator(), bin;
+    while (exact && (bin = it.next()) !== null) {
+        exact = bin.tss === 0;  // All of the bin's points are at its mean
+    }
+    if (!exact)
+        return this.quantile(0.5);
+    // Return the first point with at least half of the total weight at or
+    // below it, or the midpoint between two points that split it exactly
+    var half = this.count() / 2, cumulative = 0.0;
+    it = this.bins().iterator();
+    while ((bin = it.next()) !== null) {
+        cumulative += bin.count;
+        if (cumulative > half)
+            return this._toValue(bin.mean);
+        if (cumulative === half)
+            return (this._toValue(bin.mean) +
+                    this._toValue(it.next().mean)) / 2;
+    }
+    return this.max();  // Only reached due to rounding
+};
+
+/**
+ * @typedef {Object} Mode
+ * @property {number} value The location of the mode.
+ * @property {number} density The estimated density at the mode.
+ * @property {number} prominence How far the density drops from the mode
+ *      before rising to a higher peak on either side, whichever is less. The
+ *      highest mode's prominence is its density.
+ */
+
+/**
+ * Find the modes (local maxima) of the estimated density. The piecewise
+ * density between bins is too noisy for this, so a kernel density estimate
+ * (see KernelDensity) is evaluated at each bin mean (and halfway between them)
+ * instead. Runs of equal densities count as a single mode, at their centre,
+ * and minor peaks are filtered out by their topographic prominence.
+ * @param {number} [prominence=0.05] The smallest prominence to keep, as a
+ *      fraction of the highest density (in [0, 1]).
+ * @param {object} [options] Kernel and bandwidth options for the density
+ *      estimate (see KernelDensity).
+ * @return {Array.<Mode>} modes The modes, in order of their values, or an
+ *      empty array if the histogram is empty.
+ * @throws {Error} If the prominence or options are invalid.
+ */
+StreamHist.prototype.modes = function(prominence, options) {
+    prominence = prominence != null ? prominence : 0.05;
+    if (!(prominence >= 0 && prominence <= 1))
+        throw new Error("Prominence must be in [0, 1]");
+    if (this.size() === 0)
+        return [];
+    else if (this.min() === this.max())  // Single point mass
+        return [{value: this.min(), density: Infinity, prominence: Infinity}];
+    // Evaluate at the bin means, and halfway between them to catch valleys
+    // (on the binned scale, before mapping them back)
+    var xs = [];
+    this.bins().each(b => {
+        if (xs.length)
+            xs.push((xs[xs.length - 1] + b.mean) / 2);
+        xs.push(b.mean);
+    });
+    xs = xs.map(this._toValue, this);
+    var heights = new KernelDensity(this, options).density(xs),
+        highest = math.max.apply(null, heights),
+        modes = [], i = 0, j;
+    while (i < xs.length) {
+        for (j = i ; j + 1 < xs.length && heights[j + 1] === heights[i] ; j++);
+        // Points i to j form a run of equal densities; is it a peak?
+        if ((i === 0 || heights[i - 1] < heights[i]) &&
+            (j === xs.length - 1 || heights[j + 1] < heights[i])) {
+            var base = this._peakBase(heights, i, j);
+            modes.push({value: (xs[i] + xs[j]) / 2, density: heights[i],
+                        prominence: heights[i] - base});
+        }
+        i = j + 1;
+    }
+    return modes.filter(m => m.prominence >= prominence * highest);
+};
+
+/** @protected */
+StreamHist.prototype._peakBase = function(heights, i, j) {
+    // The higher of the lowest points either side of the peak (from i to j)
+    // on the way to a higher peak. Sides without a higher peak are ignored, so
+    // the highest peak's base is 0.
+    var base = 0.0, side = (k, step) => {
+        var lowest = heights[i];
+        for ( ; k >= 0 && k < heights.length ; k += step) {
+            if (heights[k] > heights[i]) {
+                base = math.max(base, lowest);
+                return;
+            }
+            lowest = math.min(lowest, heights[k]);
+        }
+    };
+    side(i - 1, -1);
+    side(j + 1, 1);
+    return base;
+};
+
+/**
+ * @typedef {Object} Classification
+ * @property {Array.<number>} breaks The class boundaries, from min to max.
+ *      Inner boundaries lie halfway between the means of the bins either side.
+ * @property {Array.<{lo: number, hi: number, count: number, mean: number}>}
+ *      classes The count and mean of each class, between its boundaries.
+ * @property {number} gvf The goodness of variance fit, i.e., the proportion
+ *      of the total sum of squared deviations explained by the classes (in
+ *      [0, 1]). The spread within bins can't be explained, so this is at most
+ *      1 - tss() / (the total sum of squared deviations).
+ *      With a transform, the classes are found (and gvf is measured) on the
+ *      binned scale, while breaks and class means are in the original units.
+ */
+
+/**
+ * Classify the data into k classes using Jenks natural breaks, i.e., Fisher's
+ * optimal partition of the (weighted) bins into contiguous classes that
+ * minimizes the total sum of squared deviations within classes. Each bin's
+ * own spread (tss) is included, so no raw data is needed.
+ * @param {number} k The number of classes. If there are fewer bins than this,
+ *      each bin becomes a class.
+ * @return {?Classification} classification The classification, or null if the
+ *      histogram is empty.
+ * @throws {Error} If k isn't a positive integer.
+ * @see Fisher (1958) On grouping for maximum homogeneity, Journal of the
+ *      American Statistical Association 53(284), 789–798.
+ */
+StreamHist.prototype.naturalBreaks = function(k) {
+    if (!Number.isInteger(k) || k < 1)
+        throw new Error("Number of classes must be a positive integer");
+    if (this.size() === 0)
+        return null;
+    var bins = this.toArray(), size = bins.length, classes = math.min(k, size),
+        cost = [], start = [], c, i, j;
+    for (c = 0 ; c < classes ; c++) {
+        cost.push(new Array(size).fill(Infinity));
+        start.push(new Array(size).fill(0));
+    }
+    // cost[c][j] is the least sum of squared deviations of bins 0 to j in
+    // c + 1 classes, the last of which starts at bin start[c][j]
+    for (j = 0 ; j < size ; j++) {
+        var within = {mean: 0.0, count: 0, tss: 0.0};
+        for (i = j ; i >= 0 ; i--) {
+            // Grow the class i to j one bin at a time (see combineBins)
+            var b = bins[i], n = within.count + b.count,
+                delta = b.mean - within.mean;
+            within.tss += b.tss + delta * delta * within.count * b.count / n;
+            within.mean += delta * b.count / n;
+            within.count = n;
+            for (c = 1 ; c < classes && c <= i ; c++) {
+                if (cost[c - 1][i - 1] + within.tss < cost[c][j]) {
+                    cost[c][j] = cost[c - 1][i - 1] + within.tss;
+                    start[c][j] = i;
+                }
+            }
         }
+        cost[0][j] = within.tss;
     }
+    // Trace the classes back from the last bin
+    var bounds = [], total = cost[0][size - 1];
+    for (c = classes - 1, j = size - 1 ; c >= 0 ; j = start[c][j] - 1, c--) {
+        bounds.unshift([c > 0 ? start[c][j] : 0, j]);
+    }
+    var breaks = [this.min()].concat(bounds.slice(1).map(bound => {
+        return this._toValue((bins[bound[0] - 1].mean + bins[bound[0]].mean) /
+                             2);
+    }), [this.max()]);
+    return {
+        breaks: breaks,
+        classes: bounds.map((bound, c) => {
+            var members = bins.slice(bound[0], bound[1] + 1),
+                count = members.reduce((sum, b) => sum + b.count, 0.0);
+            return {lo: breaks[c], hi: breaks[c + 1], count: count,
+                    mean: members.reduce((sum, b) => {
+                        return sum + this._toValue(b.mean) * b.count;
+                    }, 0.0) / count};
+        }),
+        gvf: total > 0 ? math.max(1 - cost[classes - 1][size - 1] / total,
+                                  0.0) : 1.0
+    };
 };
 
 /**
  * Return a summary of the histogram's underlying distribution.
  * @return {object} summary An object with properties describing various
  * summary statistics. Properties include the count, mean, std, min, 1st, 2nd,
- * and 3rd quartiles, and the max.
+ * and 3rd quartiles, and the max, as well as the skewness, (excess) kurtosis,
+ * IQR, MAD, and the 10% trimmed and winsorized means, plus the numbers of
+ * NaN, infinite, null, clamped and out-of-domain points (see inputCounts).
  */
 StreamHist.prototype.summary = function() {
     var summary = {
@@ -763,30 +3330,47 @@ StreamHist.prototype.summary = function() {
         "Q1": this.quantile(0.25),
         "Q2": this.median(),
         "Q3": this.quantile(0.75),
-        "max": this.max()
+        "max": this.max(),
+        "skewness": this.skewness(),
+        "kurtosis": this.kurtosis(),
+        "IQR": this.iqr(),
+        "MAD": this.mad(),
+        "trimmedMean": this.trimmedMean(0.1),
+        "winsorizedMean": this.winsorizedMean(0.1),
+        "nanCount": this._inputs.nan,
+        "infinityCount": this._inputs.infinity,
+        "nullCount": this._inputs.null,
+        "clampedCount": this._inputs.clamped,
+        "outOfDomainCount": this._inputs.outOfDomain
     };
     return summary;
 };
 
 StreamHist.prototype.toString = function() {
+    this._decay();
     var total = this.count();
     var string = "";
     this.bins().each(b => {
-        string += b.mean.toFixed(4) + '\t' + '.'.repeat(math.trunc(b.count/total*200)) + '\n';
+        string += b.mean.toFixed(4) + '\t' + '.'.repeat(Math.trunc(b.count/total*200)) + '\n';
     });
     return string;
 };
 
 /**
- * Compute a streaming histogram with k bins 'on the fly' from an input array.
- * @param {Array.<number>} input An array of input data points.
+ * Compute a streaming histogram with k bins 'on the fly' from an input array,
+ * in a single batch (see StreamHist.pushBatch).
+ * @param {(Array.<number>|Float64Array|Float32Array)} input An array of input
+ *      data points.
  * @param {number} k The maximum number of bins to use to approximate the data
  *      distribution. This should be a positive integer.
  * @return {Array.<Bin>} array Array of bin objects ordered by their means.
  */
 function fastHist(input, k) {
-    return new StreamHist(k).push(input).toArray();
+    return new StreamHist(k).pushBatch(input).toArray();
 }
 
 module.exports = {'StreamHist': StreamHist, 'fastHist': fastHist,
-                  'diffBins': diffBins, 'combineBins': combineBins}
+                  'diffBins': diffBins, 'combineBins': combineBins,
+                  'uncombineBins': uncombineBins,
+                  'STRATEGIES': STRATEGIES, 'TRANSFORMS': TRANSFORMS,
+                  'ValidationError': ValidationError}
@@ -0,0 +1,209 @@
+/**
+ * @fileoverview StreamHist interop:
+ * Conversion between streaming approximate histograms and other sketch
+ * formats, so that sketches produced by other services can be merged with
+ * ours (and vice versa).
+ *
+ * t-digest centroids map directly onto bins (with unknown spread), while
+ * Prometheus-style cumulative bucket counts are approximated by one bin per
+ * bucket, centred on the bucket with the spread (and higher moments) of a
+ * uniform distribution across it. Exporting to buckets uses the Sum
+ * procedure at each boundary.
+ *
+ * @author carsonfarmer@gmail.com (Carson Farmer)
+ * @license Released under the MIT license.
+ * Copyright (c) 2016 Carson Farmer.
+ */
+
+var index = require('./index.js'),
+    StreamHist = index.StreamHist,
+    ValidationError = index.ValidationError;
+
+/**
+ * @typedef {Object} Centroid
+ * @property {number} mean The mean of the centroid.
+ * @property {number} count The number of points in the centroid (the tdigest
+ *      package calls this n, which is also accepted).
+ */
+
+/**
+ * @typedef {Object} Bucket
+ * @property {number} le The (inclusive) upper bound of the bucket. Numeric
+ *      strings, such as "0.5" or "+Inf", are also accepted when importing.
+ * @property {number} count The cumulative count of points <= le.
+ */
+
+/**
+ * @typedef {Object} InteropOptions
+ * @property {number} [maxBins=100] The maximum number of bins of the new
+ *      histogram. Inputs with more centroids or buckets are compressed.
+ * @property {boolean} [weighted=false] Whether the new histogram uses gap
+ *      weighting.
+ * @property {number} [min] The smallest value seen, if known.
+ * @property {number} [max] The largest value seen, if known.
+ */
+
+/**
+ * Parse a numeric field of an imported sketch.
+ * @param {*} value The value of the field.
+ * @param {string} field The name of the field, for error messages.
+ * @param {boolean} [infinite=false] Whether +Inf is allowed.
+ * @return {number} x The value as a number.
+ * @throws {ValidationError} If the value isn't a (finite) number.
+ */
+function toNumber(value, field, infinite) {
+    var x = typeof value === "string" && value.trim() !== "" ?
+        Number(value.trim() === "+Inf" ? "Infinity" : value) : value;
+    if (typeof x !== "number" || x !== x ||
+        !(isFinite(x) || (infinite && x === Infinity)))
+        throw new ValidationError(field, "expected a" +
+                                  (infinite ? "" : " finite") +
+                                  " number, but got " + JSON.stringify(value));
+    return x;
+};
+
+/**
+ * Set the limits of an imported histogram, checking any that were given.
+ * @param {StreamHist} hist The histogram, whose limits are those of its bins.
+ * @param {InteropOptions} options The options, possibly with min and max.
+ * @return {StreamHist} hist The histogram.
+ * @throws {ValidationError} If min or max don't bracket the bins.
+ */
+function setLimits(hist, options) {
+    if (hist.size() === 0)
+        return hist;
+    var min = options.min != null ? toNumber(options.min, "min") : hist.min(),
+        max = options.max != null ? toNumber(options.max, "max") : hist.max();
+    if (min > hist.min())
+        throw new ValidationError("min", "expected a value <= " + hist.min());
+    if (max < hist.max())
+        throw new ValidationError("max", "expected a value >= " + hist.max());
+    return hist._widen(min, max);
+};
+
+/**
+ * Create a histogram from t-digest centroids. Centroids carry no information
+ * about their spread, so the new bins have a tss of zero (as if every point
+ * were at its centroid's mean).
+ * @param {Array.<Centroid>} centroids The centroids, in any order.
+ * @param {InteropOptions} [options] Options for the new histogram. As
+ *      t-digests usually keep track of them, passing min and max is
+ *      recommended; otherwise the extreme centroid means are used.
+ * @return {StreamHist} hist The new histogram.
+ * @throws {ValidationError} If a centroid isn't valid.
+ */
+function fromTDigest(centroids, options) {
+    options = options || {};
+    if (!Array.isArray(centroids))
+        throw new ValidationError("centroids", "expected an array");
+    var hist = new StreamHist(options.maxBins, options.weighted);
+    centroids.forEach((c, i) => {
+        var field = "centroids[" + i + "]";
+        if (c === null || typeof c !== "object")
+            throw new ValidationError(field, "expected an object");
+        var mean = toNumber(c.mean, field + ".mean"),
+            count = toNumber(c.count !== undefined ? c.count : c.n,
+                             field + ".count");
+        if (count < 0)
+            throw new ValidationError(field + ".count",
+                                      "expected a number >= 0");
+        if (count > 0)
+            hist.push(mean, count);
+    });
+    return setLimits(hist, options);
+};
+
+/**
+ * Create a histogram from Prometheus-style cumulative bucket counts. Each
+ * bucket becomes a bin at its centre, with the spread of points uniformly
+ * distributed across it. The buckets are bounded below by min and above by
+ * max (if given); otherwise the points in the lowest and +Inf buckets are
+ * placed at the nearest finite boundary.
+ * @param {Array.<Bucket>} buckets The buckets, ordered by their bounds.
+ * @param {InteropOptions} [options] Options for the new histogram.
+ * @return {StreamHist} hist The new histogram.
+ * @throws {ValidationError} If the bounds aren't increasing, or the
+ *      cumulative counts are decreasing.
+ */
+function fromBuckets(buckets, options) {
+    options = options || {};
+    if (!Array.isArray(buckets))
+        throw new ValidationError("buckets", "expected an array");
+    var hist = new StreamHist(options.maxBins, options.weighted),
+        lo = options.min != null ? toNumber(options.min, "min") : null,
+        max = options.max != null ? toNumber(options.max, "max") : null,
+        cumulative = 0, prev = null;
+    buckets.forEach((bucket, i) => {
+        var field = "buckets[" + i + "]";
+        if (bucket === null || typeof bucket !== "object")
+            throw new ValidationError(field, "expected an object");
+        var le = toNumber(bucket.le, field + ".le", true),
+            total = toNumber(bucket.count, field + ".count");
+        if (prev !== null && !(le > prev))
+            throw new ValidationError(field + ".le",
+                                      "bounds must be in increasing order");
+        if (total < cumulative)
+            throw new ValidationError(field + ".count",
+                                      "cumulative counts must not decrease");
+        var count = total - cumulative,
+            hi = max === null ? (le === Infinity ? prev : le) :
+                                Math.min(le, max);
+        if (lo === null)  // Unbounded below
+            lo = hi;
+        if (count > 0) {
+            if (hi === null)  // Only a +Inf bucket, so nowhere to put points
+                throw new ValidationError(field + ".le",
+                                          "expected a finite bound, or max");
+            if (lo > hi || (max !== null && prev !== null && prev >= max))
+                throw new ValidationError(hi === max ? "max" : "min",
+                                          "expected a value bracketing the " +
+                                          "points in " + field);
+            if (lo === hi) {  // All points at the boundary
+                hist.push(hi, count);
+            } else {
+                hist._insertBin({mean: (lo + hi) / 2, count: count,
+                                 tss: count * Math.pow(hi - lo, 2) / 12,
+                                 m3: 0, m4: count * Math.pow(hi - lo, 4) / 80},
+                                lo, hi);
+            }
+        }
+        cumulative = total;
+        prev = le;
+        lo = lo === null || hi > lo ? hi : lo;  // Empty buckets below min
+    });
+    return hist;
+};
+
+/**
+ * Export a histogram as Prometheus-style cumulative bucket counts, estimated
+ * with the Sum procedure at each boundary. A final +Inf bucket holding the
+ * total count is always included.
+ * @param {StreamHist} hist The histogram to export.
+ * @param {Array.<number>} bounds The (inclusive) upper bounds of the buckets,
+ *      in increasing order.
+ * @return {Array.<Bucket>} buckets The buckets, with non-decreasing counts.
+ * @throws {ValidationError} If the bounds aren't increasing numbers.
+ * @see StreamHist.sum
+ */
+function toBuckets(hist, bounds) {
+    if (!Array.isArray(bounds))
+        throw new ValidationError("bounds", "expected an array");
+    bounds = bounds.map((le, i) => toNumber(le, "bounds[" + i + "]", true));
+    bounds.forEach((le, i) => {
+        if (i > 0 && !(le > bounds[i - 1]))
+            throw new ValidationError("bounds[" + i + "]",
+                                      "bounds must be in increasing order");
+    });
+    if (bounds.length === 0 || bounds[bounds.length - 1] !== Infinity)
+        bounds.push(Infinity);
+    var total = hist.count(), cumulative = 0;
+    return bounds.map(le => {
+        // Interpolation can overshoot, so keep the counts monotonic
+        var sum = le === Infinity ? total : hist.sum(le);
+        cumulative = Math.min(Math.max(cumulative, sum), total);
+        return {le: le, count: cumulative};
+    });
+};
+
+module.exports = {'fromTDigest': fromTDigest, 'fromBuckets': fromBuckets,
+                  'toBuckets': toBuckets}
@@ -0,0 +1,249 @@
+/**
+ * @fileoverview StreamHist kernel density estimation:
+ * Smooth density and cumulative distribution estimates from streaming
+ * approximate histograms, and helpers for sampling them as curves.
+ *
+ * Each bin contributes a kernel centred on its mean, weighted by its count.
+ * As a bin stands in for points spread around its mean, its kernel is widened
+ * so that its variance is that of the kernel (at the chosen bandwidth) plus
+ * that of the bin's points. For the Gaussian kernel, this is exactly the
+ * convolution of the kernel with a normal approximation of the bin.
+ *
+ * Bandwidths can be given, or chosen by Silverman's or Scott's rule of thumb.
+ * Both rules are derived for the Gaussian kernel, so they are rescaled to the
+ * equivalent (canonical) bandwidth for other kernels.
+ *
+ * For histograms with a transform, the estimate is made on the transformed
+ * scale (as are the bandwidths), and mapped back to the original units.
+ *
+ * @author carsonfarmer@gmail.com (Carson Farmer)
+ * @license Released under the MIT license.
+ * Copyright (c) 2016 Carson Farmer.
+ */
+
+var math = require('mathjs');
+
+/**
+ * @typedef {Object} Kernel
+ * @property {function(number): number} pdf The kernel's density, at unit
+ *      bandwidth.
+ * @property {function(number): number} cdf The kernel's cumulative
+ *      distribution, at unit bandwidth.
+ * @property {number} variance The kernel's variance, at unit bandwidth.
+ * @property {number} scale The kernel's bandwidth equivalent to a unit
+ *      Gaussian bandwidth, i.e., the ratio of canonical bandwidths.
+ * @see Marron & Nolan (1988) Canonical kernels for density estimation,
+ *      Statistics & Probability Letters 7(3), 195–199.
+ */
+
+/** @type {Object.<string, Kernel>} */
+var KERNELS = {
+    gaussian: {
+        pdf: u => math.exp(-u * u / 2) / math.sqrt(2 * math.pi),
+        cdf: u => (1 + math.erf(u / math.SQRT2)) / 2,
+        variance: 1,
+        scale: 1
+    },
+    epanechnikov: {
+        pdf: u => math.abs(u) < 1 ? 0.75 * (1 - u * u) : 0.0,
+        cdf: u => u <= -1 ? 0.0 : (u >= 1 ? 1.0 : 0.5 + 0.75 * u -
+                                                  0.25 * u * u * u),
+        variance: 1 / 5,
+        scale: 1.7188 / 0.7764
+    }
+};
+
+/**
+ * @typedef {Object} Point
+ * @property {number} x The location of the point.
+ * @property {number} y The value of the curve at x.
+ */
+
+/**
+ * Choose a bandwidth for the Gaussian kernel by a rule of thumb.
+ * @param {StreamHist} hist A (non-empty) histogram.
+ * @param {string} rule Either "silverman" or "scott".
+ * @return {number} bandwidth The bandwidth.
+ * @throws {Error} If the rule is unknown.
+ * @see Silverman (1986) Density Estimation for Statistics and Data Analysis,
+ *      Section 3.4.2.
+ * @see Scott (1992) Multivariate Density Estimation, Section 6.2.1.
+ */
+function ruleOfThumb(hist, rule) {
+    // Spreads are measured on the binned scale (for any transform)
+    var n = hist.count(), moments = hist._moments(),
+        sigma = n >= 2 ? math.sqrt(moments.tss / n) : 0.0,
+        iqr = hist._quantile(0.75) - hist._quantile(0.25),
+        spread = math.min(sigma, iqr / 1.34);
+    if (rule === "silverman")
+        // Fall back on the standard deviation when most points are tied
+        return 0.9 * (spread > 0 ? spread : sigma) * math.pow(n, -1 / 5);
+    else if (rule === "scott")
+        return 1.06 * sigma * math.pow(n, -1 / 5);
+    throw new Error("Unknown bandwidth rule " + JSON.stringify(rule) +
+                    " (expected \"silverman\" or \"scott\")");
+};
+
+/**
+ * Kernel density estimate of a histogram's underlying distribution. The
+ * histogram's bins are copied, so later changes to it aren't reflected here.
+ * @param {StreamHist} hist A (non-empty) histogram.
+ * @param {object} [options] Estimation options.
+ * @param {string} [options.kernel="gaussian"] Either "gaussian" or
+ *      "epanechnikov".
+ * @param {(number|string)} [options.bandwidth="silverman"] A positive
+ *      bandwidth, or the rule used to choose one: "silverman" or "scott".
+ * @constructor
+ * @throws {Error} If the histogram is empty, or the options aren't valid.
+ */
+function KernelDensity(hist, options) {
+    if (!(this instanceof KernelDensity)) // Protect the global namespace!
+        return new KernelDensity(hist, options);
+    options = options || {};
+    if (hist.size() === 0)
+        throw new Error("Cannot estimate the density of an empty histogram");
+    var name = options.kernel != null ? options.kernel : "gaussian",
+        kernel = KERNELS.hasOwnProperty(name) ? KERNELS[name] : null,
+        bandwidth = options.bandwidth != null ? options.bandwidth : "silverman";
+    if (kernel === null)
+        throw new Error("Unknown kernel " + JSON.stringify(name) +
+                        " (expected \"gaussian\" or \"epanechnikov\")");
+    if (typeof bandwidth === "string")
+        bandwidth = ruleOfThumb(hist, bandwidth) * kernel.scale;
+    if (!(bandwidth > 0) || bandwidth === Infinity)
+        throw new Error("Bandwidth must be positive and finite, but got " +
+                        bandwidth + " (data without spread needs an explicit " +
+                        "bandwidth)");
+    this.kernel = name;
+    this.bandwidth = bandwidth;
+    this._kernel = kernel;
+    this._count = hist.count();
+    this._limits = hist.limits();
+    this._transform = hist._transformer;
+    // Widen each bin's kernel by the spread of its points
+    this._components = hist.toArray().map(b => {
+        return {mean: b.mean, weight: b.count / this._count,
+                width: math.sqrt(bandwidth * bandwidth +
+                                 b.tss / b.count / kernel.variance)};
+    });
+};
+
+/**
+ * Estimate the (normalized) density at the given value(s).
+ * @param {(number|Array.<number>)} x_or_xlist The value or array of values at
+ *      which to estimate the density.
+ * @return {(number|Array.<number>)} ds The density at the given value(s).
+ */
+KernelDensity.prototype.density = function(x_or_xlist) {
+    var t = this._transform;
+    return this._evaluate(x_or_xlist, (c, x, y) => {
+        if (y === null)  // Outside the transform's domain
+            return 0.0;
+        var d = c.weight * this._kernel.pdf((y - c.mean) / c.width) / c.width;
+        // Change of variables, if transformed: f(x) = g(F(x)) * F'(x)
+        return t !== null && d > 0 ? d * t.derivative(x) : d;
+    });
+};
+
+/**
+ * Estimate the cumulative count of points <= the given value(s), as with
+ * StreamHist.sum.
+ * @param {(number|Array.<number>)} x_or_xlist The value or array of values at
+ *      which to estimate the cumulative count.
+ * @return {(number|Array.<number>)} ss The cumulative count(s).
+ */
+KernelDensity.prototype.sum = function(x_or_xlist) {
+    return this._evaluate(x_or_xlist, (c, x, y) => {
+        if (y === null)  // Outside the transform's domain, on either side
+            return x < this._limits[0] ? 0.0 : c.weight * this._count;
+        return c.weight * this._count *
+               this._kernel.cdf((y - c.mean) / c.width);
+    });
+};
+
+/**
+ * Return the limits of the histogram the estimate was made from. Note that
+ * the estimated density usually extends beyond them.
+ * @return {Array.<number>} limits The histogram's min and max.
+ */
+KernelDensity.prototype.limits = function() {
+    return this._limits.slice();
+};
+
+/** @protected */
+KernelDensity.prototype._evaluate = function(x_or_xlist, term) {
+    // Sum term(c, x, y) over the components c, where y is x on the binned
+    // scale (or null, outside the transform's domain)
+    var xs = Array.isArray(x_or_xlist) ? x_or_xlist : [x_or_xlist],
+        ys = xs.map(x => {
+            var y = this._transform !== null ? this._transform.forward(x) : x;
+            if (!isFinite(y) && isFinite(x))
+                y = null;
+            return this._components.reduce((sum, c) => sum + term(c, x, y),
+                                            0.0);
+        });
+    return Array.isArray(x_or_xlist) ? ys : ys[0];
+};
+
+/**
+ * Compute n evenly spaced values between (and including) lo and hi.
+ * @param {number} n The number of values (at least 2).
+ * @param {Array.<number>} limits The lowest and highest values.
+ * @return {Array.<number>} xs The values.
+ * @throws {Error} If n isn't an integer >= 2, or the limits are missing.
+ */
+function linspace(n, limits) {
+    if (!Number.isInteger(n) || n < 2)
+        throw new Error("Number of points must be an integer >= 2");
+    if (!Array.isArray(limits) || limits[0] == null || limits[1] == null)
+        throw new Error("Cannot sample a curve without limits");
+    var lo = limits[0], hi = limits[1], xs = [];
+    for (var i = 0 ; i < n ; i++) {
+        xs.push(i === n - 1 ? hi : lo + (hi - lo) * i / (n - 1));
+    }
+    return xs;
+};
+
+/**
+ * Sample the density of a histogram (or kernel density estimate) at n evenly
+ * spaced points, e.g., for plotting or numeric integration.
+ * @param {(StreamHist|KernelDensity)} est The histogram or estimate.
+ * @param {number} n The number of points (at least 2).
+ * @param {Array.<number>} [limits=est.limits()] The range to sample over.
+ * @return {Array.<Point>} curve The sampled points, in order.
+ */
+function densityCurve(est, n, limits) {
+    var xs = linspace(n, limits || est.limits());
+    return xs.map(x => ({x: x, y: est.density(x)}));
+};
+
+/**
+ * Sample the cumulative count of a histogram (or kernel density estimate) at
+ * n evenly spaced points, e.g., for plotting.
+ * @param {(StreamHist|KernelDensity)} est The histogram or estimate.
+ * @param {number} n The number of points (at least 2).
+ * @param {Array.<number>} [limits=est.limits()] The range to sample over.
+ * @return {Array.<Point>} curve The sampled points, in order.
+ */
+function sumCurve(est, n, limits) {
+    var xs = linspace(n, limits || est.limits());
+    return xs.map(x => ({x: x, y: est.sum(x)}));
+};
+
+/**
+ * Integrate a sampled curve with the trapezoidal rule.
+ * @param {Array.<Point>} curve The sampled points, in order.
+ * @return {number} area The area under the curve.
+ */
+function integrate(curve) {
+    var area = 0.0;
+    for (var i = 1 ; i < curve.length ; i++) {
+        area += (curve[i].x - curve[i - 1].x) *
+                (curve[i].y + curve[i - 1].y) / 2;
+    }
+    return area;
+};
+
+module.exports = {'KernelDensity': KernelDensity, 'densityCurve': densityCurve,
+                  'sumCurve': sumCurve, 'integrate': integrate,
+                  'linspace': linspace}
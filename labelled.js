@@ -0,0 +1,433 @@
+/**
+ * @fileoverview LabelledStreamHist:
+ * Class-labelled streaming approximate histograms, and split-point evaluation.
+ *
+ * This is the part of Ben-Haim & Tom-Tov's [Streaming Parallel Decision Tree
+ * Algorithm]{@link http://jmlr.org/papers/volume11/ben-haim10a/ben-haim10a.pdf}
+ * that the histograms exist for: each bin keeps a count per class label, so
+ * that candidate split points can be proposed using the Uniform procedure
+ * (Algorithm 4), and scored using the number of points of each class that
+ * fall either side of the split, as estimated by the Sum procedure
+ * (Algorithm 3). See Section 2.2 of the paper for details.
+ *
+ * @author carsonfarmer@gmail.com (Carson Farmer)
+ * @license Released under the MIT license.
+ * Copyright (c) 2016 Carson Farmer.
+ */
+
+var index = require('./index.js'),
+    StreamHist = index.StreamHist,
+    combineBins = index.combineBins,
+    ValidationError = index.ValidationError;
+
+/**
+ * @typedef {Object} LabelledBin
+ * @property {number} mean The mean (or center) of the bin.
+ * @property {number} count The total count of points within the bin.
+ * @property {number} tss The total sum of squared deviations from the mean.
+ * @property {number} m3 The total sum of cubed deviations from the mean.
+ * @property {number} m4 The total sum of fourth powers of deviations.
+ * @property {Object.<string, number>} labels The count of points within the
+ *      bin for each class label.
+ */
+
+/**
+ * @typedef {Object} Split
+ * @property {number} value The candidate split point. Points <= value go left.
+ * @property {Object.<string, number>} left Estimated class counts <= value.
+ * @property {Object.<string, number>} right Estimated class counts > value.
+ * @property {number} gini The reduction in Gini impurity due to the split.
+ * @property {number} entropy The reduction in entropy (information gain, in
+ *      bits) due to the split.
+ */
+
+/**
+ * Compute the Gini impurity of a set of class counts.
+ * @param {Object.<string, number>} counts Count of points for each class.
+ * @return {number} gini The Gini impurity, or 0 if there are no points.
+ */
+function gini(counts) {
+    var total = totalCount(counts), sum = 0.0;
+    if (total <= 0)
+        return 0.0;
+    for (var label in counts) {
+        sum += Math.pow(counts[label] / total, 2);
+    }
+    return 1 - sum;
+};
+
+/**
+ * Compute the entropy (in bits) of a set of class counts.
+ * @param {Object.<string, number>} counts Count of points for each class.
+ * @return {number} entropy The entropy, or 0 if there are no points.
+ */
+function entropy(counts) {
+    var total = totalCount(counts), sum = 0.0, p;
+    if (total <= 0)
+        return 0.0;
+    for (var label in counts) {
+        p = counts[label] / total;
+        if (p > 0)
+            sum -= p * Math.log2(p);
+    }
+    return sum;
+};
+
+/**
+ * Compute the reduction in impurity from splitting a set of points in two.
+ * @param {function(Object.<string, number>): number} impurity Impurity measure.
+ * @param {Object.<string, number>} left Class counts on the left of the split.
+ * @param {Object.<string, number>} right Class counts on the right.
+ * @return {number} gain The impurity of the parent, minus the (weighted)
+ *      impurity of its children.
+ */
+function impurityGain(impurity, left, right) {
+    var parent = {}, label;
+    for (label in left) parent[label] = left[label];
+    for (label in right) parent[label] = (parent[label] || 0) + right[label];
+    var nl = totalCount(left), nr = totalCount(right), n = nl + nr;
+    if (n <= 0)
+        return 0.0;
+    return impurity(parent) - (nl / n) * impurity(left) -
+                              (nr / n) * impurity(right);
+};
+
+/** Sum the counts of all classes. */
+function totalCount(counts) {
+    var total = 0.0;
+    for (var label in counts) total += counts[label];
+    return total;
+};
+
+/**
+ * LabelledStreamHist class for building streaming approximate histograms of
+ * class-labelled data, as used for building decision trees. Decay and
+ * warm-up are not supported, as they don't apply to the class counts.
+ * @param {number} [maxbins=100] The maximum number of bins used to approximate
+ *      the data. This should be a positive integer.
+ * @param {boolean} [weighted=false] Whether to use gap weighting.
+ * @param {number} [freeze=null] The freeze threshold.
+ * @constructor
+ * @extends StreamHist
+ */
+function LabelledStreamHist(maxbins, weighted, freeze) {
+    if (!(this instanceof LabelledStreamHist)) // Protect the global namespace!
+        return new LabelledStreamHist(maxbins, weighted, freeze);
+    StreamHist.call(this, maxbins, weighted, freeze);
+};
+
+LabelledStreamHist.prototype = Object.create(StreamHist.prototype);
+LabelledStreamHist.prototype.constructor = LabelledStreamHist;
+
+/**
+ * Adds a labelled point or array of points to the histogram.
+ * Labels are used as object keys, so they are compared as strings. Points
+ * are checked by the input policy, as for StreamHist.push.
+ * @param {(number|Array.<number>)} p Point or points to add to the histogram.
+ * @param {(string|Array.<string>)} label The class label of the point(s), or
+ *      an array of labels, one for each point.
+ * @param {number} [count=1] The 'weight' to use for the input point(s).
+ * @return {LabelledStreamHist} this This histogram instance.
+ * @throws {RangeError} If the weight isn't a positive, finite number.
+ */
+LabelledStreamHist.prototype.push = function(p, label, count) {
+    count = this._weight(count);
+    var labels = Array.isArray(label) ? label : null;
+    p = this._admit(Array.isArray(p) ? p : [p], true);
+    for (var i = 0 ; i < p.length ; i++) {
+        if (p[i] === null)  // Skipped by the input policy
+            continue;
+        this._insert(p[i], count, labels ? labels[i] : label);
+        this._compress();
+    }
+    return this;
+};
+
+/**
+ * Adds an array (or other iterable) of labelled points to the histogram.
+ * @param {Iterable.<number>} values Points to add to the histogram.
+ * @param {(string|Array.<string>)} label The class label of the points, or an
+ *      array of labels, one for each point.
+ * @param {number} [count=1] The 'weight' to use for each point.
+ * @return {LabelledStreamHist} this This histogram instance.
+ * @throws {RangeError} If the weight isn't a positive, finite number.
+ */
+LabelledStreamHist.prototype.pushAll = function(values, label, count) {
+    return this.push(Array.from(values), label, count);
+};
+
+/**
+ * Batch pushes are not supported by labelled histograms, as points are
+ * grouped before their labels could be counted. Use pushAll instead.
+ * @throws {Error} Always.
+ */
+LabelledStreamHist.prototype.pushBatch = function() {
+    throw new Error("Labelled histograms do not support batch pushes");
+};
+
+/**
+ * Removal is not supported by labelled histograms, as the labels of the
+ * points in a bin can't be told apart.
+ * @throws {Error} Always.
+ */
+LabelledStreamHist.prototype.remove = function() {
+    throw new Error("Labelled histograms do not support removal");
+};
+
+/** @protected */
+LabelledStreamHist.prototype._insert = function(x, count, label) {
+    if (label == null)
+        throw new Error("Labelled histograms require a label for every point");
+    StreamHist.prototype._insert.call(this, x, count);
+    // The bin that received the point is now the nearest one to it
+    var bin = this.findNearest(x);
+    bin.labels[label] = (bin.labels[label] || 0) + count;
+};
+
+/** @protected */
+LabelledStreamHist.prototype._newBin = function(p, count) {
+    var b = StreamHist.prototype._newBin.call(this, p, count);
+    b.labels = {};
+    return b;
+};
+
+/** @protected */
+LabelledStreamHist.prototype._combineBins = function(a, b) {
+    for (var label in b.labels) {
+        a.labels[label] = (a.labels[label] || 0) + b.labels[label];
+    }
+    return combineBins(a, b);
+};
+
+/** @protected */
+LabelledStreamHist.prototype._copyBin = function(b, factor) {
+    var copy = StreamHist.prototype._copyBin.call(this, b, factor);
+    copy.labels = Object.assign({}, b.labels);
+    return copy;
+};
+
+/**
+ * Decay is not supported by labelled histograms.
+ * @return {number} halfLife Always 0.
+ */
+LabelledStreamHist.prototype.halfLife = function(halfLife) {
+    if (halfLife)
+        throw new Error("Labelled histograms do not support decay");
+    return 0;
+};
+
+/**
+ * Warm-up is not supported by labelled histograms, as their push has no
+ * warm-up handling (and restarting the counts would lose the labels).
+ * @return {number} warmUp Always 0.
+ */
+LabelledStreamHist.prototype.warmUp = function(warmUp) {
+    if (warmUp)
+        throw new Error("Labelled histograms do not support warm-up");
+    return 0;
+};
+
+/**
+ * Transforms are not supported by labelled histograms, as candidate splits
+ * are chosen on the scale of the data.
+ * @return {null} transform Always null.
+ */
+LabelledStreamHist.prototype.transform = function(transform) {
+    if (transform != null)
+        throw new Error("Labelled histograms do not support transforms");
+    return StreamHist.prototype.transform.call(this, transform);
+};
+
+/**
+ * Return the class labels seen by this histogram.
+ * @return {Array.<string>} labels The distinct class labels.
+ */
+LabelledStreamHist.prototype.labels = function() {
+    return Object.keys(this.labelCounts());
+};
+
+/**
+ * Return the total count of points for each class label.
+ * @return {Object.<string, number>} counts The count for each class label.
+ */
+LabelledStreamHist.prototype.labelCounts = function() {
+    var counts = {};
+    this.bins().each(b => {
+        for (var label in b.labels) {
+            counts[label] = (counts[label] || 0) + b.labels[label];
+        }
+    });
+    return counts;
+};
+
+/**
+ * Estimate the cumulative count of each class at the given value.
+ * This applies the Sum procedure to each class's counts in turn, so the
+ * per-class sums add up to the overall sum at the same value.
+ * @param {number} b The value at which to estimate the cumulative counts.
+ * @return {Object.<string, number>} sums Cumulative count for each class.
+ * @see StreamHist.sum
+ */
+LabelledStreamHist.prototype.labelSum = function(b) {
+    // (A variation on) Algorithm 3: Sum Procedure
+    // Ben-Haim & Tom-Tov (2010) p 852
+    var totals = this.labelCounts(), sums = {}, label;
+    for (label in totals) sums[label] = 0.0;
+    // Some shortcuts to speed up (literal) edge cases
+    if (this.size() === 0 || b < this.min())
+        return sums;
+    else if (b >= this.max())
+        return totals;
+    // Step 1: Find i such that p_i < b < p_{i+1}
+    var bound = this._bound(b),
+        lower = bound[0], upper = bound[1];
+    // Steps 3-6: s = ∑_{j=i-1}^0 m_j + m_i/2 (for each class)
+    var it = this.bins().iterator(), bin;
+    while ((bin = it.next()) !== lower) {
+        for (label in bin.labels) sums[label] += bin.labels[label];
+    }
+    // Step 2: Set s = ((m_i + m_b) / 2) * ((b − p_i) / (p_{i+1} − p_i))
+    var pdiff = (upper.mean - lower.mean),
+        bdiff = (b - lower.mean);
+    for (label in totals) {
+        var mi = lower.labels[label] || 0,
+            mj = upper.labels[label] || 0;
+        sums[label] += mi / 2;
+        // Like _sum, interpolate towards min or max before the first bin's
+        // centre or after the last's
+        if (b < lower.mean) {
+            sums[label] *= (b - this.min()) / (lower.mean - this.min());
+        } else if (b > lower.mean && lower === upper) {
+            sums[label] += (totals[label] - sums[label]) *
+                           (b - lower.mean) / (this.max() - lower.mean);
+        } else if (bdiff !== 0 && pdiff !== 0) {
+            var mb = mi + ((mj - mi) / pdiff) * bdiff;
+            sums[label] += ((mi + mb) / 2) * (bdiff / pdiff);
+        }
+        // Interpolation can overshoot, so keep within sensible limits
+        sums[label] = Math.min(Math.max(sums[label], 0.0), totals[label]);
+    }
+    return sums;
+};
+
+/**
+ * Propose candidate split points, using the Uniform procedure to find points
+ * that divide the data into (approximately) equally sized intervals.
+ * @param {number} [B=this.maxBins()] The number of intervals, so that B - 1
+ *      candidates are proposed (fewer, if some coincide).
+ * @return {Array.<number>} candidates Distinct candidate split points.
+ */
+LabelledStreamHist.prototype.candidates = function(B) {
+    // Algorithm 4: Uniform Procedure
+    // Ben-Haim & Tom-Tov (2010) p 853
+    B = Number.isInteger(B) && B > 1 ? B : this.maxBins();
+    if (this.size() === 0)
+        return [];
+    var ps = [];
+    for (var j = 1 ; j < B ; j++) {
+        ps.push(j / B);
+    }
+    return this.quantile(ps).filter((u, i, us) => i === 0 || u !== us[i - 1]);
+};
+
+/**
+ * Propose and score candidate split points.
+ * Each candidate is scored by the reduction in Gini impurity and in entropy
+ * that splitting the data at that point would achieve.
+ * @param {number} [B=this.maxBins()] The number of intervals used to propose
+ *      candidates (see candidates).
+ * @return {Array.<Split>} splits Scored candidate splits, ordered by value.
+ */
+LabelledStreamHist.prototype.splits = function(B) {
+    var totals = this.labelCounts();
+    return this.candidates(B).map(u => {
+        var left = this.labelSum(u), right = {};
+        for (var label in totals) {
+            right[label] = Math.max(totals[label] - left[label], 0.0);
+        }
+        return {value: u, left: left, right: right,
+                gini: impurityGain(gini, left, right),
+                entropy: impurityGain(entropy, left, right)};
+    });
+};
+
+/**
+ * Find the best candidate split point, i.e., the decision stump for this
+ * feature.
+ * @param {number} [B=this.maxBins()] The number of intervals used to propose
+ *      candidates (see candidates).
+ * @param {string} [criterion="gini"] Either "gini" or "entropy".
+ * @return {Split} split The candidate with the largest gain, or null if there
+ *      are no candidates.
+ */
+LabelledStreamHist.prototype.bestSplit = function(B, criterion) {
+    criterion = criterion === "entropy" ? "entropy" : "gini";
+    return this.splits(B).reduce((best, split) => {
+        return (best === null || split[criterion] > best[criterion]) ?
+            split : best;
+    }, null);
+};
+
+/**
+ * Return this histogram's bins as an array of bin objects.
+ * @return {Array.<LabelledBin>} array Array of bin objects ordered by their
+ *      means.
+ */
+LabelledStreamHist.prototype.toArray = function() {
+    var array = [];
+    this.bins().each(b => array.push({mean:b.mean, count:b.count, tss:b.tss,
+                                      m3:b.m3, m4:b.m4,
+                                      labels:Object.assign({}, b.labels)}));
+    return array;
+};
+
+/** @protected */
+LabelledStreamHist.prototype._binFromJSON = function(bin, field) {
+    var copy = StreamHist.prototype._binFromJSON.call(this, bin, field),
+        labels = bin.labels != null ? bin.labels : {}, total = 0.0;
+    if (typeof labels !== "object" || Array.isArray(labels))
+        throw new ValidationError(field + ".labels", "expected an object");
+    for (var label in labels) {
+        var count = labels[label];
+        if (typeof count !== "number" || !(count >= 0) || !isFinite(count))
+            throw new ValidationError(field + ".labels." + label,
+                                      "expected a finite number >= 0");
+        total += count;
+    }
+    if (Math.abs(total - copy.count) > 1e-9 * Math.max(1, copy.count))
+        throw new ValidationError(field + ".labels", "expected label counts " +
+                                  "summing to the bin count (" + copy.count +
+                                  "), but got " + total);
+    copy.labels = Object.assign({}, labels);
+    return copy;
+};
+
+/**
+ * Merge any number of labelled histograms into a new one, in a single pass,
+ * without changing any of them.
+ * @param {Array.<LabelledStreamHist>} hists The histograms to merge.
+ * @param {object} [options] Settings for the merged histogram.
+ * @return {LabelledStreamHist} hist The merged histogram.
+ * @throws {TypeError} If the inputs aren't all labelled histograms.
+ * @throws {Error} If the inputs' settings conflict (and aren't given).
+ * @see StreamHist.mergeAll
+ */
+LabelledStreamHist.mergeAll = function(hists, options) {
+    return new LabelledStreamHist()._mergeAll(hists, options);
+};
+
+/**
+ * Create a labelled histogram from a JSON data structure.
+ * @param {HistJSON} json A JSON representation of a labelled histogram, whose
+ *      bins also have labels.
+ * @param {object} [options] Loading options (see StreamHist.fromJSON).
+ * @return {LabelledStreamHist} hist The labelled histogram.
+ * @throws {ValidationError} If the input is invalid.
+ * @see StreamHist.toJSON
+ */
+LabelledStreamHist.fromJSON = function(json, options) {
+    return new LabelledStreamHist()._fromJSON(json, options);
+};
+
+module.exports = {'LabelledStreamHist': LabelledStreamHist, 'gini': gini,
+                  'entropy': entropy, 'impurityGain': impurityGain}
@@ -0,0 +1,339 @@
+/**
+ * @fileoverview StreamHist parallel building:
+ * Sharded construction of streaming approximate histograms over worker
+ * threads, as in Ben-Haim & Tom-Tov's parallel setting: each worker builds a
+ * histogram of its shard of the data, and the shards' histograms are then
+ * merged into one (Algorithm 2).
+ *
+ * Points are assigned to shards deterministically, either in turn (by their
+ * position in the input), or by a hash of their value, so that a given input
+ * always produces the same histogram. The shards are merged in order, and the
+ * result is checked against merging them in reverse order; the merge
+ * procedure is only approximately associative, so the two may differ slightly
+ * (but not beyond a tolerance on their Kolmogorov–Smirnov distance).
+ *
+ * This module depends on Node's worker_threads API, so it isn't part of the
+ * browser build.
+ *
+ * @author carsonfarmer@gmail.com (Carson Farmer)
+ * @license Released under the MIT license.
+ * Copyright (c) 2016 Carson Farmer.
+ */
+
+var threads = require('worker_threads'),
+    os = require('os'),
+    StreamHist = require('./index.js').StreamHist,
+    compare = require('./compare.js'),
+    ValueParser = require('./stream.js').ValueParser;
+
+/**
+ * @typedef {Object} ShardOptions
+ * @property {number} [shards=os.cpus().length] The number of shards (and
+ *      worker threads).
+ * @property {(string|function(number, number): number)} [assign="turn"] How to
+ *      assign points to shards: "turn" (in turn, by their position in the
+ *      input), "hash" (by a hash of their value, so that the assignment doesn't
+ *      depend on the order of the input either), or a function of each value
+ *      and its position, returning a shard index.
+ * @property {boolean} [threads=true] Whether to build the shards in worker
+ *      threads, rather than in this thread (which gives identical results).
+ * @property {number} [chunkSize=65536] The number of points to buffer for each
+ *      shard before sending them to its worker.
+ * @property {number} [tolerance=0.01] The largest Kolmogorov–Smirnov distance
+ *      allowed between the shards merged in order and in reverse order.
+ * @property {number} [maxBins] See StreamHist.
+ * @property {boolean} [weighted] See StreamHist.
+ * @property {number} [freeze] See StreamHist.
+ * @property {number} [warmUp] See StreamHist.
+ */
+
+// Scratch space for reading the bits of numbers
+var hashView = new DataView(new ArrayBuffer(8));
+
+/**
+ * Hash a number, for assigning it to a shard.
+ * @param {number} x The number.
+ * @return {number} hash An unsigned 32-bit hash of its (float64) bits.
+ */
+function hashValue(x) {
+    hashView.setFloat64(0, x === 0 ? 0 : x);  // Treat -0 as 0
+    var h = hashView.getUint32(0) ^ Math.imul(hashView.getUint32(4), 0x9E3779B1);
+    // Final mix from MurmurHash3
+    h = Math.imul(h ^ (h >>> 16), 0x85EBCA6B);
+    h = Math.imul(h ^ (h >>> 13), 0xC2B2AE35);
+    return (h ^ (h >>> 16)) >>> 0;
+};
+
+/**
+ * Merge histograms in the given order into a new histogram.
+ * @param {Array.<StreamHist>} hists The histograms to merge.
+ * @param {ShardOptions} options Options for the new histogram.
+ * @return {StreamHist} hist The merged histogram.
+ */
+function mergeShards(hists, options) {
+    var hist = new StreamHist(options.maxBins, options.weighted,
+                              options.freeze, options.warmUp);
+    hists.forEach(that => hist.merge(that, hist.maxBins()));
+    return hist;
+};
+
+/**
+ * Measure how much merging histograms depends on the order they are merged
+ * in, as the Kolmogorov–Smirnov distance between merging them in order and in
+ * reverse order.
+ * @param {Array.<StreamHist>} hists The histograms to merge.
+ * @param {ShardOptions} [options] Options for the merged histograms.
+ * @return {number} distance The KS distance (0 if there is nothing to merge).
+ */
+function mergeDiscrepancy(hists, options) {
+    options = options || {};
+    var forward = mergeShards(hists, options),
+        reverse = mergeShards(hists.slice().reverse(), options);
+    if (forward.size() === 0)
+        return 0.0;
+    return compare.ks(forward, reverse).statistic;
+};
+
+/**
+ * Builder that spreads points over shards, each of which is built in its own
+ * worker thread, and merges the shards' histograms once all points are in.
+ * Workers are started by the first push, and stop once the histogram has been
+ * built (or the builder is destroyed).
+ * @param {ShardOptions} [options] Sharding and histogram options.
+ * @constructor
+ * @throws {Error} If the options aren't valid.
+ */
+function ShardedBuilder(options) {
+    if (!(this instanceof ShardedBuilder)) // Protect the global namespace!
+        return new ShardedBuilder(options);
+    options = Object.assign({shards: os.cpus().length, assign: "turn",
+                             threads: true, chunkSize: 65536,
+                             tolerance: 0.01}, options);
+    if (!Number.isInteger(options.shards) || options.shards < 1)
+        throw new Error("Number of shards must be a positive integer");
+    if (typeof options.assign !== "function" &&
+        options.assign !== "turn" && options.assign !== "hash")
+        throw new Error("Unknown assignment " + JSON.stringify(options.assign) +
+                        " (expected \"turn\", \"hash\" or a function)");
+    if (!(options.tolerance >= 0))
+        throw new Error("Tolerance must be a number >= 0");
+    this.options = options;
+    this._index = 0;  // Position of the next point in the input
+    this._buffers = [];  // Points (and their weight) waiting for each shard
+    this._shards = null;  // Workers, or histograms if not using threads
+    this._error = null;  // The first error from a worker
+    this._done = false;
+};
+
+/**
+ * Assign a point or array (or other iterable) of points to shards.
+ * @param {(number|Iterable.<number>)} p Point or points to add.
+ * @param {number} [count=1] The 'weight' to use for the input point(s).
+ * @return {ShardedBuilder} this This builder.
+ * @throws {Error} If the histogram has already been built, or a point isn't a
+ *      number.
+ * @throws {RangeError} If the weight isn't a positive, finite number.
+ */
+ShardedBuilder.prototype.push = function(p, count) {
+    if (this._done)
+        throw new Error("Cannot push to a builder once it has been built");
+    count = StreamHist.prototype._weight(count);
+    if (this._shards === null)
+        this._start();
+    var values = typeof p === "number" ? [p] : Array.from(p),
+        shards = this.options.shards, assign = this.options.assign;
+    for (var i = 0 ; i < values.length ; i++, this._index++) {
+        var x = values[i];
+        if (typeof x !== "number")
+            throw new TypeError("Expected a number, but got " +
+                                JSON.stringify(x));
+        var shard = assign === "turn" ? this._index % shards :
+            assign === "hash" ? hashValue(x) % shards : assign(x, this._index);
+        if (!(shard >= 0 && shard < shards && Number.isInteger(shard)))
+            throw new Error("Shard index must be an integer in [0, " + shards +
+                            "), but got " + shard);
+        var buffer = this._buffer(shard, count);
+        buffer.values.push(x);
+        if (buffer.values.length >= this.options.chunkSize)
+            this._flush(shard);
+    }
+    return this;
+};
+
+/**
+ * Merge the shards' histograms, once all of their points are in, and stop
+ * the workers.
+ * @return {Promise.<StreamHist>} hist Resolves to the merged histogram, or
+ *      rejects if a shard fails, or if the merge order matters more than the
+ *      tolerance allows.
+ */
+ShardedBuilder.prototype.build = function() {
+    if (this._done)
+        return Promise.reject(new Error("The histogram has already been built"));
+    if (this._shards === null)
+        this._start();
+    this._done = true;
+    for (var shard = 0 ; shard < this.options.shards ; shard++) {
+        this._flush(shard);
+    }
+    var options = this.options;
+    return Promise.all(this._shards.map(shard => {
+        if (shard instanceof StreamHist)
+            return shard;
+        return new Promise((resolve, reject) => {
+            if (this._error !== null)
+                return reject(this._error);
+            shard.once('message', json => resolve(StreamHist.fromJSON(json)));
+            shard.once('error', reject);
+            shard.once('exit', code => reject(new Error(
+                "Shard worker exited with code " + code)));
+            shard.postMessage({done: true});
+        });
+    })).then(hists => {
+        this.destroy();
+        var distance = mergeDiscrepancy(hists, options);
+        if (distance > options.tolerance)
+            throw new Error("Merged histogram depends on the merge order (KS " +
+                            "distance " + distance + " > " + options.tolerance +
+                            ")");
+        return mergeShards(hists, options);
+    }, err => {
+        this.destroy();
+        throw err;
+    });
+};
+
+/**
+ * Stop any workers, e.g., to abandon a build.
+ * @return {ShardedBuilder} this This builder.
+ */
+ShardedBuilder.prototype.destroy = function() {
+    this._done = true;
+    (this._shards || []).forEach(shard => {
+        if (!(shard instanceof StreamHist)) {
+            shard.removeAllListeners();
+            shard.terminate();
+        }
+    });
+    return this;
+};
+
+/** @protected */
+ShardedBuilder.prototype._start = function() {
+    var options = this.options,
+        hist = {maxBins: options.maxBins, weighted: options.weighted,
+                freeze: options.freeze, warmUp: options.warmUp};
+    this._shards = [];
+    for (var shard = 0 ; shard < options.shards ; shard++) {
+        this._buffers.push(null);
+        if (options.threads) {
+            var worker = new threads.Worker(__filename,
+                                            {workerData: {shard: hist}});
+            // Keep the first error until the histogram is built
+            worker.on('error', err => this._error = this._error || err);
+            this._shards.push(worker);
+        } else {
+            this._shards.push(new StreamHist(hist.maxBins, hist.weighted,
+                                             hist.freeze, hist.warmUp));
+        }
+    }
+};
+
+/** @protected */
+ShardedBuilder.prototype._buffer = function(shard, count) {
+    // Points are sent in chunks of the same weight
+    var buffer = this._buffers[shard];
+    if (buffer !== null && buffer.count !== count) {
+        this._flush(shard);
+        buffer = null;
+    }
+    if (buffer === null)
+        buffer = this._buffers[shard] = {values: [], count: count};
+    return buffer;
+};
+
+/** @protected */
+ShardedBuilder.prototype._flush = function(shard) {
+    var buffer = this._buffers[shard];
+    if (buffer === null || buffer.values.length === 0)
+        return;
+    this._buffers[shard] = null;
+    var target = this._shards[shard];
+    if (target instanceof StreamHist) {
+        target.push(buffer.values, buffer.count);
+    } else {
+        var values = Float64Array.from(buffer.values);
+        target.postMessage({values: values, count: buffer.count},
+                           [values.buffer]);
+    }
+};
+
+/**
+ * Build a histogram of an array (or other iterable) of points, or of a stream
+ * of them, over worker threads.
+ * @param {(Iterable.<number>|stream.Readable)} input The points, or a stream
+ *      of numbers, numeric strings, newline-delimited text or records (see
+ *      HistWritable).
+ * @param {ShardOptions} [options] Sharding and histogram options, plus stream
+ *      options (objectMode, field and accessor) for streams.
+ * @return {Promise.<StreamHist>} hist Resolves to the merged histogram.
+ */
+function buildSharded(input, options) {
+    options = options || {};
+    var builder = new ShardedBuilder(options);
+    if (typeof input.pipe !== "function") {
+        try {
+            builder.push(input);
+        } catch (err) {
+            builder.destroy();
+            return Promise.reject(err);
+        }
+        return builder.build();
+    }
+    var parser = new ValueParser(Object.assign({}, options, {
+        objectMode: options.objectMode === true ||
+                    input.readableObjectMode === true
+    }));
+    return new Promise((resolve, reject) => {
+        var fail = err => {
+            builder.destroy();
+            reject(err);
+        };
+        input.on('data', chunk => {
+            try {
+                builder.push(parser.parse(chunk));
+            } catch (err) {
+                input.destroy();
+                fail(err);
+            }
+        });
+        input.on('error', fail);
+        input.on('end', () => {
+            try {
+                builder.push(parser.end());
+            } catch (err) {
+                return fail(err);
+            }
+            builder.build().then(resolve, reject);
+        });
+    });
+};
+
+// Worker threads build a single shard, and send it back when asked
+if (!threads.isMainThread && threads.workerData &&
+    threads.workerData.shard) {
+    var options = threads.workerData.shard,
+        hist = new StreamHist(options.maxBins, options.weighted,
+                              options.freeze, options.warmUp);
+    threads.parentPort.on('message', message => {
+        if (message.done) {
+            threads.parentPort.postMessage(hist.toJSON());
+        } else {
+            hist.push(Array.from(message.values), message.count);
+        }
+    });
+}
+
+module.exports = {'ShardedBuilder': ShardedBuilder,
+                  'buildSharded': buildSharded, 'mergeShards': mergeShards,
+                  'mergeDiscrepancy': mergeDiscrepancy, 'hashValue': hashValue}
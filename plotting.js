@@ -6,6 +6,8 @@ var StreamHist = require('./index.js').StreamHist,
 // Create random Gaussian data and push it into a StreamHist object
 var data = rand.rvnorm(10000)
 var hist = StreamHist(20, false, 0, 5000).push(data);
+// Rebin into equal-width intervals, which is what a bar chart wants
+var intervals = hist.rebin(20);
 
 // Employ conventional margins (http://bl.ocks.org/3019563)
 var margin = {top: 20, right: 20, bottom: 50, left: 40},
@@ -18,14 +20,9 @@ var x = d3.scaleLinear()
 
 var y = d3.scaleLinear()
     .range([height, 0])
-    .domain([0, d3.max(hist.toArray(), d => d.count)])
+    .domain([0, d3.max(intervals, d => d.count)])
     .nice();
 
-var area = d3.area()
-    .x(d => x(d.mean))
-    .y0(height)
-    .y1(d => y(d.count));
-
 var blue = d3.color("steelblue"),
     darkblue = blue.darker();
 
@@ -64,31 +61,18 @@ viz.append("text")
     .attr("text-anchor", "middle")
     .attr("dominant-baseline", "central")
     .attr("transform", "translate("+(width/2)+","+(height+margin.bottom/2)+")")
-        .text("Means");
-
-// Finally, add the area element...
-viz.append("path")
-      .datum(hist.toArray())
-      .style("stroke", darkblue)
-      .style("fill", blue)
-      .attr("class", "area")
-      .attr("d", area);
+        .text("Value");
 
-viz.selectAll("lines")
-    .data(hist.toArray())
-    .enter().append("line")
+// Finally, add a bar for each interval...
+viz.selectAll("bars")
+    .data(intervals)
+    .enter().append("rect")
         .style("stroke", darkblue)
-        .attr("x1", d => x(d.mean))
-        .attr("x2", d => x(d.mean))
-        .attr("y1", height)
-        .attr("y2", d => y(d.count));
-
-viz.selectAll("point")
-    .data(hist.toArray())
-    .enter().append("circle")
-        .style("fill", darkblue)
-        .attr("cx", d => x(d.mean))
-        .attr("cy", d => y(d.count))
-        .attr("r", 2);
+        .style("fill", blue)
+        .attr("class", "bar")
+        .attr("x", d => x(d.lo))
+        .attr("width", d => x(d.hi) - x(d.lo))
+        .attr("y", d => y(d.count))
+        .attr("height", d => height - y(d.count));
 
 $$svg$$ = svg.node().parentNode.outerHTML
@@ -0,0 +1,260 @@
+/**
+ * @fileoverview StreamHist streams:
+ * Node.js stream adapters for feeding streaming approximate histograms.
+ *
+ * HistWritable consumes numbers (or numeric strings, newline-delimited text,
+ * or object records) into a StreamHist, and HistTransform does the same while
+ * periodically emitting snapshots of the histogram's summary (or of chosen
+ * quantiles). Both respect backpressure, as points are pushed into the
+ * histogram before each chunk is acknowledged.
+ *
+ * This module depends on Node's stream API, so it isn't part of the browser
+ * build.
+ *
+ * @author carsonfarmer@gmail.com (Carson Farmer)
+ * @license Released under the MIT license.
+ * Copyright (c) 2016 Carson Farmer.
+ */
+
+var stream = require('stream'),
+    util = require('util'),
+    StringDecoder = require('string_decoder').StringDecoder,
+    StreamHist = require('./index.js').StreamHist;
+
+/**
+ * @typedef {Object} HistStreamOptions
+ * @property {StreamHist} [hist] The histogram to push points into. If omitted,
+ *      a new histogram is created from maxBins, weighted, freeze and warmUp.
+ * @property {number} [maxBins] See StreamHist.
+ * @property {boolean} [weighted] See StreamHist.
+ * @property {number} [freeze] See StreamHist.
+ * @property {number} [warmUp] See StreamHist.
+ * @property {boolean} [objectMode=false] Whether the stream consumes values
+ *      (numbers, numeric strings, arrays or object records) rather than text.
+ * @property {string} [field] The name of the field holding the value in object
+ *      records.
+ * @property {function(*): number} [accessor] A function extracting the value
+ *      from each record. Takes precedence over field.
+ */
+
+/**
+ * Create a histogram from stream options.
+ * @param {HistStreamOptions} options Stream options.
+ * @return {StreamHist} hist The given histogram, or a new one.
+ */
+function histFromOptions(options) {
+    return options.hist || new StreamHist(options.maxBins, options.weighted,
+                                          options.freeze, options.warmUp);
+};
+
+/**
+ * Parser for the values written to a histogram stream. Text is split into
+ * lines (which may span chunks), while records are passed through the
+ * accessor (or field) before being converted to numbers.
+ * @param {HistStreamOptions} options Stream options.
+ * @constructor
+ * @protected
+ */
+function ValueParser(options) {
+    this._objectMode = options.objectMode === true;
+    this._accessor = options.accessor || (options.field != null ?
+        (record => record[options.field]) : null);
+    this._decoder = new StringDecoder('utf8');
+    this._remainder = "";
+};
+
+/**
+ * Convert a single value to a number.
+ * @param {*} value A number, or numeric string.
+ * @return {number} x The number.
+ * @throws {TypeError} If value isn't numeric.
+ */
+ValueParser.prototype.number = function(value) {
+    var x = typeof value === "string" && value.trim() !== "" ?
+        Number(value) : value;
+    if (typeof x !== "number" || x !== x)
+        throw new TypeError("Expected a number, but got " +
+                            JSON.stringify(value));
+    return x;
+};
+
+/**
+ * Parse a chunk written to the stream.
+ * @param {(Buffer|string|*)} chunk The chunk.
+ * @return {Array.<number>} values The (complete) values in the chunk.
+ */
+ValueParser.prototype.parse = function(chunk) {
+    if (!this._objectMode) {
+        var lines = (this._remainder + this._decoder.write(chunk)).split("\n");
+        this._remainder = lines.pop();  // Possibly incomplete
+        return this._lines(lines);
+    }
+    var records = Array.isArray(chunk) ? chunk : [chunk];
+    return records.map(record => {
+        return this.number(this._accessor ? this._accessor(record) : record);
+    });
+};
+
+/**
+ * Parse whatever is left once the stream has ended.
+ * @return {Array.<number>} values The remaining values.
+ */
+ValueParser.prototype.end = function() {
+    if (this._objectMode)
+        return [];
+    var lines = [this._remainder + this._decoder.end()];
+    this._remainder = "";
+    return this._lines(lines);
+};
+
+/** @protected */
+ValueParser.prototype._lines = function(lines) {
+    return lines
+        .map(line => line.trim())
+        .filter(line => line !== "")
+        .map(line => this.number(line));
+};
+
+/**
+ * Writable stream that pushes everything written to it into a StreamHist.
+ * @param {HistStreamOptions} [options] Stream and histogram options.
+ * @constructor
+ * @extends stream.Writable
+ */
+function HistWritable(options) {
+    if (!(this instanceof HistWritable)) // Protect the global namespace!
+        return new HistWritable(options);
+    options = options || {};
+    stream.Writable.call(this, {objectMode: options.objectMode === true,
+                                highWaterMark: options.highWaterMark});
+    this.hist = histFromOptions(options);
+    this._parser = new ValueParser(options);
+};
+util.inherits(HistWritable, stream.Writable);
+
+/** @protected */
+HistWritable.prototype._write = function(chunk, encoding, callback) {
+    try {
+        this.hist.push(this._parser.parse(chunk));
+    } catch (err) {
+        return callback(err);
+    }
+    callback();
+};
+
+/** @protected */
+HistWritable.prototype._final = function(callback) {
+    try {
+        this.hist.push(this._parser.end());
+    } catch (err) {
+        return callback(err);
+    }
+    callback();
+};
+
+/**
+ * Transform stream that pushes everything written to it into a StreamHist,
+ * and emits snapshots of the histogram every N points and/or every T
+ * milliseconds (if any points have arrived since the last snapshot), as well
+ * as once the stream has ended.
+ * @param {HistStreamOptions} [options] Stream and histogram options, plus:
+ * @param {number} [options.every] Emit a snapshot every N points.
+ * @param {number} [options.interval] Emit a snapshot every T milliseconds.
+ * @param {Array.<number>} [options.quantiles] Emit these quantiles rather
+ *      than the full summary.
+ * @constructor
+ * @extends stream.Transform
+ */
+function HistTransform(options) {
+    if (!(this instanceof HistTransform)) // Protect the global namespace!
+        return new HistTransform(options);
+    options = options || {};
+    stream.Transform.call(this, {writableObjectMode: options.objectMode === true,
+                                 readableObjectMode: true,
+                                 highWaterMark: options.highWaterMark});
+    this.hist = histFromOptions(options);
+    this._parser = new ValueParser(options);
+    this._every = options.every > 0 ? options.every : 0;
+    this._interval = options.interval > 0 ? options.interval : 0;
+    this._quantiles = options.quantiles || null;
+    this._pending = 0;  // Points since the last snapshot
+    this._timer = null;
+};
+util.inherits(HistTransform, stream.Transform);
+
+/**
+ * Take a snapshot of the histogram.
+ * @return {object} snapshot The histogram's summary, or its count and the
+ *      chosen quantiles (keyed by probability).
+ */
+HistTransform.prototype.snapshot = function() {
+    if (!this._quantiles)
+        return this.hist.summary();
+    var values = this.hist.quantile(this._quantiles), quantiles = {};
+    this._quantiles.forEach((p, i) => quantiles[p] = values[i]);
+    return {"count": this.hist.count(), "quantiles": quantiles};
+};
+
+/** @protected */
+HistTransform.prototype._emit = function() {
+    this._pending = 0;
+    this.push(this.snapshot());
+};
+
+/** @protected */
+HistTransform.prototype._ingest = function(values) {
+    for (var i = 0 ; i < values.length ; i++) {
+        this.hist.push(values[i]);
+        this._pending++;
+        if (this._every && this._pending >= this._every)
+            this._emit();
+    }
+    if (this._interval && this._timer === null) {
+        this._timer = setInterval(() => {
+            if (this._pending > 0)
+                this._emit();
+        }, this._interval);
+        if (this._timer.unref)
+            this._timer.unref();
+    }
+};
+
+/** @protected */
+HistTransform.prototype._transform = function(chunk, encoding, callback) {
+    try {
+        this._ingest(this._parser.parse(chunk));
+    } catch (err) {
+        return callback(err);
+    }
+    callback();
+};
+
+/** @protected */
+HistTransform.prototype._flush = function(callback) {
+    try {
+        this._ingest(this._parser.end());
+    } catch (err) {
+        return callback(err);
+    }
+    this._stop();
+    if (this._pending > 0)
+        this._emit();
+    callback();
+};
+
+/** @protected */
+HistTransform.prototype._destroy = function(err, callback) {
+    this._stop();
+    callback(err);
+};
+
+/** @protected */
+HistTransform.prototype._stop = function() {
+    if (this._timer !== null) {
+        clearInterval(this._timer);
+        this._timer = null;
+    }
+};
+
+module.exports = {'HistWritable': HistWritable, 'HistTransform': HistTransform,
+                  'ValueParser': ValueParser}
@@ -2,9 +2,30 @@ var chai = require('chai'),
     should = chai.should(),
     expect = chai.expect,
     StreamHist = require('./index.js').StreamHist,
+    WindowedStreamHist = require('./windowed.js').WindowedStreamHist,
+    labelled = require('./labelled.js'),
+    LabelledStreamHist = labelled.LabelledStreamHist,
+    streams = require('./stream.js'),
+    Readable = require('stream').Readable,
+    PassThrough = require('stream').PassThrough,
+    cli = require('./cli.js'),
+    fs = require('fs'),
+    os = require('os'),
+    path = require('path'),
+    diffBins = require('./index.js').diffBins,
+    fastHist = require('./index.js').fastHist,
+    combineBins = require('./index.js').combineBins,
+    STRATEGIES = require('./index.js').STRATEGIES,
+    ValidationError = require('./index.js').ValidationError,
     rand = require('randgen'),
     present = require('present'),
-    math = require('mathjs');
+    math = require('mathjs'),
+    seedrandom = require('seedrandom'),
+    interop = require('./interop.js'),
+    compare = require('./compare.js'),
+    kde = require('./kde.js'),
+    parallel = require('./parallel.js'),
+    binary = require('./binary.js');
 chai.use(require("chai-deep-closeto"));
 
 // Array prototype function for aiding in split/apply/combine workflow
@@ -17,6 +38,17 @@ Array.prototype.split = function (groupsize) {
     return sets;
 };
 
+// Call fn with Math.random (and so randgen) seeded, for reproducible data
+function seeded(seed, fn) {
+    var random = Math.random;
+    seedrandom(seed, {global: true});
+    try {
+        return fn();
+    } finally {
+        Math.random = random;
+    }
+};
+
 describe('A basic StreamHist object', function() {
 
     var hist, data = rand.rvnorm(10000),
@@ -92,6 +124,10 @@ describe('A basic StreamHist object', function() {
         // Odd number of points
         hist.push(15).median().should.equal(7.5)
     });
+    it('should have no median when empty', function() {
+        expect(hist.median()).to.be.null;
+        expect(hist.push([1, 2]).reset().median()).to.be.null;
+    });
     it('should compute variance/std dev unless n < 2', function() {
         expect(hist.push(0).variance()).to.be.null;
         expect(hist.std()).to.be.null;
@@ -100,18 +136,27 @@ describe('A basic StreamHist object', function() {
         hist.push(data).variance().should.be.closeTo(Math.pow(std, 2), 0.05);
         hist.std().should.be.closeTo(std, 0.05);
     });
+    it('should draw the bins as text via toString', function() {
+        hist.push([1, 1, 1, 3]).toString().should.equal(
+            "1.0000\t" + ".".repeat(150) + "\n" +
+            "3.0000\t" + ".".repeat(50) + "\n");
+        hist.reset().toString().should.equal("");
+    });
     it('should produce an Array via toArray', function() {
         hist.push(range);
-        var array = range.map(d => Object({mean:d, count:1, tss:0}));
+        var array = range.map(d => Object({mean:d, count:1, tss:0,
+                                           m3:0, m4:0}));
         hist.toArray().should.deep.equal(array);
     });
     it('should produce a JSON object via toJSON', function() {
         hist.push(range);
-        var obj = {_maxBins: hist.maxBins(),
-                   _min: hist.min(), _max: hist.max(),
-                   _weighted: false, _freeze: 0, _tss: 0,
-                   _count: hist.count(), _warmUp: 0}
-        obj._bins = range.map(d => Object({mean:d, count:1, tss:0}));
+        var obj = {version: 2, maxBins: hist.maxBins(),
+                   weighted: false, strategy: "gap", transform: null,
+                   freeze: 0, warmUp: 0, exact: 0,
+                   count: hist.count(), min: hist.min(), max: hist.max(),
+                   decay: null, points: null}
+        obj.bins = range.map(d => Object({mean:d, count:1, tss:0,
+                                          m3:0, m4:0}));
         var json = hist.toJSON();
         json.should.deep.equal(obj);
         json.should.be.instanceof(Object);
@@ -129,6 +174,57 @@ describe('A basic StreamHist object', function() {
             }
         }
     });
+    it('should read the unversioned JSON format', function() {
+        hist.push(range);
+        var legacy = {_maxBins: hist.maxBins(), _min: 0, _max: 14,
+                      _weighted: false, _freeze: 0, _tss: 0, _count: 15,
+                      _warmUp: 0, _cumn: 0,
+                      _bins: range.map(d => Object({mean:d, count:1, tss:0}))};
+        var copy = StreamHist.fromJSON(legacy);
+        copy.toJSON().should.deep.equal(hist.toJSON());
+        // Stale cumulative counts shouldn't leak into queries
+        copy.sum(7).should.equal(hist.sum(7));
+        copy.median().should.equal(7);
+    });
+    it('should migrate version 1 JSON, which had no transforms', function() {
+        hist.push(range);
+        var json = JSON.parse(JSON.stringify(hist));
+        json.version = 1;
+        delete json.transform;
+        var copy = StreamHist.fromJSON(json);
+        expect(copy.transform()).to.be.null;
+        copy.toJSON().should.deep.equal(hist.toJSON());
+        json.transform = "log";
+        expect(() => StreamHist.fromJSON(json))
+            .to.throw(ValidationError, "transform")
+            .with.property("field", "transform");
+    });
+    it('should reject invalid JSON with an error naming the field', function() {
+        hist.push(range);
+        var fail = (change, field) => {
+            var json = JSON.parse(JSON.stringify(hist));
+            change(json);
+            expect(() => StreamHist.fromJSON(json))
+                .to.throw(ValidationError, field)
+                .with.property("field", field);
+        };
+        fail(json => json.version = 3, "version");
+        fail(json => json.maxBins = 0, "maxBins");
+        fail(json => json.weighted = "yes", "weighted");
+        fail(json => json.freeze = -1, "freeze");
+        fail(json => json.count = 16, "count");
+        fail(json => json.min = 1, "min");
+        fail(json => json.max = null, "max");
+        fail(json => json.bins = {}, "bins");
+        fail(json => json.bins[3] = null, "bins[3]");
+        fail(json => json.bins[3].mean = null, "bins[3].mean");
+        fail(json => json.bins[3].mean = 2, "bins[3].mean");
+        fail(json => json.bins[4].count = -1, "bins[4].count");
+        fail(json => json.bins[5].tss = "NaN", "bins[5].tss");
+        fail(json => json.decay = {halfLife: 5, units: "days"}, "decay.units");
+        expect(() => StreamHist.fromJSON(null)).to.throw(ValidationError);
+        expect(() => StreamHist.fromJSON([])).to.throw(ValidationError);
+    });
     it('should push points and arrays into the structure', function() {
         expect(hist.push(1).size()).to.be.equal(1);
         hist.reset();
@@ -209,6 +305,51 @@ describe('A basic StreamHist object', function() {
         var two = present() - start;
         one.should.be.below(two);
     });
+    it('should be fast to compress, even with many bins', function() {
+        // The previous implementation rescanned every pair of adjacent bins
+        // each time a point overflowed maxBins. It is reproduced here as a
+        // benchmark, and to check that the merge order hasn't changed.
+        this.timeout(10000);
+        var legacy = function(maxBins, weighted) {
+            var hist = new StreamHist(maxBins, weighted);
+            hist._addBin = function(b) {
+                this.bins().insert(b);
+                return b;
+            };
+            hist._compress = function() {
+                var it, b, bi, bi1, a, diff, maxDiff;
+                while (this.size() > this.maxBins()) {
+                    it = this.bins().iterator();
+                    a = it.next(), maxDiff = Infinity;
+                    while((b = it.next()) !== null) {
+                        diff = diffBins(a, b, this.weighted());
+                        if (diff < maxDiff) {
+                            maxDiff = diff;
+                            bi = a, bi1 = b;
+                        }
+                        a = b;
+                    }
+                    combineBins(bi, bi1);
+                    this.bins().remove(bi1);
+                }
+            };
+            return hist;
+        };
+        var size = 20000,
+            points = rand.rvnorm(size);
+        var start = present();
+        var heap = new StreamHist(500).push(points);
+        var one = present() - start;
+        start = present();
+        var scan = legacy(500).push(points);
+        var two = present() - start;
+        heap.toArray().should.deep.equal(scan.toArray());
+        one.should.be.below(two);
+        // Gap weighting changes costs as counts change, so check that too
+        points = points.slice(0, 5000);
+        new StreamHist(100, true).push(points).toArray()
+            .should.deep.equal(legacy(100, true).push(points).toArray());
+    });
     it('should produce a summary of the underlying distribution', function(){
         hist.push(data);
         var summary = hist.summary();
@@ -227,6 +368,17 @@ describe('A basic StreamHist object', function() {
         hist.quantile(0).should.equal(hist.min());
         hist.quantile(1).should.equal(hist.max());
     });
+    it('should estimate quantiles before the first bin\'s centre', function() {
+        hist.push([1, 2, 3]).quantile(0.1).should.be.within(1, 2);
+        hist.reset().push(5).summary().Q1.should.equal(5);
+    });
+    it('should interpolate from the minimum to the first bin', function() {
+        // Bins (1, 2) and (5, 2), so the first bin's centre is at a count of 1
+        var small = new StreamHist(2).push([0, 2, 4, 6]);
+        small.quantile([0.05, 0.1, 0.2, 0.25])
+            .should.be.deep.closeTo([0.2, 0.4, 0.8, 1], 1e-12);
+        small.quantile(0.25).should.equal(small.toArray()[0].mean);
+    });
     it('should allow merging of multiple histograms', function() {
         var initial = new StreamHist(50);  // Empty histogram
         // Also illustrates the split/apply/combine or map/reduce
@@ -273,3 +425,2256 @@ describe('A basic StreamHist object', function() {
         hist.density(4.0).should.be.closeTo(0.0, 1e-10);
     });
 });
+
+describe('A decaying StreamHist object', function() {
+
+    it('should not decay by default', function() {
+        var hist = new StreamHist();
+        hist.halfLife().should.equal(0);
+        hist.push([1, 2, 3]).count().should.equal(3);
+    });
+    it('should decay older points by events', function() {
+        var hist = new StreamHist(50);
+        hist.halfLife(100).should.equal(100);
+        var zeros = Array(1000).fill(0), ones = Array(1000).fill(1);
+        hist.push(zeros).push(ones);
+        // ∑_{k=0}^{1999} 2^{-k/100}
+        var total = (1 - Math.pow(2, -20)) / (1 - Math.pow(2, -1/100));
+        hist.count().should.be.closeTo(total, 1e-6);
+        hist.mean().should.be.closeTo(1 - Math.pow(2, -10), 1e-6);
+        hist.median().should.be.closeTo(1, 0.001);
+        hist.quantile(0.5).should.be.closeTo(1, 0.001);
+        hist.sum(0).should.be.below(total / 1000);
+        hist.summary().count.should.be.closeTo(total, 1e-6);
+    });
+    it('should decay older points by timestamps', function() {
+        var hist = new StreamHist(50);
+        hist.halfLife(10, "time");
+        hist.push(0, 1, 0).push(10, 1, 10);
+        hist.count().should.be.closeTo(1.5, 1e-10);
+        hist.mean().should.be.closeTo(20/3, 1e-10);
+        hist.sum(0).should.be.closeTo(0.25, 1e-10);
+        hist.sum(10).should.be.closeTo(1.5, 1e-10);
+        hist.density(5).should.be.closeTo(0.075/1.5, 1e-10);
+        // Late arrivals are weighted by their own timestamps
+        hist.push(5, 1, 5).count().should.be.closeTo(1.5 + Math.SQRT1_2, 1e-10);
+    });
+    it('should decay lazily when pushing', function() {
+        var hist = new StreamHist(20);
+        hist.halfLife(10, "time");
+        hist.push([1, 2, 3], 1, 0);
+        var bin = hist.bins().min();
+        hist.push(4, 1, 10);
+        bin.count.should.equal(1);  // Not rescaled yet...
+        hist.count().should.be.closeTo(2.5, 1e-10);
+        hist.mean();
+        bin.count.should.equal(0.5);  // ...until queried
+        // Points far in the future shouldn't overflow
+        hist.push(5, 1, 1e6).count().should.be.closeTo(1, 1e-10);
+    });
+    it('should merge decayed histograms at a common reference time', function() {
+        var one = new StreamHist(50), two = new StreamHist(50);
+        one.halfLife(10, "time");
+        two.halfLife(10, "time");
+        one.push(0, 1, 0);
+        two.push(10, 1, 10);
+        one.merge(two);
+        one.count().should.be.closeTo(1.5, 1e-10);
+        one.mean().should.be.closeTo(20/3, 1e-10);
+        two.count().should.equal(1);
+        two.toArray()
+            .should.deep.equal([{mean:10, count:1, tss:0, m3:0, m4:0}]);
+        // Pushing at an earlier time should still decay from the merged time
+        one.push(0, 1, 0).count().should.be.closeTo(2, 1e-10);
+        expect(() => one.merge(new StreamHist(50))).to.throw(Error);
+    });
+    it('should keep the decay state via toJSON/fromJSON', function() {
+        var hist = new StreamHist(50);
+        hist.halfLife(10, "time");
+        hist.push([1, 2, 3], 1, 0).push(4, 1, 10);
+        var copy = StreamHist.fromJSON(JSON.parse(JSON.stringify(hist)));
+        copy.halfLife().should.equal(10);
+        copy.count().should.be.closeTo(hist.count(), 1e-10);
+        copy.push(5, 1, 20).count().should.be.closeTo(2.25, 1e-10);
+        hist.push(5, 1, 20).toArray().map(b => b.count)
+            .should.be.deep.closeTo(copy.toArray().map(b => b.count), 1e-10);
+    });
+});
+
+describe('A windowed StreamHist object', function() {
+
+    it('should split the window into panes', function() {
+        var hist = new WindowedStreamHist(300, 60, 50);
+        hist.window().should.equal(300);
+        hist.interval().should.equal(60);
+        hist._panes.should.have.length(5);
+        new WindowedStreamHist(0.3, 0.1)._panes.should.have.length(3);
+        expect(() => new WindowedStreamHist(60, 300)).to.throw(Error);
+        expect(() => new WindowedStreamHist(60)).to.throw(Error);
+    });
+    it('should only describe points within the window', function() {
+        var hist = new WindowedStreamHist(300, 60, 50);
+        hist.push(rand.rvunif(1000, 0, 1), 1, 0)
+            .push(rand.rvunif(1000, 10, 11), 1, 200);
+        hist.count(200).should.equal(2000);
+        hist.quantile(0.25, 200).should.be.closeTo(0.5, 0.05);
+        hist.quantile(0.75, 200).should.be.closeTo(10.5, 0.05);
+        // The first pane [0, 60) expires once we reach 300
+        hist.count(299).should.equal(2000);
+        hist.advance(300).count(300).should.equal(1000);
+        hist.quantile(0.5, 300).should.be.closeTo(10.5, 0.05);
+        hist.summary(300).should.have.property("count", 1000);
+        hist.summary(300).min.should.be.at.least(10);
+        hist.sum(10.5, 300).should.be.closeTo(500, 50);
+        // Everything expires eventually
+        hist.count(600).should.equal(0);
+        expect(hist.quantile(0.5, 600)).to.be.null;
+    });
+    it('should advance the window before answering queries', function() {
+        var hist = new WindowedStreamHist(300, 60).push([1, 2, 3], 1, 0);
+        hist.quantile(0.5, 0).should.equal(2);
+        expect(hist.quantile(0.5, 300)).to.be.null;
+        // Queries default to the current time, like push
+        hist.push([1, 2, 3], 1, Date.now()).push(10, 1, 0);
+        hist.count().should.equal(3);
+        hist.quantile(0.5).should.equal(2);
+        hist.sum(3).should.equal(3);
+        hist.summary().should.have.property("count", 3);
+        hist.merged().count().should.equal(3);
+        hist.push([4, 5], 1, Date.now() + 1e6);
+        hist.count().should.equal(2);
+        hist.merged(Date.now() + 1e6).count().should.equal(2);
+    });
+    it('should ignore points older than the window', function() {
+        var hist = new WindowedStreamHist(300, 60, 50);
+        hist.push(1, 1, 1000).push(2, 1, 600).push(3, 1, 800);
+        hist.count(1000).should.equal(2);
+        hist.panes().map(h => h.min()).should.deep.equal([3, 1]);
+    });
+    it('should not change the panes when answering queries', function() {
+        var hist = new WindowedStreamHist(300, 60, 10);
+        for (var t = 0 ; t < 300 ; t += 10) {
+            hist.push(rand.rvnorm(100), 1, t);
+        }
+        var now = 299,  // Before any pane expires
+            before = hist.panes().map(h => h.toArray()),
+            quantiles = hist.quantile([0.1, 0.5, 0.9], now),
+            summary = hist.summary(now), merged = hist.merged(now).toArray();
+        hist.merged(now).push(rand.rvnorm(1000));  // Even if we modify it!
+        hist.panes().map(h => h.toArray()).should.deep.equal(before);
+        hist.count(now).should.equal(3000);
+        // The window itself (and its cached merge) is unchanged, too
+        hist.merged(now).toArray().should.deep.equal(merged);
+        hist.quantile([0.1, 0.5, 0.9], now).should.deep.equal(quantiles);
+        hist.summary(now).should.deep.equal(summary);
+    });
+});
+
+describe('A labelled StreamHist object', function() {
+
+    var size = 2000,
+        values = rand.rvnorm(size, -2, 1).concat(rand.rvnorm(size, 2, 1)),
+        labels = Array(size).fill("a").concat(Array(size).fill("b"));
+
+    it('should compute impurity measures', function() {
+        labelled.gini({a: 5, b: 5}).should.equal(0.5);
+        labelled.gini({a: 10}).should.equal(0);
+        labelled.entropy({a: 5, b: 5}).should.equal(1);
+        labelled.entropy({a: 0, b: 10}).should.equal(0);
+        labelled.impurityGain(labelled.gini, {a: 5}, {b: 5})
+            .should.equal(0.5);
+        labelled.impurityGain(labelled.entropy, {a: 2, b: 2}, {a: 3, b: 3})
+            .should.equal(0);
+    });
+    it('should keep per-class counts in each bin', function() {
+        var hist = new LabelledStreamHist(20).push(values, labels);
+        hist.count().should.equal(2 * size);
+        hist.size().should.equal(20);
+        hist.labels().should.have.members(["a", "b"]);
+        hist.labelCounts().should.deep.equal({a: size, b: size});
+        hist.bins().each(b => {
+            ((b.labels.a || 0) + (b.labels.b || 0)).should.equal(b.count);
+        });
+        hist.push(0.5, "c", 3).labelCounts().c.should.equal(3);
+        expect(() => hist.push(0.5)).to.throw(Error);
+        expect(() => hist.halfLife(10)).to.throw(Error);
+        expect(() => hist.warmUp(10)).to.throw(Error);
+        hist.warmUp().should.equal(0);
+    });
+    it('should estimate per-class sums that add up to the sum', function() {
+        var hist = new LabelledStreamHist(20).push(values, labels),
+            bins = hist.toArray(), first = bins[0].mean,
+            last = bins[bins.length - 1].mean;
+        // Including the tails, before the first bin's centre and after the last
+        [-4, -2, -0.5, 0, 0.5, 2, 4, (hist.min() + first) / 2,
+         (last + hist.max()) / 2].forEach(x => {
+            var sums = hist.labelSum(x);
+            (sums.a + sums.b).should.be.closeTo(hist.sum(x), 1e-8);
+        });
+        var tails = new LabelledStreamHist(5).push(
+            [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 20, 30],
+            ["a", "b", "a", "b", "a", "b", "a", "b", "a", "b", "a", "b"]);
+        [1.5, 25].forEach(x => {
+            var sums = tails.labelSum(x);
+            (sums.a + sums.b).should.be.closeTo(tails.sum(x), 1e-12);
+        });
+        hist.labelSum(-1e6).should.deep.equal({a: 0, b: 0});
+        hist.labelSum(1e6).should.deep.equal({a: size, b: size});
+        hist.labelSum(0).a.should.be.closeTo(size, size / 20);
+        hist.labelSum(0).b.should.be.closeTo(0, size / 20);
+    });
+    it('should propose uniformly spaced candidate splits', function() {
+        var hist = new LabelledStreamHist(20).push(values, labels);
+        var candidates = hist.candidates(4);
+        candidates.should.have.length(3);
+        candidates[1].should.be.closeTo(0, 0.2);
+        hist.candidates().should.have.length.at.most(19);
+        new LabelledStreamHist().candidates().should.deep.equal([]);
+    });
+    it('should find the best split by gini or entropy', function() {
+        var hist = new LabelledStreamHist(32).push(values, labels);
+        var splits = hist.splits(16);
+        splits.should.have.length(15);
+        splits.forEach(split => {
+            split.gini.should.be.within(0, 0.5);
+            split.entropy.should.be.within(0, 1);
+        });
+        var best = hist.bestSplit(16);
+        best.value.should.be.closeTo(0, 0.3);
+        best.gini.should.be.closeTo(0.45, 0.05);  // ~ 0.5 - 2 * 0.977 * 0.023
+        hist.bestSplit(16, "entropy").entropy.should.be.closeTo(0.84, 0.05);
+        expect(new LabelledStreamHist().bestSplit()).to.be.null;
+    });
+    it('should keep labels when merging and via toJSON/fromJSON', function() {
+        var one = new LabelledStreamHist(20).push(values.slice(0, size), "a"),
+            two = new LabelledStreamHist(20).push(values.slice(size), "b");
+        var before = two.toArray();
+        one.merge(two).labelCounts().should.deep.equal({a: size, b: size});
+        two.toArray().should.deep.equal(before);
+        var copy = LabelledStreamHist.fromJSON(JSON.parse(JSON.stringify(one)));
+        copy.should.be.instanceof(LabelledStreamHist);
+        copy.toArray().should.deep.equal(one.toArray());
+        copy.bestSplit(8).value.should.equal(one.bestSplit(8).value);
+    });
+    it('should validate labels via fromJSON', function() {
+        var hist = new LabelledStreamHist(10).push([1, 2, 3], ["a", "b", "a"]);
+        var json = JSON.parse(JSON.stringify(hist));
+        LabelledStreamHist.fromJSON(json).labelCounts()
+            .should.deep.equal({a: 2, b: 1});
+        json.bins[1].labels.b = 2;
+        expect(() => LabelledStreamHist.fromJSON(json))
+            .to.throw(ValidationError, "bins[1].labels");
+        json.bins[1].labels.b = -1;
+        expect(() => LabelledStreamHist.fromJSON(json))
+            .to.throw(ValidationError, "bins[1].labels.b");
+    });
+});
+
+describe('StreamHist streams', function() {
+
+    var range = Array.from(Array(10).keys());
+
+    it('should consume newline-delimited text via a Writable', function(done) {
+        var writable = new streams.HistWritable({maxBins: 50});
+        Readable.from(["1\n2", "\n3\r\n\n", "4.5"], {objectMode: false})
+            .pipe(writable)
+            .on('finish', () => {
+                writable.hist.count().should.equal(4);
+                writable.hist.toArray().map(b => b.mean)
+                    .should.deep.equal([1, 2, 3, 4.5]);
+                done();
+            });
+    });
+    it('should consume numbers, strings and records in objectMode', function(done) {
+        var hist = new StreamHist(50),
+            numbers = new streams.HistWritable({hist: hist, objectMode: true}),
+            fields = new streams.HistWritable({hist: hist, objectMode: true,
+                                               field: "latency"}),
+            accessor = new streams.HistWritable({
+                hist: hist, objectMode: true, accessor: r => r.time.total});
+        numbers.write(1);
+        numbers.write("2");
+        numbers.end([3, 4]);
+        fields.end({latency: 5});
+        accessor.end({time: {total: "6"}});
+        accessor.on('finish', () => {
+            hist.count().should.equal(6);
+            hist.limits().should.deep.equal([1, 6]);
+            done();
+        });
+    });
+    it('should report non-numeric input as an error', function(done) {
+        var writable = new streams.HistWritable();
+        writable.on('error', err => {
+            err.should.be.instanceof(TypeError);
+            writable.hist.count().should.equal(0);  // The chunk is rejected
+            done();
+        });
+        writable.end("1\nfoo\n");
+    });
+    it('should apply backpressure when snapshots are not read', function(done) {
+        var transform = new streams.HistTransform({objectMode: true, every: 1,
+                                                   highWaterMark: 1});
+        range.map(x => transform.write(x)).should.include(false);
+        transform.hist.count().should.be.below(range.length);
+        var snapshots = 0;
+        transform.on('data', () => snapshots++);
+        transform.on('end', () => {
+            transform.hist.count().should.equal(range.length);
+            snapshots.should.equal(range.length);
+            done();
+        });
+        transform.end();
+    });
+    it('should emit snapshots every N points via a Transform', function(done) {
+        var snapshots = [],
+            transform = new streams.HistTransform({objectMode: true, every: 4});
+        transform.on('data', snapshot => snapshots.push(snapshot));
+        transform.on('end', () => {
+            snapshots.map(s => s.count).should.deep.equal([4, 8, 10]);
+            snapshots[0].should.have.property("Q2");
+            snapshots[2].max.should.equal(9);
+            done();
+        });
+        range.forEach(x => transform.write(x));
+        transform.end();
+    });
+    it('should emit chosen quantiles every T milliseconds', function(done) {
+        var snapshots = [],
+            transform = new streams.HistTransform({interval: 20,
+                                                   quantiles: [0, 1]});
+        transform.on('data', snapshot => snapshots.push(snapshot));
+        transform.write("1\n2\n3\n");
+        setTimeout(() => {
+            snapshots.should.deep.equal([{count: 3, quantiles: {0: 1, 1: 3}}]);
+            transform.on('end', () => {
+                snapshots.should.have.length(1);  // Nothing new to report
+                done();
+            });
+            transform.end();
+        }, 70);
+    });
+});
+
+describe('The streamhist command-line tool', function() {
+
+    var range = Array.from(Array(15).keys()),
+        data = seeded("cli", () => rand.rvnorm(1000));
+
+    // Run the tool with the given arguments and stdin, collecting its output
+    var run = function(args, input) {
+        var io = {stdin: new PassThrough(), stdout: new PassThrough(),
+                  stderr: new PassThrough()}, out = "", err = "";
+        io.stdout.on('data', d => out += d);
+        io.stderr.on('data', d => err += d);
+        io.stdin.end(input || "");
+        return cli.main(args, io).then(code => {
+            return {code: code, stdout: out, stderr: err};
+        });
+    };
+    var tmp = path.join(os.tmpdir(), 'streamhist-' + process.pid + '-');
+
+    after(function() {
+        ["a.json", "b.json", "data.txt"].forEach(f => {
+            if (fs.existsSync(tmp + f)) fs.unlinkSync(tmp + f);
+        });
+    });
+
+    it('should parse arguments', function() {
+        var options = cli.parseArgs(["quantile", "-p", "0.5,0.9", "--max-bins=20",
+                                     "-w", "a.txt", "-", "--format", "csv"]);
+        options.command.should.equal("quantile");
+        options.probabilities.should.deep.equal([0.5, 0.9]);
+        options.maxBins.should.equal(20);
+        options.weighted.should.be.true;
+        options.format.should.equal("csv");
+        options.files.should.deep.equal(["a.txt", "-"]);
+        expect(() => cli.parseArgs(["summarize", "--nope"])).to.throw(Error);
+        expect(() => cli.parseArgs(["summarize", "-b"])).to.throw(Error);
+        expect(() => cli.parseArgs(["summarize", "-b", "0"])).to.throw(Error);
+        cli.parseArgs(["summarize", "--freeze", "0"]).freeze.should.equal(0);
+        expect(() => cli.parseArgs(["quantile", "-p", "2"])).to.throw(Error);
+        expect(() => cli.parseArgs(["summarize", "-d", ""])).to.throw(Error);
+    });
+    it('should summarize numbers from stdin', function() {
+        return run(["summarize"], "1\n2\n\n3\n4\n").then(res => {
+            res.code.should.equal(0);
+            var summary = JSON.parse(res.stdout);
+            summary.should.have.property("count", 4);
+            summary.should.have.property("Q2", 2.5);
+            summary.should.have.property("max", 4);
+        });
+    });
+    it('should print quantiles of a CSV column as TSV', function() {
+        var csv = "a,b\n" + range.map(x => x + "," + (x * 10)).join("\n");
+        return run(["quantile", "-p", "0,1", "-f", "csv", "-c", "b", "-o", "tsv"],
+                   csv).then(res => {
+            res.code.should.equal(0);
+            res.stdout.should.equal("0\t0\n1\t140\n");
+        });
+    });
+    it('should read quoted CSV cells', function() {
+        var csv = '"path, or name","ms"\n' +
+                  '"/a, /b",1\n"say ""hi""","2"\n/c,3\n';
+        return Promise.all([
+            run(["summarize", "-f", "csv", "-c", "ms", "-o", "tsv"], csv),
+            run(["summarize", "-f", "csv", "-c", "1"], '"x,1",2\n"y\n')
+        ]).then(results => {
+            results[0].code.should.equal(0);
+            results[0].stdout.should.contain("count\t3\n");
+            results[0].stdout.should.contain("max\t3\n");
+            results[1].code.should.equal(1);
+            results[1].stderr.should.contain("Line 2: unterminated");
+        });
+    });
+    it('should summarize an NDJSON field', function() {
+        var ndjson = range.map(x => JSON.stringify({t: {ms: x}})).join("\n");
+        return run(["summarize", "-f", "ndjson", "-c", "t.ms", "-o", "tsv"],
+                   ndjson).then(res => {
+            res.stdout.should.contain("count\t15\n");
+            res.stdout.should.contain("mean\t7\n");
+        });
+    });
+    it('should build and merge serialized histograms', function() {
+        fs.writeFileSync(tmp + "data.txt", data.join("\n"));
+        var load = file => {
+            return StreamHist.fromJSON(JSON.parse(fs.readFileSync(file, "utf8")));
+        };
+        // More bins than the default, which merging must keep
+        return run(["build", "-b", "300", tmp + "data.txt"]).then(res => {
+            fs.writeFileSync(tmp + "a.json", res.stdout);
+            return run(["build", "-b", "400"], data.join("\n"));
+        }).then(res => {
+            fs.writeFileSync(tmp + "b.json", res.stdout);
+            return run(["merge", tmp + "a.json", tmp + "b.json"]);
+        }).then(res => {
+            res.code.should.equal(0);
+            var merged = StreamHist.fromJSON(JSON.parse(res.stdout)),
+                expected = StreamHist.mergeAll([load(tmp + "a.json"),
+                                                load(tmp + "b.json")]);
+            merged.count().should.equal(2 * data.length);
+            merged.maxBins().should.equal(300);
+            merged.size().should.equal(300);
+            merged.toArray().should.deep.equal(expected.toArray());
+            return run(["merge", "-b", "50", tmp + "a.json", tmp + "a.json"]);
+        }).then(res => {
+            StreamHist.fromJSON(JSON.parse(res.stdout)).size().should.equal(50);
+            return run(["quantile", "--hist", "-p", "0.5", tmp + "a.json"]);
+        }).then(res => {
+            JSON.parse(res.stdout)["0.5"].should.be.closeTo(0, 0.1);
+        });
+    });
+    it('should plot a text histogram', function() {
+        return run(["plot", "-b", "5"], data.join("\n")).then(res => {
+            res.code.should.equal(0);
+            res.stdout.split("\n").filter(l => l).should.have.length(5);
+        });
+    });
+    it('should report errors', function() {
+        return Promise.all([
+            run(["nope"]), run(["quantile"]), run(["summarize"], "1\nx\n"),
+            run(["summarize", tmp + "missing.txt"]),
+            run(["summarize", "-f", "xml"]), run(["--help"])
+        ]).then(results => {
+            results.map(res => res.code).should.deep.equal([1, 1, 1, 1, 1, 0]);
+            results[2].stderr.should.contain("Line 2");
+            results[5].stdout.should.equal(cli.USAGE + "\n");
+        });
+    });
+});
+
+describe('The StreamHist binary format', function() {
+
+    var data = rand.rvnorm(5000);
+
+    it('should round trip via toBuffer/fromBuffer', function() {
+        var hist = new StreamHist(50, true, 10000, 10).push(data),
+            bytes = hist.toBuffer(),
+            copy = StreamHist.fromBuffer(bytes);
+        bytes.should.be.instanceof(Uint8Array);
+        bytes.length.should.be.below(JSON.stringify(hist).length / 3);
+        copy.toArray().should.deep.equal(hist.toArray());
+        copy.maxBins().should.equal(50);
+        copy.weighted().should.be.true;
+        copy.freeze().should.equal(10000);
+        copy.warmUp().should.equal(10);
+        copy.count().should.equal(hist.count());
+        copy.limits().should.deep.equal(hist.limits());
+        // The copy should behave just like the original from now on
+        copy.push(data).toArray().should.deep.equal(hist.push(data).toArray());
+    });
+    it('should round trip empty histograms', function() {
+        var copy = StreamHist.fromBuffer(new StreamHist(20).toBuffer());
+        copy.maxBins().should.equal(20);
+        copy.size().should.equal(0);
+        copy.count().should.equal(0);
+        expect(copy.min()).to.be.null;
+        expect(copy.max()).to.be.null;
+    });
+    it('should optionally store bins as float32', function() {
+        var hist = new StreamHist(50).push(data),
+            bytes = hist.toBuffer({float32: true}),
+            copy = StreamHist.fromBuffer(bytes);
+        bytes.length.should.be.below(hist.toBuffer().length);
+        copy.count().should.equal(hist.count());
+        copy.toArray().map(b => b.mean)
+            .should.be.deep.closeTo(hist.toArray().map(b => b.mean), 1e-6);
+        copy.quantile([0.1, 0.5, 0.9])
+            .should.be.deep.closeTo(hist.quantile([0.1, 0.5, 0.9]), 1e-6);
+    });
+    it('should keep non-integer counts and decay state', function() {
+        var hist = new StreamHist(20);
+        hist.halfLife(10, "time");
+        hist.push([1, 2, 3], 1, 0).push(4, 1, 15);
+        var copy = StreamHist.fromBuffer(hist.toBuffer());
+        copy.halfLife().should.equal(10);
+        copy.toArray().should.deep.equal(hist.toArray());
+        copy.push(5, 1, 20).toArray()
+            .should.deep.equal(hist.push(5, 1, 20).toArray());
+    });
+    it('should still decode buffers of earlier versions', function() {
+        // Before version 5, there was no exact threshold (the 8th byte, here)
+        var downgrade = (bytes, version) => {
+            var old = Buffer.concat([bytes.slice(0, 7),
+                                     bytes.slice(8, bytes.length - 4),
+                                     Buffer.alloc(4)]);
+            bytes[7].should.equal(0);
+            old[2] = version;
+            old.writeUInt32LE(binary.crc32(old, old.length - 4),
+                              old.length - 4);
+            return old;
+        };
+        var plain = new StreamHist(20).push([1, 2, 3]),
+            moments = new StreamHist(20).push(data),
+            tail = new StreamHist(20, "tail").push(data),
+            log = new StreamHist(20, false, 0, 0, "log")
+                .push(data.map(Math.exp));
+        [[plain, 1], [moments, 2], [tail, 3], [log, 4]].forEach(test => {
+            var copy = StreamHist.fromBuffer(downgrade(test[0].toBuffer(),
+                                                       test[1]));
+            copy.toArray().should.deep.equal(test[0].toArray());
+            copy.strategy().should.equal(test[0].strategy());
+            expect(copy.transform()).to.equal(test[0].transform());
+            copy.exact().should.equal(0);
+        });
+        // Flags added later than a buffer's version mean it is corrupt
+        [[moments, 1], [tail, 2], [log, 3]].forEach(test => {
+            var old = downgrade(test[0].toBuffer(), test[1]);
+            expect(() => StreamHist.fromBuffer(old))
+                .to.throw(/version \d has no/);
+        });
+    });
+    it('should reject truncated, corrupt or unsupported input', function() {
+        var bytes = new StreamHist(20).push(data).toBuffer();
+        expect(() => StreamHist.fromBuffer(bytes.slice(0, bytes.length - 10)))
+            .to.throw(/checksum|Truncated/);
+        expect(() => StreamHist.fromBuffer(bytes.slice(0, 5)))
+            .to.throw(/Truncated/);
+        var corrupt = Buffer.from(bytes);
+        corrupt[20] ^= 0xFF;
+        expect(() => StreamHist.fromBuffer(corrupt)).to.throw(/checksum/);
+        var future = Buffer.from(bytes);
+        future[2] = 6;
+        expect(() => StreamHist.fromBuffer(future)).to.throw(/version 6/);
+        expect(() => StreamHist.fromBuffer(Buffer.from("nope")))
+            .to.throw(/Not a StreamHist buffer/);
+        expect(() => StreamHist.fromBuffer("SH")).to.throw(TypeError);
+    });
+    it('should validate decoded buffers just like JSON', function() {
+        var ValidationError = require('./index.js').ValidationError,
+            bytes = Buffer.from(new StreamHist(10).push([1, 2, 3]).toBuffer());
+        // The first mean follows the 8 byte header, count, min, max and size
+        bytes.writeDoubleLE(NaN, 33);
+        bytes.writeUInt32LE(binary.crc32(bytes, bytes.length - 4),
+                            bytes.length - 4);
+        expect(() => StreamHist.fromBuffer(bytes))
+            .to.throw(ValidationError, "bins[0].mean");
+        // Crafted states are encoded with a checksum, too
+        var state = new StreamHist(10).push([1, 2, 3]).toJSON(),
+            fail = (change, field) => {
+                var copy = JSON.parse(JSON.stringify(state));
+                change(copy);
+                expect(() => StreamHist.fromBuffer(binary.encode(copy)))
+                    .to.throw(ValidationError, field);
+            };
+        fail(s => s.bins[0].count = -3, "bins[0].count");
+        fail(s => s.count = 1000, "count");
+        fail(s => s.min = 1.5, "min");
+        fail(s => s.bins[2].mean = 4, "max");
+        fail(s => s.bins[1].mean = 0.5, "bins[1].mean");
+        state = new StreamHist(10);
+        state.exact(10);
+        state = state.push([1, 2, 3]).toJSON();
+        fail(s => s.points[0].value = 0, "points[0].value");
+        fail(s => s.points[0].count = 5, "points");
+    });
+});
+
+describe('StreamHist interoperability', function() {
+
+    var data = seeded('interop', () => rand.rvnorm(20000, 10, 2)),
+        sorted = data.slice().sort((a, b) => a - b),
+        min = sorted[0], max = sorted[sorted.length - 1],
+        ps = [0.01, 0.1, 0.25, 0.5, 0.75, 0.9, 0.99],
+        exact = math.quantileSeq(data, ps),
+        bounds = Array.from(Array(21).keys()),  // 0, 1, ..., 20
+        buckets = bounds.map(le => {
+            return {le: le, count: sorted.filter(x => x <= le).length};
+        }).concat([{le: "+Inf", count: data.length}]);
+
+    it('should import t-digest centroids', function() {
+        // Equal-sized centroids of the sorted data, as a t-digest would have
+        var centroids = sorted.split(100).map(c => {
+            return {mean: math.mean(c), n: c.length};
+        });
+        var hist = interop.fromTDigest(centroids, {maxBins: 100, min: min,
+                                                   max: max});
+        hist.size().should.equal(100);
+        hist.count().should.equal(data.length);
+        hist.limits().should.deep.equal([min, max]);
+        hist.quantile(ps).should.be.deep.closeTo(exact, 0.05);
+        // Too many centroids are compressed, and limits default to the means
+        var small = interop.fromTDigest(centroids, {maxBins: 20});
+        small.size().should.equal(20);
+        small.min().should.equal(centroids[0].mean);
+        small.quantile(ps.slice(1, -1))
+            .should.be.deep.closeTo(exact.slice(1, -1), 0.1);
+    });
+    it('should import cumulative buckets', function() {
+        var hist = interop.fromBuckets(buckets, {min: min, max: max});
+        hist.count().should.equal(data.length);
+        hist.limits().should.deep.equal([min, max]);
+        // Within a fraction of the bucket width
+        hist.quantile(ps).should.be.deep.closeTo(exact, 0.25);
+        hist.mean().should.be.closeTo(math.mean(data), 0.05);
+        hist.std().should.be.closeTo(math.std(data), 0.05);
+        // Round trip, at the same boundaries (interpolating between bucket
+        // centres isn't exact when neighbouring counts differ)
+        interop.toBuckets(hist, bounds).map(b => b.count)
+            .should.be.deep.closeTo(buckets.map(b => b.count),
+                                    0.01 * data.length);
+    });
+    it('should export cumulative buckets from sum()', function() {
+        var hist = new StreamHist(100).push(data),
+            exported = interop.toBuckets(hist, bounds);
+        exported.length.should.equal(bounds.length + 1);
+        exported.map(b => b.le)
+            .should.deep.equal(bounds.concat([Infinity]));
+        exported.map(b => b.count)
+            .should.be.deep.closeTo(buckets.map(b => b.count),
+                                    0.005 * data.length);
+        exported.forEach((b, i) => {
+            if (i > 0) b.count.should.be.at.least(exported[i - 1].count);
+        });
+        interop.toBuckets(new StreamHist(), [1, 2])
+            .should.deep.equal([{le: 1, count: 0}, {le: 2, count: 0},
+                                {le: Infinity, count: 0}]);
+    });
+    it('should merge imported sketches with native ones', function() {
+        var hist = new StreamHist(100).push(data.slice(0, 10000)),
+            other = interop.fromBuckets(
+                bounds.map(le => {
+                    var count = data.slice(10000).filter(x => x <= le).length;
+                    return {le: le, count: count};
+                }).concat([{le: Infinity, count: 10000}]));
+        hist.merge(other).count().should.equal(data.length);
+        hist.quantile(ps.slice(1, -1))
+            .should.be.deep.closeTo(exact.slice(1, -1), 0.25);
+    });
+    it('should add imported bins as if their points were pushed', function() {
+        var hist = new StreamHist(10), snapshot;
+        hist.exact(10);
+        snapshot = hist.push([1, 2]).snapshot();
+        hist._insertBin({mean: 4, count: 2, tss: 2 / 3, m3: 0, m4: 2 / 5},
+                        3, 5);
+        hist.count().should.equal(4);
+        hist.limits().should.deep.equal([1, 5]);
+        hist.isExact().should.be.false;  // The points themselves are unknown
+        // Copy-on-write, like any other change
+        snapshot.toArray().should.have.length(2);
+        snapshot.isExact().should.be.true;
+        // Bins at the same mean are combined
+        hist._insertBin({mean: 4, count: 1, tss: 0, m3: 0, m4: 0}, 4, 4);
+        hist.size().should.equal(3);
+        hist.count().should.equal(5);
+        // Limits are parsed like the other numbers
+        interop.fromTDigest([{mean: 1, count: 1}], {min: "0", max: "2"})
+            .limits().should.deep.equal([0, 2]);
+    });
+    it('should reject invalid sketches', function() {
+        var ValidationError = require('./index.js').ValidationError;
+        expect(() => interop.fromTDigest([{mean: 1, count: -1}]))
+            .to.throw(ValidationError, "centroids[0].count");
+        expect(() => interop.fromTDigest([{mean: "x", count: 1}]))
+            .to.throw(ValidationError, "centroids[0].mean");
+        expect(() => interop.fromTDigest([{mean: 1, count: 1}], {min: 2}))
+            .to.throw(ValidationError, "min");
+        expect(() => interop.fromBuckets([{le: 1, count: 2},
+                                          {le: 2, count: 1}]))
+            .to.throw(ValidationError, "buckets[1].count");
+        expect(() => interop.fromBuckets([{le: 2, count: 1},
+                                          {le: 1, count: 2}]))
+            .to.throw(ValidationError, "buckets[1].le");
+        expect(() => interop.fromBuckets([{le: "+Inf", count: 1}]))
+            .to.throw(ValidationError, "buckets[0].le");
+        expect(() => interop.toBuckets(new StreamHist(), [2, 1]))
+            .to.throw(ValidationError, "bounds[1]");
+        // Points in the open-ended buckets sit at the nearest boundary
+        interop.fromBuckets([{le: "1", count: 2}, {le: "+Inf", count: 3}])
+            .toArray().should.deep.equal([{mean: 1, count: 3, tss: 0,
+                                           m3: 0, m4: 0}]);
+    });
+});
+
+describe('StreamHist error bounds', function() {
+
+    var datasets = seeded('bounds', () => {
+        return {
+            normal: rand.rvnorm(5000, 0, 1),
+            bimodal: rand.rvnorm(3000, -3, 1).concat(rand.rvnorm(2000, 4, 0.5)),
+            chisq: rand.rvchisq(5000, 3),
+            poisson: rand.rvpoisson(5000, 4)  // Lots of ties
+        };
+    });
+    var ps = [0, 0.001, 0.01, 0.1, 0.25, 0.5, 0.75, 0.9, 0.99, 0.999, 1];
+
+    // Count of points <= x in sorted data
+    var rank = (sorted, x) => {
+        var lo = 0, hi = sorted.length;
+        while (lo < hi) {
+            var mid = (lo + hi) >> 1;
+            if (sorted[mid] <= x) lo = mid + 1; else hi = mid;
+        }
+        return lo;
+    };
+
+    Object.keys(datasets).forEach(name => {
+        [10, 50].forEach(maxBins => {
+            [false, true].forEach(weighted => {
+                var data = datasets[name],
+                    sorted = data.slice().sort((a, b) => a - b),
+                    n = data.length;
+                it('should bound ' + name + ' quantiles and sums with ' +
+                   maxBins + (weighted ? ' weighted' : '') + ' bins', function() {
+                    var hist = new StreamHist(maxBins, weighted).push(data);
+                    hist.quantileInterval(ps).forEach((interval, i) => {
+                        var truth = sorted[Math.max(Math.ceil(ps[i] * n) - 1, 0)];
+                        interval.lower.should.be.at.most(truth);
+                        interval.upper.should.be.at.least(truth);
+                        interval.estimate.should.be.within(interval.lower,
+                                                           interval.upper);
+                        interval.estimate.should.equal(
+                            math.min(math.max(hist.quantile(ps[i]),
+                                              interval.lower), interval.upper));
+                    });
+                    hist.quantileInterval(ps, "rank").forEach((interval, i) => {
+                        var fraction = rank(sorted, hist.quantile(ps[i])) / n;
+                        interval.lower.should.be.at.most(fraction);
+                        interval.upper.should.be.at.least(fraction);
+                    });
+                    var xs = hist.quantile(ps).concat([sorted[0] - 1,
+                                                       sorted[n - 1] + 1]);
+                    hist.sumInterval(xs).forEach((interval, i) => {
+                        var count = rank(sorted, xs[i]);
+                        interval.lower.should.be.at.most(count);
+                        interval.upper.should.be.at.least(count);
+                    });
+                    hist.sumInterval(xs, "value").forEach((interval, i) => {
+                        var s = hist.sumInterval(xs[i]).estimate,
+                            truth = sorted[Math.max(Math.ceil(s) - 1, 0)];
+                        interval.lower.should.be.at.most(truth);
+                        interval.upper.should.be.at.least(truth);
+                    });
+                });
+            });
+        });
+    });
+    it('should give tighter bounds with more bins', function() {
+        var width = hist => {
+            return math.mean(hist.quantileInterval([0.1, 0.5, 0.9])
+                             .map(i => i.upper - i.lower));
+        };
+        var data = datasets.normal;
+        width(new StreamHist(100).push(data))
+            .should.be.below(width(new StreamHist(10).push(data)));
+    });
+    it('should give exact bounds for exact bins', function() {
+        var hist = new StreamHist(10).push([1, 2, 2, 3, 3, 3]);
+        hist.sumInterval(2).should.deep.equal({estimate: 3, lower: 3, upper: 3});
+        hist.sumInterval(2.5).should.deep.equal({estimate: 3, lower: 3, upper: 3});
+        hist.quantileInterval(0.5).lower.should.equal(2);
+        hist.quantileInterval(0.5).upper.should.equal(2);
+        hist.quantileInterval(0.5, "rank").should.deep.equal(
+            {estimate: 0.5, lower: 0.5, upper: 0.5});
+    });
+    it('should handle empty histograms and unknown bounds', function() {
+        expect(new StreamHist().quantileInterval(0.5)).to.be.null;
+        expect(new StreamHist().sumInterval([1])).to.deep.equal([null]);
+        expect(() => new StreamHist().push(1).sumInterval(1, "both"))
+            .to.throw(/Unknown bound/);
+    });
+});
+
+describe('StreamHist moments and robust statistics', function() {
+
+    var data = seeded('moments', () => {
+        return rand.rvchisq(3000, 3).concat(rand.rvnorm(2000, 8, 1));
+    });
+    var sorted = data.slice().sort((a, b) => a - b), n = data.length;
+
+    // Exact statistics of raw data
+    var exact = (data => {
+        var mean = math.mean(data), sums = [0, 0, 0];
+        data.forEach(x => {
+            sums[0] += Math.pow(x - mean, 2);
+            sums[1] += Math.pow(x - mean, 3);
+            sums[2] += Math.pow(x - mean, 4);
+        });
+        var variance = sums[0] / n, median = math.median(data),
+            k = 0.1 * n, trimmed = sorted.slice(k, n - k),
+            winsorized = sorted.map(x => {
+                return math.min(math.max(x, trimmed[0]),
+                                trimmed[trimmed.length - 1]);
+            });
+        return {variance: variance,
+                skewness: sums[1] / n / Math.pow(variance, 1.5),
+                kurtosis: sums[2] / n / Math.pow(variance, 2) - 3,
+                iqr: math.quantileSeq(data, 0.75) -
+                     math.quantileSeq(data, 0.25),
+                mad: math.median(data.map(x => Math.abs(x - median))),
+                trimmedMean: math.mean(trimmed),
+                winsorizedMean: math.mean(winsorized)};
+    })(data);
+
+    var checkMoments = hist => {
+        hist.variance()
+            .should.be.closeTo(exact.variance, 1e-9 * exact.variance);
+        hist.skewness().should.be.closeTo(exact.skewness, 1e-9);
+        hist.kurtosis().should.be.closeTo(exact.kurtosis, 1e-9);
+    };
+
+    it('should compute exact moments from per-bin spread', function() {
+        [5, 20, 100].forEach(maxBins => {
+            checkMoments(new StreamHist(maxBins).push(data));
+            checkMoments(new StreamHist(maxBins, true).push(data));
+        });
+        var hist = new StreamHist(1).push([1, 2, 3, 10]);
+        hist.size().should.equal(1);
+        hist.variance().should.be.closeTo(12.5, 1e-12);
+        hist.skewness().should.be.closeTo(45 / Math.pow(12.5, 1.5), 1e-12);
+    });
+    it('should combine higher moments exactly', function() {
+        var bin = values => new StreamHist(1).push(values).toArray()[0],
+            fields = b => [b.mean, b.count, b.tss, b.m3, b.m4];
+        fields(combineBins(bin([1, 2, 4]), bin([7, 11])))
+            .should.be.deep.closeTo(fields(bin([1, 2, 4, 7, 11])), 1e-9);
+    });
+    it('should keep moments exact when merging and serializing', function() {
+        var merged = data.split(1000)
+            .map(chunk => new StreamHist(20).push(chunk))
+            .reduce((a, b) => a.merge(b));
+        checkMoments(merged);
+        checkMoments(StreamHist.fromJSON(JSON.parse(JSON.stringify(merged))));
+        checkMoments(StreamHist.fromBuffer(merged.toBuffer()));
+    });
+    it('should compute robust statistics', function() {
+        // Exactly, when every point has its own bin
+        var hist = new StreamHist(n).push(data);
+        hist.trimmedMean().should.be.closeTo(exact.trimmedMean, 1e-9);
+        hist.winsorizedMean().should.be.closeTo(exact.winsorizedMean, 1e-9);
+        hist.trimmedMean(0).should.be.closeTo(math.mean(data), 1e-9);
+        hist.iqr().should.be.closeTo(exact.iqr, 0.01);
+        hist.mad().should.be.closeTo(exact.mad, 0.01);
+        // And approximately otherwise
+        hist = new StreamHist(50).push(data);
+        hist.trimmedMean().should.be.closeTo(exact.trimmedMean, 0.05);
+        hist.winsorizedMean().should.be.closeTo(exact.winsorizedMean, 0.05);
+        hist.iqr().should.be.closeTo(exact.iqr, 0.05 * exact.iqr);
+        hist.mad().should.be.closeTo(exact.mad, 0.05 * exact.mad);
+        expect(() => hist.trimmedMean(0.5)).to.throw(Error);
+        expect(new StreamHist().mad()).to.be.null;
+        expect(new StreamHist().push(1).skewness()).to.be.null;
+    });
+    it('should interpolate quantiles and sums towards the limits', function() {
+        // Bins (1, 2) and (5, 2), between a min of 0 and a max of 6
+        var hist = new StreamHist(2).push([0, 2, 4, 6]);
+        hist.quantile([0.8, 0.9, 0.95])
+            .should.be.deep.closeTo([5.2, 5.6, 5.8], 1e-12);
+        hist.sum([0, 0.5, 5.5, 5.8, 6])
+            .should.be.deep.closeTo([0, 0.5, 3.5, 3.8, 4], 1e-12);
+        // So sums are the inverse of quantiles in the tails...
+        [0.05, 0.2, 0.8, 0.95].forEach(q => {
+            hist.sum(hist.quantile(q)).should.be.closeTo(4 * q, 1e-12);
+        });
+        // ...and increase continuously from the min to the max
+        var grid = Array.from(Array(61)).map((e, i) => i / 10),
+            sums = hist.sum(grid);
+        sums[0].should.equal(0);
+        sums.slice(1).forEach((s, i) => {
+            (s - sums[i]).should.be.within(0, 0.1 + 1e-12);
+        });
+    });
+    it('should include them in the summary', function() {
+        var summary = new StreamHist(50).push(data).summary();
+        summary.skewness.should.be.closeTo(exact.skewness, 1e-9);
+        summary.kurtosis.should.be.closeTo(exact.kurtosis, 1e-9);
+        summary.should.include.keys("IQR", "MAD", "trimmedMean",
+                                    "winsorizedMean");
+        summary.trimmedMean.should.be.closeTo(exact.trimmedMean, 0.05);
+    });
+});
+
+describe('StreamHist comparisons', function() {
+
+    var samples = seeded('compare', () => {
+        return [rand.rvnorm(5000), rand.rvnorm(5000), rand.rvnorm(5000, 0.5)];
+    });
+    var hists = samples.map(data => new StreamHist(100).push(data));
+
+    // Exact two-sample KS statistic and 1-Wasserstein distance (for samples of
+    // equal size) from raw data
+    var exact = (one, two) => {
+        var a = one.slice().sort((x, y) => x - y),
+            b = two.slice().sort((x, y) => x - y),
+            i = 0, j = 0, d = 0;
+        while (i < a.length && j < b.length) {
+            var x = Math.min(a[i], b[j]);
+            while (i < a.length && a[i] <= x) i++;
+            while (j < b.length && b[j] <= x) j++;
+            d = Math.max(d, Math.abs(i / a.length - j / b.length));
+        }
+        return {ks: d, wasserstein: math.mean(a.map((x, i) => {
+            return Math.abs(x - b[i]);
+        }))};
+    };
+
+    it('should find no difference between identical histograms', function() {
+        var result = compare.compare(hists[0], hists[0]);
+        result.ks.should.equal(0);
+        result.pValue.should.equal(1);
+        result.wasserstein.should.equal(0);
+        result.jensenShannon.should.be.closeTo(0, 1e-12);
+        result.hellinger.should.be.closeTo(0, 1e-6);
+    });
+    it('should not flag samples from the same distribution', function() {
+        var result = compare.compare(hists[0], hists[1]),
+            truth = exact(samples[0], samples[1]);
+        result.ks.should.be.closeTo(truth.ks, 0.01);
+        result.pValue.should.be.above(0.05);
+        result.wasserstein.should.be.closeTo(truth.wasserstein, 0.01);
+        result.jensenShannon.should.be.below(0.01);
+        result.hellinger.should.be.below(0.1);
+    });
+    it('should flag shifted distributions', function() {
+        var result = compare.compare(hists[0], hists[2]),
+            truth = exact(samples[0], samples[2]);
+        result.ks.should.be.closeTo(truth.ks, 0.01);
+        result.pValue.should.be.below(1e-6);
+        result.wasserstein.should.be.closeTo(truth.wasserstein, 0.01);
+        result.wasserstein.should.be.closeTo(0.5, 0.05);
+        // For N(0, 1) and N(0.5, 1), H = sqrt(1 - exp(-0.5^2 / 8))
+        result.hellinger.should.be.closeTo(Math.sqrt(1 - Math.exp(-1 / 32)),
+                                           0.03);
+        result.jensenShannon.should.be.above(
+            compare.jensenShannon(hists[0], hists[1]));
+    });
+    it('should be symmetric', function() {
+        compare.compare(hists[2], hists[0])
+            .should.deep.equal(compare.compare(hists[0], hists[2]));
+    });
+    it('should handle disjoint and empty histograms', function() {
+        var a = new StreamHist(10).push([1, 2, 3]),
+            b = new StreamHist(10).push([11, 12, 13]);
+        compare.ks(a, b).statistic.should.equal(1);
+        compare.wasserstein(a, b).should.be.closeTo(10, 1e-9);
+        compare.jensenShannon(a, b).should.equal(1);
+        compare.hellinger(a, b).should.equal(1);
+        compare.grid(a, b).should.deep.equal([1, 2, 3, 11, 12, 13]);
+        expect(() => compare.compare(a, new StreamHist())).to.throw(/empty/);
+    });
+});
+
+describe('A weighted StreamHist object', function() {
+
+    var data = seeded('weights', () => rand.rvnorm(2000)),
+        weights = seeded('importance', () => rand.rvunif(2000, 0.1, 2.5)),
+        total = weights.reduce((a, b) => a + b, 0);
+
+    // Push each point with its own weight
+    var build = (hist, data, weights) => {
+        data.forEach((x, i) => hist.push(x, weights[i]));
+        return hist;
+    };
+
+    // Exact weighted quantile: the first point with at least p of the weight
+    var quantile = p => {
+        var order = data.map((x, i) => i).sort((i, j) => data[i] - data[j]),
+            cumulative = 0;
+        for (var k = 0 ; k < order.length ; k++) {
+            cumulative += weights[order[k]];
+            if (cumulative >= p * total)
+                return data[order[k]];
+        }
+    };
+
+    it('should reject invalid weights without changing state', function() {
+        var hist = new StreamHist(10).push(1);
+        [0, -1, NaN, Infinity].forEach(w => {
+            expect(() => hist.push(2, w)).to.throw(RangeError, /positive/);
+        });
+        expect(() => hist.push(2, "2")).to.throw(TypeError);
+        var labelled = new LabelledStreamHist(10);
+        expect(() => labelled.push(2, "a", -1)).to.throw(RangeError);
+        hist.count().should.equal(1);
+        hist.toArray().should.have.length(1);
+    });
+    it('should estimate weighted quantiles and moments', function() {
+        var hist = build(new StreamHist(50), data, weights),
+            mean = data.reduce((s, x, i) => s + x * weights[i], 0) / total,
+            variance = data.reduce((s, x, i) => {
+                return s + weights[i] * Math.pow(x - mean, 2);
+            }, 0) / total;
+        hist.count().should.be.closeTo(total, 1e-9);
+        hist.mean().should.be.closeTo(mean, 1e-9);
+        hist.variance().should.be.closeTo(variance, 1e-9);
+        var ps = [0.1, 0.25, 0.5, 0.75, 0.9];
+        hist.quantile(ps).should.be.deep.closeTo(ps.map(quantile), 0.05);
+        // Scaling all weights shouldn't change the distribution
+        build(new StreamHist(50), data, weights.map(w => w / 8)).quantile(ps)
+            .should.be.deep.closeTo(hist.quantile(ps), 1e-9);
+    });
+    it('should compute the exact weighted median', function() {
+        build(new StreamHist(10), [1, 2, 3], [0.2, 0.2, 0.7])
+            .median().should.equal(3);
+        build(new StreamHist(10), [1, 2], [0.5, 0.5]).median().should.equal(1.5);
+        new StreamHist(10).push([1, 1, 2]).median().should.equal(1);
+        new StreamHist(10).push([1, 2, 3, 4]).median().should.equal(2.5);
+        var hist = build(new StreamHist(data.length), data, weights);
+        hist.median().should.equal(quantile(0.5));
+    });
+    it('should find the exact median by rank, not by value', function() {
+        // The middle bins, wherever the values lie relative to the count
+        new StreamHist(10).push([100, 200, 300]).median().should.equal(200);
+        new StreamHist(10).push([-7, -3]).median().should.equal(-5);
+        new StreamHist(10).push([10, 20, 30, 1000]).median().should.equal(25);
+    });
+    it('should recompute cumulative counts after shrinking', function() {
+        var sines = [];
+        for (var i = 0 ; i < 5000 ; i++)
+            sines.push(Math.sin(i) * 100);
+        var queried = new StreamHist().push(sines),
+            fresh = new StreamHist().push(sines);
+        queried.quantile(0.5);
+        // Merging bins keeps the count, so it mustn't keep cached counts
+        queried.maxBins(10);
+        fresh.maxBins(10);
+        queried.quantile(0.5).should.equal(fresh.quantile(0.5));
+    });
+    it('should warm up with fractional weights', function() {
+        var hist = new StreamHist(10, false, 0, 5).push(data.slice(0, 20), 0.5);
+        // Warm-up ended with the 10th point, leaving bins of weight 0.5
+        hist.count().should.be.closeTo(0.5 * (10 + 10), 1e-12);
+        StreamHist.fromJSON(JSON.parse(JSON.stringify(hist)))
+            .toArray().should.deep.equal(hist.toArray());
+    });
+    it('should merge and serialize fractional weights', function() {
+        var one = build(new StreamHist(20), data.slice(0, 1000),
+                        weights.slice(0, 1000)),
+            two = build(new StreamHist(20), data.slice(1000),
+                        weights.slice(1000));
+        one.merge(two).count().should.be.closeTo(total, 1e-9);
+        var bins = one.toArray();
+        StreamHist.fromJSON(JSON.parse(JSON.stringify(one)))
+            .toArray().should.deep.equal(bins);
+        StreamHist.fromBuffer(one.toBuffer()).toArray().should.deep.equal(bins);
+    });
+});
+
+describe('Removing points from a StreamHist object', function() {
+
+    var data = seeded('removal', () => rand.rvnorm(2000, 5, 2)),
+        kept = data.slice(0, 1500),
+        mean = kept.reduce((a, b) => a + b, 0) / kept.length,
+        variance = kept.reduce((s, x) => s + Math.pow(x - mean, 2), 0) /
+                   kept.length;
+
+    it('should exactly undo pushes into bins of their own', function() {
+        var hist = new StreamHist(10).push([1, 2, 3]),
+            bins = hist.toArray();
+        hist.push(5).remove(5);
+        hist.toArray().should.deep.equal(bins);
+        hist.count().should.equal(3);
+        hist.max().should.equal(3);
+        hist.remove(2).toArray().map(b => b.mean).should.deep.equal([1, 3]);
+        hist.sum(2).should.equal(1);
+    });
+    it('should keep the moments of merged bins up to date', function() {
+        var hist = new StreamHist(20).pushAll(data).removeAll(data.slice(1500));
+        hist.count().should.be.closeTo(kept.length, 1e-9);
+        hist.mean().should.be.closeTo(mean, 1e-9);
+        hist.variance().should.be.closeTo(variance, 1e-6);
+        hist.size().should.be.at.most(20);
+        // Cumulative sums reflect the removals too
+        hist.sum(hist.max()).should.be.closeTo(kept.length, 1e-9);
+        hist.quantile(0.5).should.be.closeTo(
+            new StreamHist(20).push(kept).quantile(0.5), 0.1);
+    });
+    it('should spill removals beyond a bin over to its neighbours', function() {
+        var hist = new StreamHist(10).push([1, 2, 3], 2);
+        hist.remove(1, 3);
+        // The bin at 1 is dropped, and one point is taken from the bin at 2
+        hist.toArray().map(b => [b.mean, b.count])
+            .should.deep.equal([[2, 1], [3, 2]]);
+        new StreamHist(2).push([0, 1, 2, 3]).remove(0, 3).toArray()
+            .should.deep.equal([{mean: 2.5, count: 1, tss: 0.25, m3: 0,
+                                 m4: 0.0625}]);
+        hist.count().should.equal(3);
+        hist.min().should.equal(2);
+        hist.remove(3, 100).count().should.equal(0);
+        hist.size().should.equal(0);
+        expect(hist.min()).to.be.null;
+        expect(hist.max()).to.be.null;
+    });
+    it('should keep min and max as bounds on the remaining data', function() {
+        var hist = new StreamHist(3).push([0, 1, 2, 10, 11]);
+        // The lowest bin is left with a single point at its mean
+        hist.remove(0).min().should.equal(1);
+        hist = new StreamHist(2).push([0, 0.5, 1, 10]).remove(0.5);
+        // The lowest bin still has spread, so min can't be tightened
+        hist.min().should.equal(0);
+        hist.toArray()[0].should.deep.equal({mean: 0.5, count: 2, tss: 0.5,
+                                             m3: 0, m4: 0.125});
+        // Nor can max, once the highest bin is dropped
+        hist.remove(10).max().should.equal(10);
+        StreamHist.fromJSON(hist.toJSON()).toArray()
+            .should.deep.equal(hist.toArray());
+    });
+    it('should remove decayed and weighted points', function() {
+        var hist = new StreamHist(10);
+        hist.halfLife(10);
+        hist.push([1, 2, 3]).remove(3);
+        hist.count().should.be.closeTo(Math.pow(2, -0.2) + Math.pow(2, -0.1),
+                                       1e-9);
+        new StreamHist(10).push(1, 0.25).remove(1, 0.25).count()
+            .should.equal(0);
+        var labelled = new LabelledStreamHist(10).pushAll([1, 2], "a");
+        labelled.count().should.equal(2);
+        expect(() => labelled.remove(1)).to.throw(/removal/);
+    });
+    it('should reject invalid weights without changing state', function() {
+        var hist = new StreamHist(10).push(1);
+        [0, -1, NaN, Infinity].forEach(w => {
+            expect(() => hist.remove(1, w)).to.throw(RangeError);
+        });
+        hist.count().should.equal(1);
+    });
+});
+
+describe('Rebinning a StreamHist object', function() {
+
+    var data = seeded('rebin', () => rand.rvnorm(10000, 1, 0.5).map(Math.exp)),
+        hist = new StreamHist(50).push(data),
+        total = hist.count(),
+        // Exact count of the data in [lo, hi)
+        exact = (lo, hi) => data.filter(x => x >= lo && x < hi).length;
+
+    it('should split the range into equal-width intervals', function() {
+        var intervals = hist.rebin(10), width = (hist.max() - hist.min()) / 10;
+        intervals.should.have.length(10);
+        intervals[0].lo.should.equal(hist.min());
+        intervals[9].hi.should.equal(hist.max());
+        intervals.forEach(b => {
+            (b.hi - b.lo).should.be.closeTo(width, 1e-9);
+            b.count.should.be.closeTo(exact(b.lo, b.hi), 0.01 * total);
+        });
+        intervals.reduce((s, b) => s + b.count, 0).should.equal(total);
+        intervals.reduce((s, b) => s + b.density * (b.hi - b.lo), 0)
+            .should.be.closeTo(1, 1e-9);
+    });
+    it('should support log-spaced and quantile edges', function() {
+        var log = hist.rebin(8, "log");
+        log.forEach(b => (b.hi / b.lo).should.be.closeTo(log[0].hi / log[0].lo,
+                                                          1e-9));
+        log.reduce((s, b) => s + b.count, 0).should.equal(total);
+        var quantiles = hist.rebin(4, "quantile");
+        quantiles.forEach(b => b.count.should.be.closeTo(total / 4, 1e-6));
+        quantiles.reduce((s, b) => s + b.count, 0).should.equal(total);
+        // Repeated values collapse intervals rather than making empty ones
+        new StreamHist(10).push([1, 1, 1, 1, 1, 1, 2, 3]).rebin(4, "quantile")
+            .length.should.be.below(4);
+        new StreamHist(10).push([2, 2, 2]).rebin(5)
+            .should.deep.equal([{lo: 2, hi: 2, count: 3, density: Infinity}]);
+    });
+    it('should use explicit edges, leaving out points beyond them', function() {
+        var intervals = hist.rebin([0, 2, 4, 8]);
+        intervals.map(b => [b.lo, b.hi]).should.deep.equal([[0, 2], [2, 4],
+                                                            [4, 8]]);
+        intervals.forEach(b => {
+            b.count.should.be.closeTo(exact(b.lo, b.hi), 0.01 * total);
+        });
+        intervals.reduce((s, b) => s + b.count, 0)
+            .should.be.closeTo(exact(0, 8), 0.01 * total);
+        hist.rebin([-Infinity, 3, Infinity]).reduce((s, b) => s + b.count, 0)
+            .should.equal(total);
+    });
+    it('should reject invalid arguments', function() {
+        new StreamHist(10).rebin(10).should.deep.equal([]);
+        expect(() => hist.rebin(0)).to.throw(/positive integer/);
+        expect(() => hist.rebin(2.5)).to.throw(/positive integer/);
+        expect(() => hist.rebin([1])).to.throw(/increasing/);
+        expect(() => hist.rebin([1, 3, 2])).to.throw(/increasing/);
+        expect(() => hist.rebin(10, "cubic")).to.throw(/spacing/);
+        expect(() => new StreamHist(10).push([-1, 1]).rebin(2, "log"))
+            .to.throw(/positive/);
+    });
+});
+
+describe('StreamHist kernel density estimates', function() {
+
+    var data = seeded('kde', () => rand.rvnorm(20000)),
+        hist = new StreamHist(50).push(data),
+        normal = x => Math.exp(-x * x / 2) / Math.sqrt(2 * Math.PI),
+        sd = Math.sqrt(data.reduce((s, x) => s + x * x, 0) / data.length -
+                       Math.pow(data.reduce((s, x) => s + x, 0) / data.length, 2));
+
+    it('should choose bandwidths by rules of thumb', function() {
+        var scott = kde.KernelDensity(hist, {bandwidth: "scott"});
+        scott.bandwidth.should.be.closeTo(1.06 * sd * Math.pow(20000, -0.2),
+                                          1e-3);
+        var silverman = kde.KernelDensity(hist);
+        silverman.kernel.should.equal("gaussian");
+        silverman.bandwidth.should.be.below(scott.bandwidth);
+        // Rules are rescaled for the (wider) Epanechnikov kernel
+        kde.KernelDensity(hist, {kernel: "epanechnikov"}).bandwidth
+            .should.be.closeTo(silverman.bandwidth * 2.2138, 1e-3);
+        kde.KernelDensity(hist, {bandwidth: 0.5}).bandwidth.should.equal(0.5);
+    });
+    it('should estimate smooth densities and cumulative counts', function() {
+        ["gaussian", "epanechnikov"].forEach(kernel => {
+            var est = new kde.KernelDensity(hist, {kernel: kernel}),
+                xs = [-2, -1, 0, 1, 2];
+            est.density(xs).forEach((d, i) => d.should.be.closeTo(
+                normal(xs[i]), 0.02));
+            est.sum(0).should.be.closeTo(10000, 200);
+            est.sum(10).should.be.closeTo(20000, 1e-6);
+            // The density integrates to one (over a wide enough range)
+            kde.integrate(kde.densityCurve(est, 1000, [-8, 8]))
+                .should.be.closeTo(1, 1e-3);
+        });
+        // Unlike the interpolated density, there are no kinks at bin means
+        var est = kde.KernelDensity(hist), mean = hist.toArray()[25].mean,
+            eps = 1e-6, slope = x => (est.density(x + eps) -
+                                      est.density(x - eps)) / (2 * eps);
+        slope(mean - 1e-4).should.be.closeTo(slope(mean + 1e-4), 1e-3);
+    });
+    it('should sample curves over the limits', function() {
+        var curve = kde.densityCurve(hist, 101);
+        curve.should.have.length(101);
+        curve[0].x.should.equal(hist.min());
+        curve[100].x.should.equal(hist.max());
+        curve[50].y.should.equal(hist.density(curve[50].x));
+        kde.integrate(curve).should.be.closeTo(1, 0.01);
+        var sums = kde.sumCurve(kde.KernelDensity(hist), 11, [-1, 1]);
+        sums.map(p => p.x).should.be.deep.closeTo(kde.linspace(11, [-1, 1]),
+                                                  1e-12);
+        sums.forEach((p, i) => i && p.y.should.be.above(sums[i - 1].y));
+        expect(() => kde.densityCurve(hist, 1)).to.throw(/>= 2/);
+        expect(() => kde.densityCurve(new StreamHist(), 10)).to.throw(/limits/);
+    });
+    it('should reject invalid options', function() {
+        expect(() => kde.KernelDensity(new StreamHist())).to.throw(/empty/);
+        expect(() => kde.KernelDensity(hist, {kernel: "box"})).to.throw(/kernel/);
+        expect(() => kde.KernelDensity(hist, {bandwidth: "magic"}))
+            .to.throw(/rule/);
+        expect(() => kde.KernelDensity(hist, {bandwidth: -1}))
+            .to.throw(/positive/);
+        expect(() => kde.KernelDensity(new StreamHist().push([1, 1])))
+            .to.throw(/explicit/);
+        kde.KernelDensity(new StreamHist().push([1, 1]), {bandwidth: 1})
+            .density(1).should.be.closeTo(normal(0), 1e-12);
+    });
+});
+
+describe('StreamHist modes and natural breaks', function() {
+
+    var data = seeded('modes', () => {
+            return rand.rvnorm(5000, 0, 1).concat(rand.rvnorm(3000, 6, 1),
+                                                  rand.rvnorm(2000, 12, 0.5));
+        }),
+        hist = new StreamHist(60).push(data);
+
+    // Sum of squared deviations from the mean
+    var ssd = xs => {
+        var mean = xs.reduce((a, b) => a + b, 0) / xs.length;
+        return xs.reduce((s, x) => s + Math.pow(x - mean, 2), 0);
+    };
+
+    it('should find prominent modes of the density', function() {
+        var modes = hist.modes(), est = kde.KernelDensity(hist);
+        modes.map(m => m.value).should.be.deep.closeTo([0, 6, 12], 0.5);
+        modes.forEach(m => {
+            m.density.should.equal(est.density(m.value));
+            m.prominence.should.be.at.most(m.density);
+        });
+        // The highest peak's prominence is its density
+        modes[0].prominence.should.equal(modes[0].density);
+        hist.modes(0.9).should.have.length(1);
+        // As does another kernel
+        hist.modes(0.05, {kernel: "epanechnikov"}).map(m => m.value)
+            .should.be.deep.closeTo([0, 6, 12], 0.5);
+    });
+    it('should treat plateaus and edges sensibly', function() {
+        new StreamHist(10).push([1, 2], 2).push([10, 11, 12])
+            .modes(0, {bandwidth: 0.8}).map(m => m.value)
+            .should.deep.equal([1.5, 11]);
+        // Peaks at the edges count, as do valleys between distant bins
+        new StreamHist(10).push([1, 1, 1, 2, 3, 4, 10])
+            .modes(0.05, {bandwidth: 0.5}).map(m => m.value)
+            .should.deep.equal([1, 10]);
+        new StreamHist(10).push([3, 3]).modes().should.deep.equal([
+            {value: 3, density: Infinity, prominence: Infinity}]);
+        new StreamHist(10).modes().should.deep.equal([]);
+        expect(() => hist.modes(2)).to.throw(/Prominence/);
+        expect(() => hist.modes(0.1, {kernel: "box"})).to.throw(/kernel/);
+    });
+    it('should find optimal natural breaks', function() {
+        var result = hist.naturalBreaks(3);
+        result.breaks.should.have.length(4);
+        result.breaks[0].should.equal(hist.min());
+        result.breaks[3].should.equal(hist.max());
+        result.breaks.slice(1, 3).should.be.deep.closeTo([3, 9], 0.5);
+        result.classes.map(c => c.count).should.be.deep.closeTo([5000, 3000,
+                                                                 2000], 50);
+        result.classes.reduce((s, c) => s + c.count, 0).should.equal(10000);
+        // Compare the fit with that of the exact classes
+        var within = [0, 1, 2].map(c => ssd(data.filter(x => {
+            return x >= result.breaks[c] && x <= result.breaks[c + 1];
+        }))).reduce((a, b) => a + b, 0);
+        result.gvf.should.be.closeTo(1 - within / ssd(data), 0.01);
+        hist.naturalBreaks(1).gvf.should.equal(0);
+        hist.naturalBreaks(10).gvf.should.be.above(result.gvf);
+    });
+    it('should match a brute force search on small inputs', function() {
+        var points = [1, 2, 4, 5, 6, 10, 11, 20],
+            small = new StreamHist(10).push(points),
+            best = Infinity, breaks = null;
+        // Try all ways to split the sorted points into three classes
+        for (var i = 1 ; i < points.length - 1 ; i++) {
+            for (var j = i + 1 ; j < points.length ; j++) {
+                var cost = ssd(points.slice(0, i)) + ssd(points.slice(i, j)) +
+                           ssd(points.slice(j));
+                if (cost < best) {
+                    best = cost;
+                    breaks = [(points[i - 1] + points[i]) / 2,
+                              (points[j - 1] + points[j]) / 2];
+                }
+            }
+        }
+        var result = small.naturalBreaks(3);
+        result.breaks.should.deep.equal([1].concat(breaks, [20]));
+        result.gvf.should.be.closeTo(1 - best / ssd(points), 1e-12);
+        small.naturalBreaks(20).classes.should.have.length(points.length);
+        expect(new StreamHist().naturalBreaks(2)).to.be.null;
+        expect(() => small.naturalBreaks(0)).to.throw(/positive integer/);
+    });
+});
+
+describe('Sharded StreamHist building', function() {
+
+    this.timeout(30000);  // Starting workers takes a while
+    var data = seeded('shards', () => rand.rvnorm(20000, 10, 3)),
+        options = {shards: 3, maxBins: 40, chunkSize: 2500};
+
+    it('should build the same histogram in workers as in this thread', function() {
+        return Promise.all([
+            parallel.buildSharded(data, options),
+            parallel.buildSharded(data, Object.assign({threads: false}, options))
+        ]).then(hists => {
+            hists[0].toJSON().should.deep.equal(hists[1].toJSON());
+            hists[0].count().should.equal(data.length);
+            hists[0].min().should.equal(Math.min.apply(null, data));
+            hists[0].max().should.equal(Math.max.apply(null, data));
+            hists[0].size().should.equal(40);
+            var single = new StreamHist(40).push(data),
+                ps = [0.1, 0.5, 0.9];
+            hists[0].quantile(ps).should.be.deep.closeTo(single.quantile(ps),
+                                                         0.1);
+            hists[0].mean().should.be.closeTo(single.mean(), 1e-9);
+        });
+    });
+    it('should assign points to shards deterministically', function() {
+        // The same points go to the same shard, whatever their order
+        var hashed = x => parallel.hashValue(x) % 3;
+        data.slice(0, 100).map(hashed).should.deep.equal(
+            data.slice(0, 100).reverse().map(hashed).reverse());
+        var byHash = Object.assign({assign: "hash", threads: false}, options);
+        return Promise.all([
+            parallel.buildSharded(data, byHash),
+            parallel.buildSharded(data, byHash),
+            parallel.buildSharded(data, Object.assign({}, byHash, {
+                assign: (x, i) => x < 10 ? 0 : 1 + i % 2
+            }))
+        ]).then(hists => {
+            hists[0].toJSON().should.deep.equal(hists[1].toJSON());
+            hists[2].count().should.equal(data.length);
+        });
+    });
+    it('should merge shards independently of their order', function() {
+        var shards = data.split(5000).map(chunk => {
+            return new StreamHist(40).push(chunk);
+        });
+        parallel.mergeDiscrepancy(shards, {maxBins: 40})
+            .should.be.at.most(0.01);
+        var merged = parallel.mergeShards(shards, {maxBins: 40});
+        merged.count().should.equal(data.length);
+        // The inputs are left as they were
+        shards.forEach(shard => shard.count().should.equal(5000));
+    });
+    it('should build from streams', function() {
+        var text = data.slice(0, 1000).join("\n") + "\n",
+            input = Readable.from([text.slice(0, 777), text.slice(777)],
+                                  {objectMode: false});
+        return parallel.buildSharded(input, {shards: 2, threads: false})
+            .then(hist => hist.count().should.equal(1000));
+    });
+    it('should report invalid input and options', function() {
+        expect(() => parallel.ShardedBuilder({shards: 0})).to.throw(/shards/);
+        expect(() => parallel.ShardedBuilder({assign: "random"}))
+            .to.throw(/assignment/);
+        var builder = parallel.ShardedBuilder({shards: 2, threads: false});
+        expect(() => builder.push(1, -1)).to.throw(RangeError);
+        expect(() => builder.push(["1"])).to.throw(TypeError);
+        return builder.build().then(hist => {
+            hist.count().should.equal(0);
+            expect(() => builder.push(1)).to.throw(/built/);
+            return parallel.buildSharded([1, 2], {assign: () => 5,
+                                                  threads: false});
+        }).then(() => {
+            throw new Error("Expected an error");
+        }, err => err.message.should.match(/Shard index/));
+    });
+});
+
+describe('Merging many StreamHist objects at once', function() {
+
+    var data = seeded('mergeAll', () => rand.rvnorm(30000, 0, 2)),
+        chunks = data.split(10000),
+        build = () => chunks.map(chunk => new StreamHist(30).push(chunk));
+
+    it('should leave the inputs unchanged', function() {
+        var hists = build(), before = hists.map(h => JSON.stringify(h)),
+            merged = StreamHist.mergeAll(hists);
+        hists.map(h => JSON.stringify(h)).should.deep.equal(before);
+        hists.forEach(h => h.maxBins().should.equal(30));
+        // Changing the result doesn't change the inputs, or vice versa
+        merged.push(data).merge(hists[0]);
+        hists.map(h => JSON.stringify(h)).should.deep.equal(before);
+        hists[1].push(100);
+        merged.max().should.not.equal(100);
+    });
+    it('should merge all inputs in one pass, in any order', function() {
+        var hists = build(), merged = StreamHist.mergeAll(hists);
+        merged.should.be.an.instanceof(StreamHist);
+        merged.count().should.equal(data.length);
+        merged.size().should.equal(30);
+        merged.min().should.equal(Math.min.apply(null, data));
+        merged.max().should.equal(Math.max.apply(null, data));
+        merged.mean().should.be.closeTo(
+            data.reduce((a, b) => a + b, 0) / data.length, 1e-9);
+        merged.variance().should.be.closeTo(
+            new StreamHist(30).push(data).variance(), 1e-9);
+        var bins = hist => hist.toArray().map(b => [b.mean, b.count, b.tss]);
+        bins(StreamHist.mergeAll(hists.slice().reverse()))
+            .should.be.deep.closeTo(bins(merged), 1e-9);
+        StreamHist.mergeAll([hists[2], hists[0], hists[1]], {maxBins: 10})
+            .size().should.equal(10);
+        StreamHist.mergeAll([]).count().should.equal(0);
+        StreamHist.mergeAll([]).maxBins().should.equal(100);
+    });
+    it('should keep as many bins as the smallest input allows', function() {
+        var a = new StreamHist(300).push(chunks[0]),
+            b = new StreamHist(400).push(chunks[1]),
+            merged = StreamHist.mergeAll([a, b]);
+        merged.maxBins().should.equal(300);
+        merged.size().should.equal(300);
+    });
+    it('should resolve conflicting settings', function() {
+        var plain = new StreamHist(20).push(chunks[0]),
+            weighted = new StreamHist(40, true, 5000).push(chunks[1]);
+        expect(() => StreamHist.mergeAll([plain, weighted]))
+            .to.throw(/weighted/);
+        expect(() => StreamHist.mergeAll([plain, weighted], {weighted: true}))
+            .to.throw(/freeze/);
+        var merged = StreamHist.mergeAll([plain, weighted],
+                                         {weighted: true, freeze: 0});
+        merged.weighted().should.be.true;
+        merged.freeze().should.equal(0);
+        merged.maxBins().should.equal(20);
+        var decaying = new StreamHist(20);
+        decaying.halfLife(100);
+        expect(() => StreamHist.mergeAll([plain, decaying]))
+            .to.throw(/half-lives/);
+        expect(() => StreamHist.mergeAll([plain, {}])).to.throw(TypeError);
+    });
+    it('should merge decaying and labelled histograms', function() {
+        var a = new StreamHist(20), b = new StreamHist(20);
+        a.halfLife(10);
+        b.halfLife(10);
+        a.push([1, 2, 3]);
+        b.push([4, 5, 6, 7, 8]);
+        var merged = StreamHist.mergeAll([a, b]);
+        merged.halfLife().should.equal(10);
+        // a's points decay further, up to b's latest time (its 5th event)
+        merged.count().should.be.closeTo([0, 1, 2].reduce((s, i) => {
+            return s + Math.pow(2, -(4 - i) / 10);
+        }, 0) + b.count(), 1e-9);
+        var one = new LabelledStreamHist(10).push([1, 2], "a"),
+            two = new LabelledStreamHist(10).push([2, 3], "b"),
+            labelled = LabelledStreamHist.mergeAll([one, two]);
+        labelled.labelCounts().should.deep.equal({a: 2, b: 2});
+        one.labelCounts().should.deep.equal({a: 2});
+        expect(() => LabelledStreamHist.mergeAll([one, a]))
+            .to.throw(TypeError);
+    });
+});
+
+describe('Cloning and snapshotting a StreamHist object', function() {
+
+    var data = seeded('snapshot', () => rand.rvnorm(20000, 0, 2));
+
+    it('should clone histograms independently', function() {
+        var hist = new StreamHist(50, true, 0, 10).push(data.slice(0, 5000)),
+            copy = hist.clone(), before = JSON.stringify(hist);
+        JSON.stringify(copy).should.equal(before);
+        copy.bins().should.not.equal(hist.bins());
+        copy.push(data.slice(5000)).remove(data[0]);
+        JSON.stringify(hist).should.equal(before);
+        hist.push(100);
+        copy.max().should.not.equal(100);
+        copy.count().should.equal(data.length - 1);
+        var one = new LabelledStreamHist(10).push([1, 2, 3], "a"),
+            two = one.clone().push([2, 3], "b");
+        two.should.be.an.instanceof(LabelledStreamHist);
+        one.labelCounts().should.deep.equal({a: 3});
+        two.labelCounts().should.deep.equal({a: 3, b: 2});
+    });
+    it('should keep snapshots consistent while the original changes', function() {
+        var hist = new StreamHist(100).push(data.slice(0, 10000)),
+            snap = hist.snapshot(), before = JSON.stringify(snap),
+            quantiles = snap.quantile([0.1, 0.5, 0.9]);
+        snap.bins().should.equal(hist.bins());  // Nothing is copied yet
+        hist.push(data.slice(10000));
+        snap.bins().should.not.equal(hist.bins());
+        JSON.stringify(snap).should.equal(before);
+        snap.quantile([0.1, 0.5, 0.9]).should.deep.equal(quantiles);
+        hist.count().should.equal(data.length);
+        // Any change copies the bins, including merges, removal and resets
+        [h => h.merge(new StreamHist().push([-10, 10])),
+         h => h.remove(data[0]), h => h.maxBins(20), h => h.reset()]
+            .forEach(change => {
+                var snap = hist.snapshot(), before = JSON.stringify(snap);
+                change(hist);
+                JSON.stringify(snap).should.equal(before);
+            });
+        hist.count().should.equal(0);
+        // Snapshots can themselves be changed, without affecting the original
+        var other = new StreamHist(100).push(data),
+            view = other.snapshot(), json = JSON.stringify(other);
+        view.push(100);
+        JSON.stringify(other).should.equal(json);
+        view.max().should.equal(100);
+    });
+    it('should keep snapshots of decaying histograms consistent', function() {
+        var hist = new StreamHist(20);
+        hist.halfLife(100);
+        hist.push(data.slice(0, 1000));
+        var snap = hist.snapshot(), count = snap.count(), mean = snap.mean();
+        hist.push(data.slice(1000, 2000));
+        hist.mean();  // Rescales the original's bins
+        snap.count().should.equal(count);
+        snap.mean().should.equal(mean);
+        snap.halfLife().should.equal(100);
+        snap.push(0).count().should.be.above(count);
+    });
+    it('should be cheap to take snapshots of large histograms', function() {
+        var hist = new StreamHist(1000).push(data), snaps = [], bins;
+        for (var i = 0 ; i < 100 ; i++) {
+            snaps.push(hist.snapshot());
+        }
+        // Taking snapshots copies no bins...
+        bins = hist.bins();
+        snaps.forEach(s => s.bins().should.equal(bins));
+        // ...and pushing to the original copies them once, not per snapshot
+        hist.push(0);
+        hist.bins().should.not.equal(bins);
+        snaps.forEach(s => s.bins().should.equal(bins));
+        snaps[0].count().should.equal(data.length);
+        // Likewise, a changed snapshot copies them for itself alone
+        snaps[0].push(0);
+        snaps[0].bins().should.not.equal(bins);
+        snaps.slice(1).forEach(s => s.bins().should.equal(bins));
+    });
+});
+
+describe('StreamHist merge-cost strategies', function() {
+
+    var data = seeded('strategies', () => rand.rvnorm(20000, 0, 2).map(Math.exp)),
+        sorted = data.slice().sort((a, b) => a - b),
+        rank = x => sorted.filter(y => y < x).length / sorted.length;
+
+    it('should set and get strategies', function() {
+        var hist = new StreamHist(20);
+        hist.strategy().should.equal("gap");
+        hist.weighted(true).should.be.true;
+        hist.strategy().should.equal("weighted");
+        hist.strategy("area").should.equal("area");
+        hist.weighted().should.be.false;
+        new StreamHist(20, "tail").strategy().should.equal("tail");
+        new StreamHist(20, true).strategy().should.equal("weighted");
+        new LabelledStreamHist(20, "area").strategy().should.equal("area");
+        expect(() => hist.strategy("nearest")).to.throw(/Unknown strategy/);
+        expect(() => new StreamHist(20, "nearest")).to.throw(/Unknown strategy/);
+    });
+    it('should keep the tails of heavy-tailed data more accurate', function() {
+        this.timeout(10000);
+        // Error in the rank of tail quantiles, relative to the tail's mass
+        var ps = [0.0005, 0.001, 0.005, 0.01, 0.99, 0.995, 0.999, 0.9995],
+            error = strategy => {
+                var hist = new StreamHist(50, strategy).push(data);
+                return math.mean(ps.map(p => {
+                    return Math.abs(rank(hist.quantile(p)) - p) /
+                           Math.min(p, 1 - p);
+                }));
+            },
+            tail = error("tail");
+        tail.should.be.below(0.1);
+        ["gap", "weighted", "area"].forEach(s => tail.should.be.below(error(s)));
+        // Without giving up on the rest of the distribution
+        var hist = new StreamHist(50, "tail").push(data);
+        [0.1, 0.25, 0.5, 0.75, 0.9].forEach(p => {
+            rank(hist.quantile(p)).should.be.closeTo(p, 0.02);
+        });
+    });
+    it('should support custom strategies', function() {
+        // Spend more bins on a region of interest, around 1
+        var focus = (a, b) => (b.mean - a.mean) *
+                              (Math.abs(a.mean - 1) < 0.5 ? 100 : 1),
+            inside = hist => hist.toArray().filter(b => {
+                return Math.abs(b.mean - 1) < 0.5;
+            }).length;
+        inside(new StreamHist(50, focus).push(data))
+            .should.be.above(2 * inside(new StreamHist(50).push(data)));
+        // Functions taking more arguments are given ranks
+        var calls = 0,
+            tail = (a, b, rank, total) => {
+                calls++;
+                rank.should.be.at.least(0);
+                (rank + a.count + b.count).should.be.at.most(total + 1e-9);
+                return STRATEGIES.tail(a, b, rank, total);
+            },
+            custom = new StreamHist(50, tail).push(data.slice(0, 5000));
+        calls.should.be.above(0);
+        custom.toArray().should.deep.equal(
+            new StreamHist(50, "tail").push(data.slice(0, 5000)).toArray());
+    });
+    it('should be honoured by merging', function() {
+        var hists = data.split(5000).map(chunk => {
+            return new StreamHist(50, "tail").push(chunk);
+        });
+        var merged = StreamHist.mergeAll(hists);
+        merged.strategy().should.equal("tail");
+        var one = new StreamHist(50, "tail");
+        hists.forEach(h => one.merge(h));
+        [merged, one].forEach(hist => {
+            hist.size().should.equal(50);
+            rank(hist.quantile(0.999)).should.be.closeTo(0.999, 0.0005);
+        });
+        expect(() => StreamHist.mergeAll([hists[0], new StreamHist(50)]))
+            .to.throw(/strategy/);
+        StreamHist.mergeAll([hists[0], new StreamHist(50, true)],
+                            {strategy: "area"})
+            .strategy().should.equal("area");
+    });
+    it('should be saved by serialization', function() {
+        var hist = new StreamHist(50, "tail").push(data.slice(0, 1000)),
+            json = hist.toJSON();
+        json.strategy.should.equal("tail");
+        json.weighted.should.be.false;
+        StreamHist.fromJSON(json).strategy().should.equal("tail");
+        StreamHist.fromBuffer(hist.toBuffer()).strategy().should.equal("tail");
+        StreamHist.fromBuffer(new StreamHist(10, "area").toBuffer())
+            .strategy().should.equal("area");
+        // Older JSON, without a strategy, falls back on weighted
+        delete json.strategy;
+        StreamHist.fromJSON(json).strategy().should.equal("gap");
+        json.weighted = true;
+        StreamHist.fromJSON(json).strategy().should.equal("weighted");
+        json.strategy = "area";
+        expect(() => StreamHist.fromJSON(json)).to.throw(ValidationError)
+            .with.property('field', 'weighted');
+        json.strategy = "nearest";
+        expect(() => StreamHist.fromJSON(json)).to.throw(ValidationError)
+            .with.property('field', 'strategy');
+        // Custom strategies must be given again
+        var focus = (a, b) => b.mean - a.mean,
+            custom = new StreamHist(50, focus).push(data.slice(0, 1000));
+        custom.toJSON().strategy.should.equal("custom");
+        expect(() => StreamHist.fromJSON(custom.toJSON()))
+            .to.throw(ValidationError).with.property('field', 'strategy');
+        expect(() => StreamHist.fromBuffer(custom.toBuffer()))
+            .to.throw(ValidationError).with.property('field', 'strategy');
+        StreamHist.fromJSON(custom.toJSON(), {strategy: focus})
+            .strategy().should.equal(focus);
+        StreamHist.fromBuffer(custom.toBuffer(), {strategy: focus})
+            .toArray().should.deep.equal(custom.toArray());
+    });
+});
+
+describe('StreamHist transforms', function() {
+
+    var data = seeded('transforms', () => rand.rvnorm(20000, 0, 2).map(Math.exp)),
+        sorted = data.slice().sort((a, b) => a - b),
+        rank = x => sorted.filter(y => y < x).length / sorted.length;
+
+    it('should set and get transforms', function() {
+        var hist = new StreamHist(20);
+        expect(hist.transform()).to.be.null;
+        hist.transform("log").should.equal("log");
+        new StreamHist(20, false, 0, 0, "sqrt").transform().should.equal("sqrt");
+        expect(hist.transform(null)).to.be.null;
+        expect(() => hist.transform("exp")).to.throw(/Unknown transform/);
+        expect(() => hist.transform({forward: Math.log}))
+            .to.throw(/forward and inverse/);
+        expect(() => new StreamHist(20).push(1).transform("log"))
+            .to.throw(/isn't empty/);
+        expect(() => new LabelledStreamHist(20).transform("log"))
+            .to.throw(/do not support transforms/);
+    });
+    it('should bin heavy-tailed data on a log scale', function() {
+        this.timeout(10000);
+        var plain = new StreamHist(50).push(data),
+            log = new StreamHist(50, false, 0, 0, "log").push(data),
+            error = hist => math.mean([0.001, 0.01, 0.1, 0.25].map(p => {
+                return Math.abs(rank(hist.quantile(p)) - p) / p;
+            }));
+        // Bins are spread over the orders of magnitude, rather than the range
+        log.toArray()[0].mean.should.be.below(0);
+        error(log).should.be.below(0.05);
+        error(log).should.be.below(error(plain) / 10);
+        [0.5, 0.9, 0.99].forEach(p => {
+            rank(log.quantile(p)).should.be.closeTo(p, 0.01);
+        });
+        // Everything else is reported in the original units
+        log.min().should.equal(sorted[0]);
+        log.max().should.equal(sorted[sorted.length - 1]);
+        log.quantile(0).should.equal(log.min());
+        log.quantile(1).should.equal(log.max());
+        log.sum(log.quantile(0.3)).should.be.closeTo(0.3 * data.length, 1e-6);
+        log.mean().should.be.closeTo(math.mean(data), 0.01 * math.mean(data));
+        log.std().should.be.closeTo(math.std(data, 'uncorrected'),
+                                    0.01 * math.std(data, 'uncorrected'));
+        var summary = log.summary();
+        summary.Q2.should.be.closeTo(sorted[data.length / 2], 0.05);
+        summary.IQR.should.be.closeTo(sorted[15000] - sorted[5000], 0.2);
+        summary.min.should.equal(log.min());
+    });
+    it('should correct densities by the Jacobian', function() {
+        var log = new StreamHist(50, false, 0, 0, "log").push(data),
+            curve = kde.densityCurve(log, 20001, [log.min(), 20]);
+        // The density integrates to the cumulative count
+        kde.integrate(curve).should.be.closeTo(log.sum(20) / log.count(), 0.01);
+        // and matches the lognormal density (which peaks at e^-4)
+        var lognormal = x => Math.exp(-Math.pow(Math.log(x) / 2, 2) / 2) /
+                             (x * 2 * Math.sqrt(2 * Math.PI));
+        [0.3, 1, 3, 10].forEach(x => {
+            log.density(x).should.be.closeTo(lognormal(x), 0.1 * lognormal(x));
+        });
+        log.modes(0.5)[0].value.should.be.closeTo(Math.exp(-4), 0.002);
+        // Custom transforms without a derivative have it estimated
+        var cbrt = {forward: Math.cbrt, inverse: y => y * y * y},
+            custom = new StreamHist(50, false, 0, 0, cbrt).push(data);
+        custom.density(1).should.be.closeTo(lognormal(1), 0.1 * lognormal(1));
+    });
+    it('should reject values outside the domain', function() {
+        var hist = new StreamHist(20, false, 0, 0, "log").push([1, 2]);
+        expect(() => hist.push(0)).to.throw(RangeError, /domain of the log/);
+        expect(() => hist.push([3, -1])).to.throw(RangeError, /got -1/);
+        hist.count().should.equal(2);  // Nothing was added
+        expect(() => hist.remove(-1)).to.throw(RangeError);
+        // log1p and sqrt allow 0
+        new StreamHist(20, false, 0, 0, "log1p").push([0, 1]).min().should.equal(0);
+        new StreamHist(20, false, 0, 0, "sqrt").push([0, 1]).min().should.equal(0);
+        expect(() => new StreamHist(20, false, 0, 0, "sqrt").push(-1))
+            .to.throw(/domain of the sqrt/);
+    });
+    it('should be saved by serialization and kept by merging', function() {
+        var hist = new StreamHist(50, false, 0, 0, "log").push(data),
+            json = hist.toJSON();
+        json.transform.should.equal("log");
+        json.min.should.equal(hist.min());
+        var loaded = StreamHist.fromJSON(json);
+        loaded.transform().should.equal("log");
+        loaded.quantile(0.99).should.equal(hist.quantile(0.99));
+        StreamHist.fromBuffer(hist.toBuffer()).quantile(0.99)
+            .should.equal(hist.quantile(0.99));
+        json.min = 0;
+        expect(() => StreamHist.fromJSON(json)).to.throw(ValidationError)
+            .with.property('field', 'min');
+        json.transform = "exp";
+        expect(() => StreamHist.fromJSON(json)).to.throw(ValidationError)
+            .with.property('field', 'transform');
+        // Custom transforms must be given again
+        var cbrt = {forward: Math.cbrt, inverse: y => y * y * y},
+            custom = new StreamHist(50, false, 0, 0, cbrt).push(data);
+        custom.toJSON().transform.should.equal("custom");
+        expect(() => StreamHist.fromBuffer(custom.toBuffer()))
+            .to.throw(ValidationError).with.property('field', 'transform');
+        StreamHist.fromJSON(custom.toJSON(), {transform: cbrt})
+            .toArray().should.deep.equal(custom.toArray());
+        // Merging needs the same transform
+        var halves = data.split(10000).map(half => {
+            return new StreamHist(50, false, 0, 0, "log").push(half);
+        });
+        var merged = StreamHist.mergeAll(halves);
+        merged.transform().should.equal("log");
+        rank(merged.quantile(0.01)).should.be.closeTo(0.01, 0.001);
+        halves[0].merge(halves[1]).transform().should.equal("log");
+        expect(() => halves[0].merge(new StreamHist(50)))
+            .to.throw(/different transforms/);
+        expect(() => StreamHist.mergeAll([halves[1], custom]))
+            .to.throw(/different transforms/);
+    });
+});
+
+describe('StreamHist input policies', function() {
+
+    // A stream of anything: numbers of all sizes, ties, and invalid points
+    var anything = () => {
+        var r = Math.random();
+        return r < 0.05 ? NaN : r < 0.1 ? Infinity : r < 0.15 ? -Infinity :
+               r < 0.2 ? null : r < 0.22 ? undefined : r < 0.24 ? "12" :
+               r < 0.3 ? (Math.random() - 0.5) * 1e12 : r < 0.35 ? 5e-324 :
+               r < 0.5 ? Math.round(Math.random() * 5) :
+               (Math.random() - 0.5) * 1000;
+    };
+    var kindOf = x => x == null ? "null" :
+        typeof x !== "number" || x !== x ? "nan" :
+        !isFinite(x) ? "infinity" : null;
+
+    // Check that the bins are sorted, finite and add up to the count
+    var checkValid = hist => {
+        var bins = hist.toArray(), total = 0.0;
+        bins.forEach((b, i) => {
+            [b.mean, b.count, b.tss, b.m3, b.m4].forEach(x => {
+                isFinite(x).should.be.true;
+            });
+            b.count.should.be.above(0);
+            b.tss.should.be.at.least(0);
+            if (i > 0)
+                b.mean.should.be.above(bins[i - 1].mean);
+            total += b.count;
+        });
+        total.should.be.closeTo(hist.count(), 1e-6 * hist.count());
+        if (bins.length > 0) {
+            isFinite(hist.min()).should.be.true;
+            hist.min().should.be.at.most(hist.max());
+        }
+        var summary = hist.summary();
+        Object.keys(summary).forEach(key => {
+            if (summary[key] !== null)
+                isFinite(summary[key]).should.be.true;
+        });
+    };
+
+    it('should reject invalid points by default', function() {
+        var hist = new StreamHist(20).push([1, 2, 3]);
+        hist.policy().should.equal("reject");
+        expect(() => hist.push([4, NaN])).to.throw(RangeError, /NaN/);
+        expect(() => hist.push(Infinity)).to.throw(RangeError, /finite/);
+        expect(() => hist.push(null)).to.throw(TypeError, /numbers/);
+        expect(() => hist.push("4")).to.throw(TypeError, /"4"/);
+        // Nothing was added or counted, even before the rejected point
+        expect(() => hist.push([NaN, 1, "x"])).to.throw(RangeError, /NaN/);
+        expect(() => hist.pushBatch([1, null, NaN])).to.throw(TypeError);
+        hist.count().should.equal(3);
+        hist.inputCounts().should.deep.equal({nan: 0, infinity: 0, null: 0,
+                                              clamped: 0, outOfDomain: 0});
+        expect(() => new StreamHist(20, false, 0, 0, "log").push(-1))
+            .to.throw(RangeError, /domain/);
+        expect(() => hist.remove(NaN)).to.throw(RangeError);
+        hist.policy("skip");
+        hist.push([NaN, 1, "x"]).pushBatch([null, NaN]);
+        hist.inputCounts().should.include({nan: 3, null: 1});
+        hist.remove(NaN).inputCounts().nan.should.equal(3);  // Not counted
+    });
+    it('should skip or clamp invalid points, and count them', function() {
+        var values = [1, NaN, null, 2, -Infinity, 50, undefined, Infinity, -3],
+            skip = new StreamHist(20),
+            clamp = new StreamHist(20);
+        skip.policy("skip").should.equal("skip");
+        expect(skip.bounds()).to.be.null;
+        clamp.policy("clamp", [0, 10]);
+        clamp.bounds().should.deep.equal([0, 10]);
+        skip.push(values);
+        skip.toArray().map(b => b.mean).should.deep.equal([-3, 1, 2, 50]);
+        clamp.push(values);
+        clamp.toArray().map(b => b.mean).should.deep.equal([0, 1, 2, 10]);
+        clamp.toArray().map(b => b.count).should.deep.equal([2, 1, 1, 2]);
+        clamp.limits().should.deep.equal([0, 10]);
+        var summary = clamp.summary();
+        summary.should.include({nanCount: 1, infinityCount: 2, nullCount: 2,
+                                clampedCount: 2, outOfDomainCount: 0});
+        // Clamped points are removed from where they were added
+        clamp.remove(50).toArray().map(b => b.count)
+            .should.deep.equal([2, 1, 1, 1]);
+        // Counts add up when merging, and go when reset
+        skip.merge(clamp).inputCounts().nan.should.equal(2);
+        StreamHist.mergeAll([skip, clamp]).inputCounts().infinity
+            .should.equal(6);
+        skip.reset().inputCounts().infinity.should.equal(0);
+        // Points outside the transform's domain are skipped too
+        var log = new StreamHist(20, false, 0, 0, "log");
+        log.policy("skip");
+        log.push([0, -1, 1, 10]).count().should.equal(2);
+        log.inputCounts().outOfDomain.should.equal(2);
+    });
+    it('should check policies', function() {
+        var hist = new StreamHist(20);
+        expect(() => hist.policy("ignore")).to.throw(/Unknown policy/);
+        expect(() => hist.policy("clamp")).to.throw(/bounds/);
+        expect(() => hist.policy("clamp", [1, 0])).to.throw(/bounds/);
+        expect(() => hist.policy("clamp", [0, Infinity])).to.throw(/bounds/);
+        expect(() => new StreamHist(20, false, 0, 0, "log")
+            .policy("clamp", [0, 1])).to.throw(/domain/);
+        hist.policy("clamp", [0, 1]);
+        expect(() => hist.transform("log")).to.throw(/domain/);
+        new LabelledStreamHist(20).policy("skip").should.equal("skip");
+    });
+    it('should keep bins valid whatever the stream contains', function() {
+        this.timeout(20000);
+        seeded('fuzz', () => {
+            ["skip", "clamp", "reject"].forEach(name => {
+                [null, "log1p"].forEach(transform => {
+                    var lo = transform !== null ? 0 : -100,
+                        policy = name === "clamp" ? [name, [lo, 100]] : [name],
+                        hist = new StreamHist(32, false, 0, 0, transform),
+                        other = new StreamHist(32, false, 0, 0, transform),
+                        expected = {nan: 0, infinity: 0, null: 0},
+                        pushed = [];
+                    hist.policy.apply(hist, policy);
+                    other.policy.apply(other, policy[0] === "reject" ?
+                                              ["skip"] : policy);
+                    for (var round = 0 ; round < 200 ; round++) {
+                        var batch = [], weight = 0.5 + Math.random() * 3;
+                        for (var i = 0 ; i < 20 ; i++) {
+                            batch.push(anything());
+                        }
+                        if (transform !== null)  // Stay in the domain
+                            batch = batch.map(x => {
+                                return typeof x === "number" && x < 0 ? -x : x;
+                            });
+                        batch.forEach(x => {
+                            var kind = kindOf(x);
+                            if (kind !== null)
+                                expected[kind]++;
+                        });
+                        var before = hist.count();
+                        try {
+                            hist.push(batch, weight);
+                            pushed.push([batch, weight]);
+                        } catch (err) {
+                            policy[0].should.equal("reject");
+                            hist.count().should.equal(before);
+                            // Nothing was counted, either
+                            batch.forEach(x => {
+                                var kind = kindOf(x);
+                                if (kind !== null)
+                                    expected[kind]--;
+                            });
+                            hist.push(batch.filter(x => !kindOf(x)), weight);
+                            pushed.push([batch.filter(x => !kindOf(x)),
+                                         weight]);
+                        }
+                        if (round % 10 === 9) {  // Take a batch back out
+                            var past = pushed.splice(math.floor(
+                                Math.random() * pushed.length), 1)[0];
+                            if (policy[0] !== "reject")
+                                hist.remove(past[0], past[1]);
+                        }
+                        if (round % 50 === 49) {
+                            other.push(batch);
+                            hist.merge(other);
+                            ["nan", "infinity", "null"].forEach(kind => {
+                                expected[kind] += other.inputCounts()[kind];
+                            });
+                        }
+                        checkValid(hist);
+                    }
+                    var counts = hist.inputCounts();
+                    ["nan", "infinity", "null"].forEach(kind => {
+                        counts[kind].should.equal(expected[kind]);
+                    });
+                    if (policy[0] === "clamp")  // Allowing for rounding
+                        hist.limits()[0].should.be.at.least(lo - 1e-9);
+                    else
+                        counts.clamped.should.equal(0);
+                });
+            });
+        });
+    });
+});
+
+describe('StreamHist exact mode', function() {
+
+    var data = seeded('exact', () => rand.rvnorm(60, 10, 2)),
+        // The weighted empirical quantile, or the midpoint at exact splits
+        empirical = (values, p) => {
+            var sorted = values.slice().sort((a, b) => a - b),
+                s = p * sorted.length, i = Math.min(Math.floor(s),
+                                                    sorted.length - 1);
+            return s === i && i > 0 ? (sorted[i - 1] + sorted[i]) / 2 :
+                                      sorted[i];
+        },
+        ps = [0, 0.1, 0.25, 0.5, 0.75, 0.9, 1];
+
+    it('should answer exactly until there are too many values', function() {
+        var hist = new StreamHist(10), sketch = new StreamHist(10),
+            values = data.slice(0, 40);
+        hist.exact(50).should.equal(50);
+        hist.isExact().should.be.true;
+        sketch.isExact().should.be.false;
+        hist.push(values);
+        sketch.push(values);
+        hist.isExact().should.be.true;
+        hist.size().should.equal(10);  // Bins are kept up to date all along
+        hist.toArray().should.deep.equal(sketch.toArray());
+        hist.quantile(ps).should.deep.equal(ps.map(p => empirical(values, p)));
+        hist.median().should.equal(empirical(values, 0.5));
+        hist.sum([values[0], 5, 100]).should.deep.equal([
+            values.filter(x => x <= values[0]).length, 0, 40]);
+        hist.mean().should.be.closeTo(math.mean(values), 1e-12);
+        hist.variance().should.be.closeTo(math.var(values, 'uncorrected'),
+                                          1e-12);
+        hist.summary().Q1.should.equal(empirical(values, 0.25));
+        // Repeated values don't count towards the threshold
+        hist.push(values);
+        values = values.concat(values);
+        hist.isExact().should.be.true;
+        hist.quantile(ps).should.deep.equal(ps.map(p => empirical(values, p)));
+        // Once there are too many, the bins take over seamlessly
+        hist.push(data.slice(40));
+        sketch.push(values.slice(0, 40)).push(data.slice(40));
+        hist.isExact().should.be.false;
+        hist.toJSON().should.deep.equal(
+            Object.assign(sketch.toJSON(), {exact: 50}));
+        hist.quantile(ps).should.deep.equal(sketch.quantile(ps));
+        hist.exact(0).should.equal(0);
+        expect(() => hist.exact(-1)).to.throw(/integer >= 0/);
+        expect(() => hist.exact(1.5)).to.throw(/integer >= 0/);
+        // Turning exact mode on only takes effect once the histogram is empty
+        hist.exact(100);
+        hist.isExact().should.be.false;
+        hist.reset().isExact().should.be.true;
+    });
+    it('should handle weights, transforms and removal', function() {
+        var hist = new StreamHist(5, false, 0, 0, "log");
+        hist.exact(10);
+        hist.push([1, 10, 100], 2).push(1000, 3);
+        hist.quantile([0.2, 0.5, 1]).should.deep.equal([1, 100, 1000]);
+        hist.sum(10).should.equal(4);
+        hist.mean().should.be.closeTo((2 * 111 + 3000) / 9, 1e-9);
+        hist.remove(1000, 3).remove(1, 2);
+        hist.limits().should.deep.equal([10, 100]);
+        hist.median().should.equal(55);
+        hist.isExact().should.be.true;
+        // Removing values that weren't pushed gives up on exact answers
+        hist.remove(50);
+        hist.isExact().should.be.false;
+        hist.remove([10, 100], 2);
+        hist.count().should.equal(0);
+        hist.isExact().should.be.true;
+        // Exact mode ends with warm-up, as the counts are reset
+        var warm = new StreamHist(5, false, 0, 4);
+        warm.exact(10);
+        warm.push([1, 2, 3]).isExact().should.be.true;
+        warm.push(4).isExact().should.be.false;
+    });
+    it('should rebin and bound quantiles from the points', function() {
+        // Three bins merge the points, but the answers come from the points
+        var hist = new StreamHist(3);
+        hist.exact(10);
+        hist.push([1, 2, 3, 4, 5]);
+        hist.sum(3).should.equal(3);
+        hist.rebin(2).map(b => b.count).should.deep.equal([3, 2]);
+        hist.rebin(2, "quantile").map(b => b.hi).should.deep.equal([3, 5]);
+        hist.mad().should.equal(1);
+        [0.1, 0.4, 0.5, 0.8].forEach(p => {
+            hist.quantileInterval(p).estimate.should.equal(hist.quantile(p));
+            hist.quantileInterval(p, "rank").estimate.should.equal(p);
+        });
+        hist.quantileInterval(0.5).should.deep.equal(
+            {estimate: 3, lower: 3, upper: 3});
+        hist.quantileInterval(0.5, "rank").should.deep.equal(
+            {estimate: 0.5, lower: 0.4, upper: 0.6});
+        // The midpoint of two points lies between them and the true quantile
+        hist.quantileInterval(0.4).should.deep.equal(
+            {estimate: 2.5, lower: 2, upper: 2.5});
+    });
+    it('should merge in exact mode when both sides are in it', function() {
+        var a = new StreamHist(10), b = new StreamHist(10),
+            c = new StreamHist(10), d = new StreamHist(10);
+        [a, b, d].forEach(h => h.exact(30));
+        a.push(data.slice(0, 10));
+        b.push(data.slice(10, 25));
+        c.push(data.slice(25, 30));
+        d.push(data.slice(25, 35));
+        var merged = StreamHist.mergeAll([a, b]),
+            values = data.slice(0, 25);
+        merged.exact().should.equal(30);
+        merged.isExact().should.be.true;
+        merged.quantile(ps).should.deep.equal(
+            ps.map(p => empirical(values, p)));
+        a.clone().merge(b).quantile(ps).should.deep.equal(merged.quantile(ps));
+        // Neither side is changed by the other
+        a.quantile(0.5).should.equal(empirical(data.slice(0, 10), 0.5));
+        // Too many values, or a side that isn't exact, switch over to bins
+        merged.clone().merge(d).isExact().should.be.false;
+        a.clone().merge(c).isExact().should.be.false;
+        StreamHist.mergeAll([a, c], {exact: 30}).isExact().should.be.false;
+        a.clone().merge(new StreamHist(10)).isExact().should.be.true;
+        // Snapshots share points until either side changes
+        var snapshot = a.snapshot();
+        a.push(data[29]);
+        snapshot.count().should.equal(10);
+        snapshot.quantile(1).should.equal(Math.max.apply(null,
+                                                         data.slice(0, 10)));
+    });
+    it('should serialize in either state', function() {
+        var exact = new StreamHist(10), sketch = new StreamHist(10);
+        [exact, sketch].forEach(h => h.exact(30));
+        exact.push(data.slice(0, 20)).push(data[0]);
+        sketch.push(data);
+        [exact, sketch, new StreamHist(10)].forEach(hist => {
+            var json = JSON.parse(JSON.stringify(hist)),
+                fromJSON = StreamHist.fromJSON(json),
+                fromBuffer = StreamHist.fromBuffer(hist.toBuffer());
+            [fromJSON, fromBuffer].forEach(copy => {
+                copy.toJSON().should.deep.equal(hist.toJSON());
+                copy.isExact().should.equal(hist.isExact());
+                copy.quantile(ps).should.deep.equal(hist.quantile(ps));
+            });
+        });
+        exact.toJSON().points.length.should.equal(20);
+        exact.toJSON().points[0].should.deep.equal(
+            {value: math.min(data.slice(0, 20)),
+             count: data[0] === math.min(data.slice(0, 20)) ? 2 : 1});
+        expect(sketch.toJSON().points).to.be.null;
+        var fail = (change, field) => {
+            var json = JSON.parse(JSON.stringify(exact));
+            change(json);
+            expect(() => StreamHist.fromJSON(json))
+                .to.throw(ValidationError, field)
+                .with.property("field", field);
+        };
+        fail(json => json.exact = -1, "exact");
+        fail(json => json.exact = 10, "points");
+        fail(json => json.points = {}, "points");
+        fail(json => json.points[2] = null, "points[2]");
+        fail(json => json.points[2].count = 0, "points[2].count");
+        fail(json => json.points[2].value = json.points[1].value,
+             "points[2].value");
+        fail(json => json.points[0].value = json.min - 1, "points[0].value");
+        fail(json => json.points.pop(), "points");
+    });
+});
+
+describe('Pushing batches of points', function() {
+
+    var data = seeded('batch', () => {
+            return Float64Array.from(rand.rvnorm(50000, 10, 2));
+        }),
+        weights = seeded('batch weights', () => data.map(() => {
+            return 1 + 3 * Math.random();
+        }));
+
+    it('should be statistically equivalent to pushing points in turn', function() {
+        this.timeout(20000);
+        [false, true, "area"].forEach(strategy => {
+            var one = new StreamHist(50, strategy).push(Array.from(data)),
+                batch = new StreamHist(50, strategy).pushBatch(data);
+            batch.size().should.equal(50);
+            batch.count().should.equal(one.count());
+            batch.limits().should.deep.equal(one.limits());
+            batch.mean().should.be.closeTo(one.mean(), 1e-9);
+            batch.variance().should.be.closeTo(one.variance(), 1e-9);
+            batch.skewness().should.be.closeTo(one.skewness(), 1e-9);
+            compare.ks(one, batch).statistic.should.be.below(0.01);
+        });
+        // Weights, transforms and all kinds of arrays
+        var one = new StreamHist(50, false, 0, 0, "log"),
+            batch = new StreamHist(50, false, 0, 0, "log").pushBatch(data,
+                                                                     weights);
+        data.forEach((x, i) => one.push(x, weights[i]));
+        batch.count().should.be.closeTo(one.count(), 1e-6);
+        batch.limits().should.deep.equal(one.limits());
+        compare.ks(one, batch).statistic.should.be.below(0.01);
+        var float32 = Float32Array.from(data);
+        new StreamHist(50).pushBatch(float32).toArray().should.deep.equal(
+            new StreamHist(50).pushBatch(Array.from(float32)).toArray());
+        fastHist(data, 20).should.deep.equal(
+            new StreamHist(20).pushBatch(data).toArray());
+        // Batches are added to any bins there already are
+        var hist = new StreamHist(50).push(Array.from(data.subarray(0, 100)));
+        hist.pushBatch(data.subarray(100));
+        hist.count().should.equal(data.length);
+        compare.ks(hist, new StreamHist(50).pushBatch(data)).statistic
+            .should.be.below(0.01);
+    });
+    it('should check batches, and handle every setting', function() {
+        var hist = new StreamHist(20);
+        expect(() => hist.pushBatch([1, 2], [1]))
+            .to.throw(RangeError, /one weight/);
+        expect(() => hist.pushBatch([1, 2], [1, 0])).to.throw(RangeError);
+        expect(() => hist.pushBatch([1, NaN])).to.throw(RangeError, /finite/);
+        hist.count().should.equal(0);
+        hist.policy("skip");
+        hist.pushBatch(new Float64Array([1, NaN, 2, Infinity]), [1, 2, 3, 4]);
+        hist.count().should.equal(4);
+        hist.inputCounts().should.include({nan: 1, infinity: 1});
+        // Exact mode keeps the distinct values of the batch
+        var exact = new StreamHist(5), values = [3, 1, 2, 2, 10, 1, 7];
+        exact.exact(10);
+        exact.pushBatch(values).isExact().should.be.true;
+        exact.toJSON().points.should.deep.equal([
+            {value: 1, count: 2}, {value: 2, count: 2}, {value: 3, count: 1},
+            {value: 7, count: 1}, {value: 10, count: 1}]);
+        exact.median().should.equal(2);
+        exact.pushBatch(data.subarray(0, 10)).isExact().should.be.false;
+        // Decaying, frozen or warming-up histograms push points in turn
+        [[20, false, 30], [20, false, 0, 30]].forEach(args => {
+            var one = StreamHist.apply(null, args),
+                batch = StreamHist.apply(null, args);
+            one.push(Array.from(data.subarray(0, 100)));
+            batch.pushBatch(data.subarray(0, 100));
+            batch.toArray().should.deep.equal(one.toArray());
+        });
+        var decaying = new StreamHist(20), one = new StreamHist(20);
+        [decaying, one].forEach(h => h.halfLife(50));
+        one.push(Array.from(data.subarray(0, 100)));
+        decaying.pushBatch(data.subarray(0, 100)).toArray()
+            .should.deep.equal(one.toArray());
+        expect(() => new LabelledStreamHist(20).pushBatch(data))
+            .to.throw(/do not support batch pushes/);
+    });
+    it('should be faster than pushing points in turn', function() {
+        this.timeout(20000);
+        var points = data.subarray(0, 20000),
+            start = present();
+        new StreamHist(50).push(Array.from(points));
+        var one = present() - start;
+        start = present();
+        new StreamHist(50).pushBatch(points);
+        var batch = present() - start;
+        batch.should.be.below(one / 2);
+    });
+});
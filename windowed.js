@@ -0,0 +1,247 @@
+/**
+ * @fileoverview WindowedStreamHist:
+ * Sliding-window streaming approximate histogram, built from a ring of
+ * per-interval StreamHist 'panes'.
+ *
+ * Each pane summarises the points pushed during one interval of time. As time
+ * advances, panes that fall out of the window are expired (and recycled), so
+ * that queries only describe the points seen within the window, without
+ * keeping any of the raw points around. Queries are answered by merging the
+ * live panes into a single histogram, using Algorithm 2 from Ben-Haim &
+ * Tom-Tov (2010).
+ *
+ * @author carsonfarmer@gmail.com (Carson Farmer)
+ * @license Released under the MIT license.
+ * Copyright (c) 2016 Carson Farmer.
+ */
+
+var StreamHist = require('./index.js').StreamHist;
+
+/**
+ * Compute the number of panes needed to cover a window.
+ * @param {number} window The length of the sliding window.
+ * @param {number} interval The length of time covered by each pane.
+ * @return {number} n The number of panes.
+ */
+function paneCount(window, interval) {
+    // Guard against floating point noise, e.g., 0.3 / 0.1 = 3.0000000000000004
+    return Math.ceil(window / interval - 1e-9);
+};
+
+/**
+ * Find the slot in a ring of n panes for the pane with the given index.
+ * @param {number} index The (possibly negative) index of a pane's interval.
+ * @param {number} n The number of panes in the ring.
+ * @return {number} slot The position of the pane in the ring.
+ */
+function paneSlot(index, n) {
+    return ((index % n) + n) % n;
+};
+
+/**
+ * WindowedStreamHist class for building a sliding-window approximate histogram.
+ * The window is made up of ceil(window / interval) panes, the last of which
+ * contains the current time, so the points covered by the window span between
+ * (window - interval) and window units of time.
+ * @param {number} window The length of the sliding window, in the same units as
+ *      the timestamps passed to push (milliseconds by default).
+ * @param {number} interval The length of time covered by each pane. This
+ *      should be no larger than window.
+ * @param {number} [maxbins=100] The maximum number of bins used by each pane,
+ *      and by the merged histogram.
+ * @param {boolean} [weighted=false] Whether each pane uses gap weighting.
+ * @param {number} [freeze=null] The freeze threshold for each pane.
+ * @param {number} [warmUp=null] The warm-up threshold for each pane.
+ * @constructor
+ * @see StreamHist
+ */
+function WindowedStreamHist(window, interval, maxbins, weighted, freeze,
+                            warmUp) {
+    if (!(this instanceof WindowedStreamHist)) // Protect the global namespace!
+        return new WindowedStreamHist(window, interval, maxbins, weighted,
+                                      freeze, warmUp);
+    if (!(window > 0) || !(interval > 0) || interval > window)
+        throw new Error("Window and interval must be positive, with interval "
+                        + "no larger than window");
+    this._window = window;
+    this._interval = interval;
+    this._options = [maxbins, weighted, freeze, warmUp];
+    /**
+     * Ring of panes, each with the (integer) index of the interval it covers.
+     * @type {Array.<{index: number, hist: StreamHist}>}
+     * @protected
+     */
+    this._panes = [];
+    for (var i = 0 ; i < paneCount(window, interval) ; i++) {
+        this._panes.push({index: null, hist: this._newHist()});
+    }
+    this.reset();
+};
+
+/** @protected */
+WindowedStreamHist.prototype._newHist = function() {
+    var options = this._options;
+    return new StreamHist(options[0], options[1], options[2], options[3]);
+};
+
+/**
+ * Adds a point or array of points to the histogram.
+ * Points older than the window are ignored.
+ * @param {(number|Array.<number>)} p Point or points to add to the histogram.
+ * @param {number} [count=1] The 'weight' to use for the input point(s).
+ * @param {number} [time=Date.now()] The timestamp of the input point(s).
+ * @return {WindowedStreamHist} this This histogram instance.
+ */
+WindowedStreamHist.prototype.push = function(p, count, time) {
+    time = time != null ? time : Date.now();
+    this.advance(time);
+    var index = Math.floor(time / this._interval);
+    if (index <= this._current - this._panes.length)
+        return this;  // Already expired
+    var pane = this._panes[paneSlot(index, this._panes.length)];
+    if (pane.index !== index) {  // Recycle an expired pane
+        pane.index = index;
+        pane.hist.reset();
+    }
+    pane.hist.push(p, count);
+    this._merged = null;
+    return this;
+};
+
+/**
+ * Advance the window to the given time, expiring panes that fall outside it.
+ * Time never goes backwards, so earlier times are ignored.
+ * @param {number} [time=Date.now()] The current time.
+ * @return {WindowedStreamHist} this This histogram instance.
+ */
+WindowedStreamHist.prototype.advance = function(time) {
+    time = time != null ? time : Date.now();
+    var index = Math.floor(time / this._interval);
+    if (this._current !== null && index <= this._current)
+        return this;
+    this._current = index;
+    this._panes.forEach(pane => {
+        if (pane.index !== null && pane.index <= index - this._panes.length) {
+            pane.index = null;
+            pane.hist.reset();
+            this._merged = null;
+        }
+    });
+    return this;
+};
+
+/**
+ * Return the live panes, ordered from oldest to newest.
+ * @return {Array.<StreamHist>} panes The histograms covering the window.
+ */
+WindowedStreamHist.prototype.panes = function() {
+    return this._panes
+        .filter(pane => pane.index !== null)
+        .sort((a, b) => a.index - b.index)
+        .map(pane => pane.hist);
+};
+
+/**
+ * Return a single histogram describing all points within the window. This is
+ * a snapshot of the merged panes (which are cached until the window changes),
+ * so changing it leaves both the cache and the panes themselves unchanged.
+ * @param {number} [time=Date.now()] The current time, to which the window is
+ *      advanced first (see advance).
+ * @return {StreamHist} hist The merged histogram.
+ * @see StreamHist.snapshot
+ */
+WindowedStreamHist.prototype.merged = function(time) {
+    return this.advance(time)._mergePanes().snapshot();
+};
+
+/** @protected */
+WindowedStreamHist.prototype._mergePanes = function() {
+    // Merge the live panes, or return the cached result if the window hasn't
+    // changed since. Queries read it directly, so it must never be changed.
+    if (!this._merged) {
+        this._merged = this.panes()
+            .reduce((prev, curr) => prev.merge(curr), this._newHist());
+    }
+    return this._merged;
+};
+
+/**
+ * Compute the estimated data value for the given quantile(s) in the window.
+ * @param {(number|Array.<number>)} p_or_plist The quantile or array of
+ *      quantiles for which to estimate data values.
+ * @param {number} [time=Date.now()] The current time, to which the window is
+ *      advanced first (see advance).
+ * @return {(number|Array.<number>)} qs The data value(s) at the given
+ *      quantile(s).
+ * @see StreamHist.quantile
+ */
+WindowedStreamHist.prototype.quantile = function(p_or_plist, time) {
+    return this.advance(time)._mergePanes().quantile(p_or_plist);
+};
+
+/**
+ * Estimate values from the window's empirical cumulative distribution.
+ * @param {(number|Array.<number>)} p_or_plist The value or array of
+ *      values at which to estimate the cumulative *count*.
+ * @param {number} [time=Date.now()] The current time, to which the window is
+ *      advanced first (see advance).
+ * @return {(number|Array.<number>)} qs Cumulative count(s) at the given value(s).
+ * @see StreamHist.sum
+ */
+WindowedStreamHist.prototype.sum = function(p_or_plist, time) {
+    return this.advance(time)._mergePanes().sum(p_or_plist);
+};
+
+/**
+ * Return a summary of the window's underlying distribution.
+ * @param {number} [time=Date.now()] The current time, to which the window is
+ *      advanced first (see advance).
+ * @return {object} summary An object with properties describing various
+ * summary statistics.
+ * @see StreamHist.summary
+ */
+WindowedStreamHist.prototype.summary = function(time) {
+    return this.advance(time)._mergePanes().summary();
+};
+
+/**
+ * Return the total count of points within the window.
+ * @param {number} [time=Date.now()] The current time, to which the window is
+ *      advanced first (see advance).
+ * @return {number} count The total count/number of inserts.
+ */
+WindowedStreamHist.prototype.count = function(time) {
+    return this.advance(time).panes().reduce((total, hist) => total + hist.count(), 0);
+};
+
+/**
+ * Return the length of the sliding window.
+ * @return {number} window The length of the window.
+ */
+WindowedStreamHist.prototype.window = function() {
+    return this._window;
+};
+
+/**
+ * Return the length of time covered by each pane.
+ * @return {number} interval The length of each pane's interval.
+ */
+WindowedStreamHist.prototype.interval = function() {
+    return this._interval;
+};
+
+/**
+ * Reset this histogram so that all panes are empty.
+ * @return {WindowedStreamHist} this This (now reset) histogram instance.
+ */
+WindowedStreamHist.prototype.reset = function() {
+    this._panes.forEach(pane => {
+        pane.index = null;
+        pane.hist.reset();
+    });
+    this._current = null;
+    this._merged = null;
+    return this;
+};
+
+module.exports = {'WindowedStreamHist': WindowedStreamHist}